@@ -22,6 +22,8 @@ const analyticsSchema = new mongoose.Schema({
       'like_event',
       'share_event',
       'purchase_ticket',
+      'refund_ticket',
+      'donation',
       'click_link',
       'registration',
       'check_in',
@@ -49,6 +51,8 @@ const analyticsSchema = new mongoose.Schema({
       type: String,
       enum: ['desktop', 'mobile', 'tablet']
     },
+    amount: Number, // Major units, for purchase and refund actions
+    currency: String,
     additionalData: mongoose.Schema.Types.Mixed
   },
   timestamp: {
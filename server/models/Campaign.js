@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Marketing campaign sent to an organizer's audience, with its delivery metrics
+const campaignSchema = new mongoose.Schema({
+  campaignId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: ['email', 'sms', 'push', 'social'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'paused', 'cancelled'],
+    default: 'draft'
+  },
+  targetAudience: {
+    type: {
+      type: String,
+      enum: ['all', 'followers', 'past_attendees', 'vips', 'first_timers', 'custom'],
+      default: 'all'
+    },
+    filters: {
+      location: [String],
+      ageRange: {
+        min: Number,
+        max: Number
+      },
+      interests: [String],
+      lastEventDate: Date
+    },
+    customUserIds: [mongoose.Schema.Types.ObjectId]
+  },
+  content: {
+    subject: String,
+    message: {
+      type: String,
+      required: true
+    },
+    template: String,
+    variables: mongoose.Schema.Types.Mixed
+  },
+  scheduling: {
+    sendAt: Date,
+    timezone: String,
+    repeatSchedule: {
+      frequency: {
+        type: String,
+        enum: ['none', 'daily', 'weekly', 'monthly']
+      },
+      until: Date
+    }
+  },
+  metrics: {
+    sent: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    opened: { type: Number, default: 0 },
+    clicked: { type: Number, default: 0 },
+    unsubscribed: { type: Number, default: 0 },
+    bounced: { type: Number, default: 0 }
+  },
+  trackingLinks: [{
+    originalUrl: String,
+    trackingUrl: String,
+    clicks: { type: Number, default: 0 }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Every ticket scan, online or synced from an offline scanner, with its outcome
+const checkInScanSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticketId: String, // Empty when the payload could not be read
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: String,
+  kind: {
+    type: String, // Scan point: the entrance or add-on redemption
+    enum: ['admission', 'addon'],
+    default: 'admission'
+  },
+  source: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  scannedAt: {
+    type: Date,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['accepted', 'already_checked_in', 'void', 'invalid_signature', 'wrong_event', 'not_found', 'wrong_scan_point'],
+    required: true
+  },
+  // For rejected duplicates, when and where the ticket was admitted instead
+  conflict: {
+    checkedInAt: Date,
+    deviceId: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+checkInScanSchema.index({ eventId: 1, scannedAt: -1 });
+checkInScanSchema.index({ eventId: 1, result: 1 });
+checkInScanSchema.index({ eventId: 1, ticketId: 1 });
+
+module.exports = mongoose.model('CheckInScan', checkInScanSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const discountSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z0-9_-]{3,30}$/
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percentage off (1-100) or fixed amount off each ticket in minor units
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantityAvailable: Number, // null for unlimited uses
+  quantityUsed: {
+    type: Number,
+    default: 0
+  },
+  startDate: Date,
+  endDate: Date,
+  // Empty lists mean the code applies to every ticket class
+  ticketClassIds: [String],
+  ticketGroupIds: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+discountSchema.index({ eventId: 1, code: 1 }, { unique: true });
+discountSchema.index({ organizerId: 1 });
+
+discountSchema.methods.isRedeemableAt = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startDate && this.startDate > date) return false;
+  if (this.endDate && this.endDate < date) return false;
+  if (this.quantityAvailable && this.quantityUsed >= this.quantityAvailable) return false;
+  return true;
+};
+
+// Check whether the code covers a ticket class, directly or through one of its ticket groups
+discountSchema.methods.appliesToTicketClass = function(ticketClassId, event) {
+  const hasClassRestriction = this.ticketClassIds && this.ticketClassIds.length > 0;
+  const hasGroupRestriction = this.ticketGroupIds && this.ticketGroupIds.length > 0;
+
+  if (!hasClassRestriction && !hasGroupRestriction) return true;
+  if (hasClassRestriction && this.ticketClassIds.includes(ticketClassId)) return true;
+
+  if (hasGroupRestriction && event && event.ticketGroups) {
+    return event.ticketGroups.some(group =>
+      this.ticketGroupIds.includes(group.id) &&
+      group.status === 'live' &&
+      group.ticketClassIds.includes(ticketClassId)
+    );
+  }
+
+  return false;
+};
+
+// Discount in minor units for one order line
+discountSchema.methods.calculateLineDiscount = function(unitPrice, quantity) {
+  if (this.type === 'percentage') {
+    return Math.round(unitPrice * quantity * Math.min(this.amount, 100) / 100);
+  }
+  return Math.min(this.amount, unitPrice) * quantity;
+};
+
+// Atomically consume one use; resolves to null when the usage limit is reached
+discountSchema.statics.claimUse = function(discountId) {
+  return this.findOneAndUpdate(
+    {
+      _id: discountId,
+      isActive: true,
+      $or: [
+        { quantityAvailable: null },
+        { quantityAvailable: { $exists: false } },
+        { quantityAvailable: 0 },
+        { $expr: { $lt: ['$quantityUsed', '$quantityAvailable'] } }
+      ]
+    },
+    { $inc: { quantityUsed: 1 } },
+    { new: true }
+  );
+};
+
+discountSchema.statics.releaseUse = function(discountId) {
+  return this.findOneAndUpdate(
+    { _id: discountId, quantityUsed: { $gt: 0 } },
+    { $inc: { quantityUsed: -1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Discount', discountSchema);
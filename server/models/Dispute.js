@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Allowed status changes. A dispute waits on the organizer's evidence, then on the card
+// issuer's decision. Accepting a dispute loses it.
+const TRANSITIONS = {
+  needs_response: ['under_review', 'won', 'lost'],
+  under_review: ['won', 'lost'],
+  won: [],
+  lost: []
+};
+
+// A chargeback a buyer raised with their card issuer against a paid order
+const disputeSchema = new mongoose.Schema({
+  disputeId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerDisputeId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number, // Minor units
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  reason: {
+    type: String, // As reported by the provider, e.g. 'fraudulent' or 'product_not_received'
+    default: 'general'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'needs_response'
+  },
+  evidenceDueBy: Date,
+  overdueAt: Date, // Set when the evidence deadline passed without a response
+  evidence: {
+    text: {
+      type: String,
+      maxlength: 20000
+    },
+    files: [String], // URLs of receipts, correspondence and the like
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date
+  },
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    changedBy: String, // User id, or 'provider' / 'system'
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+disputeSchema.index({ provider: 1, providerDisputeId: 1 }, { unique: true });
+disputeSchema.index({ organizerId: 1, status: 1, createdAt: -1 });
+disputeSchema.index({ orderId: 1 });
+disputeSchema.index({ status: 1, evidenceDueBy: 1 });
+
+// Generate dispute ID before validation so the required check passes
+disputeSchema.pre('validate', function(next) {
+  if (!this.disputeId) {
+    this.disputeId = 'DP-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+  next();
+});
+
+disputeSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+disputeSchema.statics.TRANSITIONS = TRANSITIONS;
+disputeSchema.statics.OPEN_STATUSES = ['needs_response', 'under_review'];
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A donor's commitment to give the same amount again every interval
+const donationPledgeSchema = new mongoose.Schema({
+  pledgeId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId, // Order the pledge was made with
+    ref: 'Order',
+    required: true
+  },
+  ticketClassId: {
+    type: String,
+    required: true
+  },
+  ticketClassName: String,
+  amount: {
+    type: Number, // Minor units charged each interval
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  interval: {
+    type: String,
+    enum: ['monthly', 'yearly'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  donor: {
+    name: String,
+    email: String
+  },
+  // Payment method saved with the pledge's first order, charged off-session each interval
+  payment: {
+    provider: String,
+    customerId: String,
+    paymentMethodId: String
+  },
+  nextChargeAt: {
+    type: Date,
+    required: true
+  },
+  lastChargedAt: Date,
+  chargeCount: {
+    type: Number,
+    default: 0
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+donationPledgeSchema.index({ status: 1, nextChargeAt: 1 });
+donationPledgeSchema.index({ userId: 1, createdAt: -1 });
+donationPledgeSchema.index({ eventId: 1, status: 1 });
+
+// Generate pledge ID before validation so the required check passes
+donationPledgeSchema.pre('validate', function(next) {
+  if (!this.pledgeId) {
+    this.pledgeId = 'PLG-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+  next();
+});
+
+module.exports = mongoose.model('DonationPledge', donationPledgeSchema);
@@ -146,6 +146,11 @@ const eventSchema = new mongoose.Schema({
         type: Number,
         default: 0
       },
+      minimumDonation: {
+        type: Number, // Minor units; buyers may give any amount at or above this
+        default: 0,
+        min: 0
+      },
       quantity: {
         total: Number, // null for unlimited
         sold: {
@@ -174,7 +179,12 @@ const eventSchema = new mongoose.Schema({
         hideSaleDates: {
           type: Boolean,
           default: false
-        }
+        },
+        state: {
+          type: String, // Last state set by the sales window scheduler; unset until its first run
+          enum: ['upcoming', 'on_sale', 'ended']
+        },
+        stateChangedAt: Date
       },
       visibility: {
         hidden: {
@@ -210,6 +220,20 @@ const eventSchema = new mongoose.Schema({
       },
       description: String,
       inventoryTierId: String, // For tiered events
+      // Only used by classes in an add-on tier, which are sold as products rather than admission
+      addOn: {
+        category: {
+          type: String,
+          enum: ['parking', 'merchandise', 'meal', 'other']
+        },
+        requiredTicketClassIds: [String] // When set, buyers must buy one of these classes in the same order
+      },
+      // Set from the seating chart: buyers pick seats, and quantity.total is the number of
+      // unblocked seats mapped to this class
+      reservedSeating: {
+        type: Boolean,
+        default: false
+      },
       order: {
         type: Number,
         default: 0
@@ -283,6 +307,35 @@ const eventSchema = new mongoose.Schema({
     }
   }],
 
+  // Custom questions asked for each attendee at checkout. Questions listing ticketClassIds
+  // are only asked of attendees holding one of those classes.
+  registrationQuestions: [{
+    id: {
+      type: String,
+      default: function() { return new mongoose.Types.ObjectId().toString(); }
+    },
+    label: {
+      type: String,
+      required: true,
+      maxlength: 200
+    },
+    type: {
+      type: String,
+      enum: ['text', 'select', 'checkbox', 'file'],
+      required: true
+    },
+    options: [String], // Choices for select and checkbox questions
+    required: {
+      type: Boolean,
+      default: false
+    },
+    ticketClassIds: [String],
+    order: {
+      type: Number,
+      default: 0
+    }
+  }],
+
   // Inventory information
   inventoryInfo: {
     hasAdmissionTiers: {
@@ -386,11 +439,28 @@ const eventSchema = new mongoose.Schema({
       default: Date.now
     },
     ticketType: String,
+    ticketClassId: String,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
     paymentStatus: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending'
-    }
+    },
+    name: String,
+    email: String,
+    answers: [{
+      questionId: String,
+      label: String,
+      type: {
+        type: String
+      },
+      value: mongoose.Schema.Types.Mixed
+    }],
+    seatId: mongoose.Schema.Types.ObjectId,
+    seat: String // Seat label, for reserved seating
   }],
   tags: [String],
   status: {
@@ -564,6 +634,73 @@ const eventSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'USD'
+    },
+    region: {
+      type: String,  // State or province used for regional tax rules; falls back to the venue state
+      trim: true
+    },
+    taxDisplay: {
+      type: String,  // inclusive: ticket prices already contain tax; exclusive: tax is added at checkout
+      enum: ['inclusive', 'exclusive'],
+      default: 'exclusive'
+    },
+    holdMinutes: {
+      type: Number,  // Minutes tickets stay held during checkout; falls back to TICKET_HOLD_MINUTES
+      min: 1,
+      max: 60
+    },
+    waitlistClaimMinutes: {
+      type: Number,  // Minutes a waitlist offer holds its seats; falls back to WAITLIST_CLAIM_MINUTES
+      min: 5,
+      max: 10080
+    }
+  },
+  // Refund policy applied to attendee-initiated refund requests
+  refundPolicy: {
+    type: {
+      type: String,
+      enum: ['no_refunds', 'anytime', 'days_before_event'],
+      default: 'days_before_event'
+    },
+    daysBeforeEvent: {
+      type: Number,  // Requests are accepted until this many days before the event starts
+      min: 0,
+      default: 1
+    },
+    description: {
+      type: String,
+      maxlength: 1000
+    }
+  },
+  // Recurring events. The series parent holds the recurrence rule and is the template its
+  // occurrences are generated from; it is never listed or sold itself. Each occurrence is a
+  // separate event selling its own tickets.
+  series: {
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId, // Set on occurrences
+      ref: 'Event'
+    },
+    occurrenceStart: Date, // The start the rule gave this occurrence, kept if it is moved on its own
+    recurrence: { // Set on the parent
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'custom']
+      },
+      interval: Number, // Every n days, weeks or months
+      daysOfWeek: {
+        type: [Number], // Weekly: 0 (Sunday) to 6
+        default: undefined
+      },
+      monthlyBy: {
+        type: String, // Monthly: the same day of the month, or the same weekday (e.g. second Tuesday)
+        enum: ['dayOfMonth', 'weekday']
+      },
+      count: Number,
+      until: Date,
+      dates: {
+        type: [Date], // Custom: the start of each occurrence
+        default: undefined
+      }
     }
   },
   // Display/listing properties
@@ -594,6 +731,10 @@ eventSchema.index({ organizer: 1 });
 eventSchema.index({ tags: 1 });
 eventSchema.index({ featured: 1, status: 1 });
 eventSchema.index({ createdAt: -1 });
+eventSchema.index(
+  { 'series.parentId': 1, 'series.occurrenceStart': 1 },
+  { unique: true, partialFilterExpression: { 'series.parentId': { $exists: true } } }
+);
 
 // Virtual for attendee count
 eventSchema.virtual('attendeeCount').get(function() {
@@ -618,11 +759,44 @@ eventSchema.methods.isUserLiked = function(userId) {
   );
 };
 
-eventSchema.methods.getPublicData = function() {
+eventSchema.methods.isSeriesParent = function() {
+  return Boolean(this.series?.recurrence?.frequency);
+};
+
+eventSchema.methods.isOccurrence = function() {
+  return Boolean(this.series?.parentId);
+};
+
+// buyerView: the event as buyers see it, leaving out ticket classes that are hidden
+// or sold only at the door
+eventSchema.methods.getPublicData = function({ buyerView = false, now = new Date() } = {}) {
   const eventObj = this.toObject();
   eventObj.attendeeCount = this.attendeeCount;
   eventObj.likesCount = this.likesCount;
 
+  // The event password is checked server-side and never sent out
+  delete eventObj.password;
+  eventObj.passwordProtected = Boolean(this.password);
+
+  if (eventObj.pricing?.ticketClasses) {
+    eventObj.pricing.ticketClasses = eventObj.pricing.ticketClasses.map(tc => ({
+      ...tc,
+      salesStatus: this.getSalesStatus(tc, now),
+      hidden: this.isTicketClassHidden(tc, now),
+      isAddOn: this.isAddOn(tc)
+    }));
+  }
+
+  if (buyerView) {
+    const isListed = tc => this.isSoldOnline(tc) && !this.isTicketClassHidden(tc, now);
+    if (eventObj.pricing?.ticketClasses) {
+      eventObj.pricing.ticketClasses = eventObj.pricing.ticketClasses.filter(isListed);
+    }
+    if (eventObj.ticketClasses) {
+      eventObj.ticketClasses = eventObj.ticketClasses.filter(isListed);
+    }
+  }
+
   // Add primary image for frontend convenience
   if (this.images && this.images.length > 0) {
     const primaryImage = this.images.find(img => img.isPrimary) || this.images[0];
@@ -634,28 +808,35 @@ eventSchema.methods.getPublicData = function() {
 };
 
 // Static methods
-eventSchema.statics.findByCategory = function(category, limit = 20) {
-  return this.find({ 
-    category: category, 
+
+// Published events that may appear in public listings. Private, unlisted, invite-only and
+// password-protected events are only reachable directly. Series parents are listed through
+// their occurrences.
+eventSchema.statics.listedQuery = function(conditions = {}) {
+  return {
     status: 'published',
-    visibility: 'public'
-  }).limit(limit).sort({ createdAt: -1 });
+    visibility: 'public',
+    'settings.listed': { $ne: false },
+    'settings.inviteOnly': { $ne: true },
+    password: { $in: [null, ''] },
+    'series.recurrence.frequency': { $exists: false },
+    ...conditions
+  };
+};
+
+eventSchema.statics.findByCategory = function(category, limit = 20) {
+  return this.find(this.listedQuery({ category }))
+    .limit(limit).sort({ createdAt: -1 });
 };
 
 eventSchema.statics.findUpcoming = function(limit = 20) {
-  return this.find({
-    'dateTime.start': { $gte: new Date() },
-    status: 'published',
-    visibility: 'public'
-  }).limit(limit).sort({ 'dateTime.start': 1 });
+  return this.find(this.listedQuery({ 'dateTime.start': { $gte: new Date() } }))
+    .limit(limit).sort({ 'dateTime.start': 1 });
 };
 
 eventSchema.statics.findFeatured = function(limit = 10) {
-  return this.find({
-    featured: true,
-    status: 'published',
-    visibility: 'public'
-  }).limit(limit).sort({ createdAt: -1 });
+  return this.find(this.listedQuery({ featured: true }))
+    .limit(limit).sort({ createdAt: -1 });
 };
 
 // Ticket Class Methods
@@ -695,12 +876,121 @@ eventSchema.methods.removeTicketClass = function(ticketClassId) {
   return null;
 };
 
-eventSchema.methods.getRemainingTickets = function(ticketClassId) {
-  const ticketClass = this.ticketClasses.find(tc => tc.id === ticketClassId);
-  if (!ticketClass || !ticketClass.quantity.total) {
-    return null; // Unlimited
+// Sales channels. Classes without channels are sold online; 'everywhere' covers every channel.
+eventSchema.methods.isSoldOnline = function(ticketClass) {
+  const channels = ticketClass?.salesChannels || [];
+  return channels.length === 0 || channels.some(channel => channel !== 'atd');
+};
+
+eventSchema.methods.isSoldAtDoor = function(ticketClass) {
+  const channels = ticketClass?.salesChannels || [];
+  return channels.includes('atd') || channels.includes('everywhere');
+};
+
+// Where a ticket class is in its sales window: 'upcoming', 'on_sale' or 'ended'
+eventSchema.methods.getSalesWindowState = function(ticketClass, now = new Date()) {
+  const { start, end } = ticketClass?.sales || {};
+  if (start && start > now) return 'upcoming';
+  if (end && end < now) return 'ended';
+  return 'on_sale';
+};
+
+// Sales window state as shown to buyers, with 'sold_out' for classes on sale with nothing left
+eventSchema.methods.getSalesStatus = function(ticketClass, now = new Date()) {
+  const state = this.getSalesWindowState(ticketClass, now);
+  if (state === 'on_sale' && this.getRemainingTickets(ticketClass.id) === 0) return 'sold_out';
+  return state;
+};
+
+// Auto-hidden classes are only shown while on sale. autoHideBefore and autoHideAfter
+// override the dates they are revealed and hidden again.
+eventSchema.methods.isTicketClassHidden = function(ticketClass, now = new Date()) {
+  const { hidden, autoHide, autoHideBefore, autoHideAfter } = ticketClass?.visibility || {};
+  if (hidden) return true;
+  if (!autoHide) return false;
+
+  const showFrom = autoHideBefore || ticketClass.sales?.start;
+  const showUntil = autoHideAfter || ticketClass.sales?.end;
+  return Boolean((showFrom && now < showFrom) || (showUntil && now > showUntil));
+};
+
+// Ticket classes are persisted under pricing.ticketClasses
+eventSchema.methods.getTicketClass = function(ticketClassId) {
+  const ticketClasses = this.pricing?.ticketClasses || [];
+  return ticketClasses.find(tc => tc.id === ticketClassId) || null;
+};
+
+// Whether an attendee may still request a refund under the event's policy
+eventSchema.methods.acceptsRefundRequests = function(date = new Date()) {
+  const policy = this.refundPolicy || {};
+  switch (policy.type) {
+    case 'no_refunds':
+      return false;
+    case 'anytime':
+      return true;
+    case 'days_before_event':
+    default: {
+      const days = policy.daysBeforeEvent !== undefined ? policy.daysBeforeEvent : 1;
+      const deadline = new Date(this.dateTime.start.getTime() - days * 24 * 60 * 60 * 1000);
+      return date <= deadline;
+    }
   }
-  return ticketClass.quantity.total - ticketClass.quantity.sold - ticketClass.quantity.reserved;
+};
+
+// Tickets sold or held by pending orders
+const getTicketsTaken = (ticketClass) =>
+  (ticketClass.quantity?.sold || 0) + (ticketClass.quantity?.reserved || 0);
+
+eventSchema.methods.getInventoryTier = function(tierId) {
+  if (!tierId) return null;
+  return (this.inventoryTiers || []).find(tier => tier.id === tierId) || null;
+};
+
+// Add-ons and tiers set not to count against capacity are left out of event capacity
+eventSchema.methods.countsTowardCapacity = function(ticketClass) {
+  const tier = this.getInventoryTier(ticketClass.inventoryTierId);
+  return !tier || (!tier.isAddon && tier.countAgainstEventCapacity !== false);
+};
+
+// Classes in an add-on tier are products sold alongside admission, like parking or merch
+eventSchema.methods.isAddOn = function(ticketClass) {
+  return Boolean(this.getInventoryTier(ticketClass?.inventoryTierId)?.isAddon);
+};
+
+// Tickets left in a tier's pool, shared by every ticket class in the tier; null when unlimited
+eventSchema.methods.getTierRemaining = function(tierId) {
+  const tier = this.getInventoryTier(tierId);
+  if (!tier || !tier.quantityTotal) return null;
+
+  const taken = (this.pricing?.ticketClasses || [])
+    .filter(tc => tc.inventoryTierId === tierId)
+    .reduce((sum, tc) => sum + getTicketsTaken(tc), 0);
+  return Math.max(tier.quantityTotal - taken, 0);
+};
+
+// Tickets left before the event is at capacity; null when it has no capacity limit
+eventSchema.methods.getRemainingCapacity = function() {
+  const total = this.calculateTotalCapacity();
+  if (!total) return null;
+
+  const taken = (this.pricing?.ticketClasses || [])
+    .filter(tc => this.countsTowardCapacity(tc))
+    .reduce((sum, tc) => sum + getTicketsTaken(tc), 0);
+  return Math.max(total - taken, 0);
+};
+
+// Remaining tickets exclude both sold tickets and those held by pending orders,
+// and are capped by the class's inventory tier and the event's capacity
+eventSchema.methods.getRemainingTickets = function(ticketClassId) {
+  const ticketClass = this.getTicketClass(ticketClassId);
+  if (!ticketClass) return null;
+
+  const limits = [
+    ticketClass.quantity?.total ? Math.max(ticketClass.quantity.total - getTicketsTaken(ticketClass), 0) : null,
+    this.getTierRemaining(ticketClass.inventoryTierId),
+    this.countsTowardCapacity(ticketClass) ? this.getRemainingCapacity() : null
+  ].filter(limit => limit !== null);
+  return limits.length > 0 ? Math.min(...limits) : null; // null for unlimited
 };
 
 // Inventory Tier Methods
@@ -772,10 +1062,10 @@ eventSchema.methods.calculateTotalCapacity = function() {
     return this.capacity?.total || null;
   }
 
-  // For tiered events, sum the tier capacities
+  // For tiered events, sum the tier capacities. Add-ons never count toward capacity.
   let totalCapacity = 0;
   this.inventoryTiers.forEach(tier => {
-    if (tier.countAgainstEventCapacity && tier.quantityTotal) {
+    if (tier.countAgainstEventCapacity && !tier.isAddon && tier.quantityTotal) {
       totalCapacity += tier.quantityTotal;
     }
   });
@@ -783,4 +1073,300 @@ eventSchema.methods.calculateTotalCapacity = function() {
   return totalCapacity || null;
 };
 
+// Aggregation expressions mirroring the inventory methods above. Updates check them against
+// the stored document, so concurrent purchases cannot oversell a class, tier or the event.
+const ticketClassesExpr = { $ifNull: ['$pricing.ticketClasses', []] };
+const inventoryTiersExpr = { $ifNull: ['$inventoryTiers', []] };
+
+const takenExpr = (tc) => ({
+  $add: [{ $ifNull: [`${tc}.quantity.sold`, 0] }, { $ifNull: [`${tc}.quantity.reserved`, 0] }]
+});
+
+// Sum valueOf(tc) over the ticket classes matching filterBy(tc); `as` names the class variable
+const sumTicketClasses = (as, filterBy, valueOf) => ({
+  $sum: {
+    $map: {
+      input: { $filter: { input: ticketClassesExpr, as, cond: filterBy(`$$${as}`) } },
+      as,
+      in: valueOf(`$$${as}`)
+    }
+  }
+});
+
+const tierCountsTowardCapacityExpr = (tier) => ({
+  $and: [{ $ne: [`${tier}.isAddon`, true] }, { $ne: [`${tier}.countAgainstEventCapacity`, false] }]
+});
+
+const tierIdsExpr = (cond) => ({
+  $map: {
+    input: { $filter: { input: inventoryTiersExpr, as: 'tier', cond } },
+    as: 'tier',
+    in: '$$tier.id'
+  }
+});
+
+const countsTowardCapacityExpr = (tc) => ({
+  $not: [{
+    $in: [
+      { $ifNull: [`${tc}.inventoryTierId`, null] },
+      tierIdsExpr({ $not: [tierCountsTowardCapacityExpr('$$tier')] })
+    ]
+  }]
+});
+
+const totalCapacityExpr = {
+  $cond: [
+    { $eq: ['$inventoryInfo.hasAdmissionTiers', true] },
+    {
+      $sum: {
+        $map: {
+          input: { $filter: { input: inventoryTiersExpr, as: 'tier', cond: tierCountsTowardCapacityExpr('$$tier') } },
+          as: 'tier',
+          in: { $ifNull: ['$$tier.quantityTotal', 0] }
+        }
+      }
+    },
+    { $ifNull: ['$capacity.total', 0] }
+  ]
+};
+
+// True when `requested` more tickets fit within `total`; no total means unlimited
+const fitsExpr = (taken, requested, total) => ({
+  $or: [
+    { $eq: [requested, 0] },
+    { $not: [{ $gt: [total, 0] }] },
+    { $lte: [{ $add: [taken, requested] }, total] }
+  ]
+});
+
+// Quantity of a ticket class asked for by `items`
+const requestedExpr = (items) => {
+  const quantities = {};
+  items.forEach(item => {
+    quantities[item.ticketClassId] = (quantities[item.ticketClassId] || 0) + item.quantity;
+  });
+  return (tc) => ({
+    $switch: {
+      branches: Object.entries(quantities).map(([ticketClassId, quantity]) => ({
+        case: { $eq: [`${tc}.id`, ticketClassId] },
+        then: quantity
+      })),
+      default: 0
+    }
+  });
+};
+
+// Aggregation expression: true when the ticket class can supply `quantity` more tickets
+const ticketClassHasCapacity = (ticketClassId, quantity) => ({
+  $anyElementTrue: [{
+    $map: {
+      input: ticketClassesExpr,
+      as: 'tc',
+      in: {
+        $and: [
+          { $eq: ['$$tc.id', ticketClassId] },
+          fitsExpr(takenExpr('$$tc'), quantity, '$$tc.quantity.total')
+        ]
+      }
+    }
+  }]
+});
+
+// Aggregation expression: true when every inventory tier touched by `items` has room for them
+const tiersHaveCapacity = (items) => {
+  const requested = requestedExpr(items);
+  const inTier = (tc) => ({ $eq: [`${tc}.inventoryTierId`, '$$tier.id'] });
+  return {
+    $allElementsTrue: [{
+      $map: {
+        input: inventoryTiersExpr,
+        as: 'tier',
+        in: fitsExpr(
+          sumTicketClasses('tc', inTier, takenExpr),
+          sumTicketClasses('tc', inTier, requested),
+          '$$tier.quantityTotal'
+        )
+      }
+    }]
+  };
+};
+
+// Aggregation expression: true when the event has capacity left for `items`
+const eventHasCapacity = (items) => fitsExpr(
+  sumTicketClasses('tc', countsTowardCapacityExpr, takenExpr),
+  sumTicketClasses('tc', countsTowardCapacityExpr, requestedExpr(items)),
+  totalCapacityExpr
+);
+
+// Aggregation expression: true when a ticket class or the tier it draws from is full
+const ticketClassFullExpr = (tc) => ({
+  $or: [
+    {
+      $and: [
+        { $gt: [`${tc}.quantity.total`, 0] },
+        { $gte: [takenExpr(tc), `${tc}.quantity.total`] }
+      ]
+    },
+    {
+      $anyElementTrue: [{
+        $map: {
+          input: inventoryTiersExpr,
+          as: 'tier',
+          in: {
+            $and: [
+              { $eq: ['$$tier.id', `${tc}.inventoryTierId`] },
+              { $gt: ['$$tier.quantityTotal', 0] },
+              {
+                $gte: [
+                  sumTicketClasses('other', other => ({ $eq: [`${other}.inventoryTierId`, '$$tier.id'] }), takenExpr),
+                  '$$tier.quantityTotal'
+                ]
+              }
+            ]
+          }
+        }
+      }]
+    }
+  ]
+});
+
+// Build a $inc update touching each ticket class in `items` through array filters
+const buildTicketClassUpdate = (items, fieldDeltas) => {
+  const $inc = {};
+  const arrayFilters = [];
+  items.forEach((item, index) => {
+    Object.entries(fieldDeltas).forEach(([field, sign]) => {
+      $inc[`pricing.ticketClasses.$[tc${index}].quantity.${field}`] = sign * item.quantity;
+    });
+    arrayFilters.push({ [`tc${index}.id`]: item.ticketClassId });
+  });
+  return { $inc, arrayFilters };
+};
+
+// Recompute inventoryInfo from the stored ticket counts. Runs as a single pipeline update,
+// so whichever inventory change lands last leaves it correct.
+eventSchema.statics.syncInventoryInfo = function(eventId) {
+  const addonTierIds = tierIdsExpr({ $eq: ['$$tier.isAddon', true] });
+  const admissionClasses = {
+    $filter: {
+      input: ticketClassesExpr,
+      as: 'tc',
+      cond: { $not: [{ $in: [{ $ifNull: ['$$tc.inventoryTierId', null] }, addonTierIds] }] }
+    }
+  };
+
+  return this.findOneAndUpdate(
+    { _id: eventId },
+    [
+      {
+        $set: {
+          'inventoryInfo.totalCapacity': {
+            $cond: [{ $gt: [totalCapacityExpr, 0] }, totalCapacityExpr, null]
+          }
+        }
+      },
+      {
+        $set: {
+          'inventoryInfo.remainingCapacity': {
+            $cond: [
+              { $gt: ['$inventoryInfo.totalCapacity', 0] },
+              {
+                $max: [
+                  { $subtract: ['$inventoryInfo.totalCapacity', sumTicketClasses('tc', countsTowardCapacityExpr, takenExpr)] },
+                  0
+                ]
+              },
+              null
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          // Sold out when the event is at capacity or no admission ticket class has any left
+          'inventoryInfo.soldOut': {
+            $or: [
+              { $eq: ['$inventoryInfo.remainingCapacity', 0] },
+              {
+                $and: [
+                  { $gt: [{ $size: admissionClasses }, 0] },
+                  { $allElementsTrue: [{ $map: { input: admissionClasses, as: 'tc', in: ticketClassFullExpr('$$tc') } }] }
+                ]
+              }
+            ]
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+};
+
+// Atomically hold tickets for every item, or none of them.
+// Resolves to null when any ticket class, inventory tier or the event lacks the remaining inventory.
+eventSchema.statics.reserveTickets = async function(eventId, items) {
+  const { $inc, arrayFilters } = buildTicketClassUpdate(items, { reserved: 1 });
+  const event = await this.findOneAndUpdate(
+    {
+      _id: eventId,
+      $expr: {
+        $and: [
+          ...items.map(item => ticketClassHasCapacity(item.ticketClassId, item.quantity)),
+          tiersHaveCapacity(items),
+          eventHasCapacity(items)
+        ]
+      }
+    },
+    { $inc },
+    { new: true, arrayFilters }
+  );
+  return event && this.syncInventoryInfo(eventId);
+};
+
+// Return held tickets to the pool
+eventSchema.statics.releaseTickets = async function(eventId, items) {
+  const { $inc, arrayFilters } = buildTicketClassUpdate(items, { reserved: -1 });
+  const event = await this.findOneAndUpdate({ _id: eventId }, { $inc }, { new: true, arrayFilters });
+  return event && this.syncInventoryInfo(eventId);
+};
+
+// Convert held tickets into sold tickets and register their attendees.
+// Held tickets already count against inventory, so inventoryInfo is unchanged.
+eventSchema.statics.commitTickets = function(eventId, items, attendees = []) {
+  const { $inc, arrayFilters } = buildTicketClassUpdate(items, { reserved: -1, sold: 1 });
+  return this.findOneAndUpdate(
+    { _id: eventId },
+    { $inc, $push: { attendees: { $each: attendees } } },
+    { new: true, arrayFilters }
+  );
+};
+
+// Return refunded tickets to inventory and flag their attendees as refunded
+eventSchema.statics.refundTickets = async function(eventId, items, attendeeIds = []) {
+  const { $inc, arrayFilters } = buildTicketClassUpdate(items, { sold: -1 });
+  const update = { $inc };
+
+  if (attendeeIds.length > 0) {
+    update.$set = { 'attendees.$[refunded].paymentStatus': 'refunded' };
+    arrayFilters.push({ 'refunded._id': { $in: attendeeIds } });
+  }
+
+  const event = await this.findOneAndUpdate({ _id: eventId }, update, { new: true, arrayFilters });
+  return event && this.syncInventoryInfo(eventId);
+};
+
+// Saves can change tiers, capacity or ticket classes; bring inventoryInfo in line afterwards
+eventSchema.pre('save', function(next) {
+  this.$locals.inventoryChanged = this.isModified('inventoryTiers') ||
+    this.isModified('capacity') ||
+    this.isModified('pricing.ticketClasses');
+  next();
+});
+
+eventSchema.post('save', async function() {
+  if (this.$locals.inventoryChanged) {
+    await this.constructor.syncInventoryInfo(this._id);
+  }
+});
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
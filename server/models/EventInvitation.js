@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Access to an invite-only event. A 'code' can be shared and redeemed by several people;
+// a 'link' is a personal invite that belongs to the first person who redeems it.
+const eventInvitationSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['code', 'link'],
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String, // Who a personal link was sent to
+    trim: true,
+    lowercase: true
+  },
+  maxUses: Number, // Codes only; null for unlimited
+  redemptions: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  expiresAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+eventInvitationSchema.index({ eventId: 1, createdAt: -1 });
+eventInvitationSchema.index({ eventId: 1, 'redemptions.userId': 1 });
+
+eventInvitationSchema.methods.isUsable = function(now = new Date()) {
+  if (this.status !== 'active') return false;
+  if (this.expiresAt && this.expiresAt < now) return false;
+  const limit = this.kind === 'link' ? 1 : this.maxUses;
+  return !limit || this.redemptions.length < limit;
+};
+
+eventInvitationSchema.methods.isRedeemedBy = function(userId) {
+  return this.redemptions.some(redemption => redemption.userId && redemption.userId.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('EventInvitation', eventInvitationSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CNY', 'INR'];
+
+// Offline exchange rates maintained by admins. A rate is the number of units of
+// `currency` worth one unit of the base currency.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: CURRENCIES
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  updatedBy: String // Admin who last set the rate
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.statics.CURRENCIES = CURRENCIES;
+exchangeRateSchema.statics.BASE_CURRENCY = 'USD';
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Export saved to GridFS by a scheduled run, kept for download until it expires
+const exportFileSchema = new mongoose.Schema({
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExportSchedule'
+  },
+  datasets: [String],
+  format: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  from: Date,
+  to: Date,
+  filename: {
+    type: String,
+    required: true
+  },
+  storageId: {
+    type: mongoose.Schema.Types.ObjectId, // The file in the exports GridFS bucket; never sent to clients
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['running', 'ready', 'failed'],
+    default: 'running'
+  },
+  rows: {
+    type: Number,
+    default: 0
+  },
+  size: {
+    type: Number, // Bytes
+    default: 0
+  },
+  error: String,
+  completedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+exportFileSchema.index({ organizerId: 1, createdAt: -1 });
+exportFileSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('ExportFile', exportFileSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Recurring analytics export. Each run covers the last `rangeDays` days and is saved as an
+// ExportFile the organizer can download.
+const exportScheduleSchema = new mongoose.Schema({
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  datasets: {
+    type: [{
+      type: String,
+      enum: ['orders', 'attendees', 'checkins', 'campaigns']
+    }],
+    validate: {
+      validator: datasets => datasets.length > 0,
+      message: 'Choose at least one dataset'
+    }
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ndjson', 'xlsx'],
+    default: 'xlsx'
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId, // Limit the export to one event
+    ref: 'Event'
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  rangeDays: {
+    type: Number,
+    min: 1,
+    max: 366,
+    default: 30
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+exportScheduleSchema.index({ organizerId: 1, createdAt: -1 });
+exportScheduleSchema.index({ active: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ExportSchedule', exportScheduleSchema);
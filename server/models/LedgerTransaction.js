@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Accounts money moves between. 'organizer' is what the platform owes the organizer;
+// 'buyer_funds' is money collected from (or returned to) buyers through the payment provider;
+// 'disputes' holds disputed amounts until the card issuer decides.
+const ACCOUNTS = ['buyer_funds', 'organizer', 'platform_fees', 'payouts', 'adjustments', 'disputes'];
+
+// One balanced movement of money in an organizer's ledger. Entry amounts are credits to
+// their account (negative for debits) and always sum to zero.
+const ledgerTransactionSchema = new mongoose.Schema({
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: [
+      'sale', 'door_sale', 'refund', 'payout', 'payout_reversal', 'adjustment',
+      'dispute_hold', 'dispute_release', 'dispute_loss'
+    ],
+    required: true
+  },
+  // What caused the transaction, e.g. 'order:<id>'; recording the same source twice is a no-op
+  sourceKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  entries: [{
+    _id: false,
+    account: {
+      type: String,
+      enum: ACCOUNTS,
+      required: true
+    },
+    amount: {
+      type: Number, // Minor units
+      required: true
+    }
+  }],
+  // Change to the organizer's balance, kept alongside the entries for listing and totals
+  organizerAmount: {
+    type: Number,
+    required: true
+  },
+  // Sales count toward the pending balance until they clear; everything else is immediate
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  disputeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  memo: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: String // Who made a manual adjustment
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerTransactionSchema.index({ organizerId: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ organizerId: 1, currency: 1, availableAt: 1 });
+
+ledgerTransactionSchema.pre('validate', function(next) {
+  const total = this.entries.reduce((sum, entry) => sum + entry.amount, 0);
+  if (total !== 0) {
+    return next(new Error('Ledger entries must balance'));
+  }
+  this.organizerAmount = this.entries
+    .filter(entry => entry.account === 'organizer')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  next();
+});
+
+ledgerTransactionSchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    ticketClassId: {
+      type: String,
+      required: true
+    },
+    ticketClassName: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number, // Minor units, same as ticketClasses cost.value
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number, // Ticket price after discount, excluding the buyer's fee and tax
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0
+    },
+    buyerFee: {
+      type: Number, // Share of the platform fee paid by the buyer
+      default: 0
+    },
+    platformFee: {
+      type: Number,
+      default: 0
+    },
+    refundedQuantity: {
+      type: Number,
+      default: 0
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    isDonation: {
+      type: Boolean, // unitPrice is the amount chosen by the donor
+      default: false
+    },
+    pledgeInterval: {
+      type: String, // Set when the donor pledged to give this amount again
+      enum: ['monthly', 'yearly']
+    },
+    isAddOn: {
+      type: Boolean, // Product from an add-on inventory tier, such as parking or merch
+      default: false
+    },
+    seats: [{
+      seatId: {
+        type: mongoose.Schema.Types.ObjectId, // Picked from the event's seating chart
+        ref: 'Seat'
+      },
+      label: String
+    }]
+  }],
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    discountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Discount'
+    },
+    code: String,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  fees: {
+    platform: {
+      type: Number, // Total platform fee, whoever pays it
+      default: 0
+    },
+    buyer: {
+      type: Number, // Part of the platform fee added to the buyer's total
+      default: 0
+    }
+  },
+  // One line per tax rule applied, for receipts and tax filing
+  taxes: [{
+    taxRuleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxRule'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    rate: Number,
+    country: String,
+    region: String,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  taxInclusive: {
+    type: Boolean, // Ticket prices were listed with tax included
+    default: false
+  },
+  totalAmount: {
+    type: Number, // What the buyer pays, including their share of fees and tax
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_approval', 'pending', 'completed', 'partially_refunded', 'refunded', 'failed', 'expired', 'cancelled', 'declined'],
+    default: 'pending'
+  },
+  buyer: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  // Registration form for each admission ticket, in ticket order within each ticket class
+  attendees: [{
+    ticketClassId: String,
+    name: String,
+    email: String,
+    answers: [{
+      questionId: String,
+      label: String, // As asked, so answers stay readable if the question changes
+      type: {
+        type: String
+      },
+      value: mongoose.Schema.Types.Mixed
+    }]
+  }],
+  channel: {
+    type: String, // Matches ticketClasses salesChannels; atd orders are sold at the door
+    enum: ['online', 'atd'],
+    default: 'online'
+  },
+  // Payment taken in person for box office sales and comps
+  boxOffice: {
+    soldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'card', 'comp']
+    },
+    terminalReference: String, // Card terminal transaction ID
+    amountTendered: Number,
+    changeDue: Number,
+    note: String
+  },
+  // Online payment through the configured payment provider; webhooks move it along
+  payment: {
+    provider: String,
+    paymentId: String, // The provider's charge id
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'refunded']
+    },
+    failureReason: String,
+    customerId: String, // Provider customer the payment method is saved to, for recurring donations
+    paymentMethodId: String,
+    startedAt: Date,
+    paidAt: Date
+  },
+  // Numbered invoice, issued on request with the billing details the buyer gave
+  invoice: {
+    number: String,
+    issuedAt: Date,
+    claimedAt: Date, // Set while a request is issuing the invoice, before it takes a number
+    billTo: {
+      name: String,
+      company: String,
+      address: String,
+      taxId: String,
+      email: String
+    }
+  },
+  // Latest chargeback raised against the payment, so disputed orders stand out in listings
+  dispute: {
+    disputeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dispute'
+    },
+    status: String
+  },
+  // Set when a ticket class or the event requires the organizer to approve registrations
+  approval: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  },
+  // Set on orders created by charging a recurring donation pledge
+  pledgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationPledge'
+  },
+  holdExpiresAt: Date,
+  completedAt: Date,
+  refundedAt: Date,
+  cancelledAt: Date,
+  expiredAt: Date,
+  declinedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderSchema.index({ eventId: 1, status: 1 });
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ organizerId: 1, status: 1, completedAt: -1 });
+orderSchema.index({ status: 1, holdExpiresAt: 1 });
+orderSchema.index({ 'discount.discountId': 1, status: 1 });
+orderSchema.index({ organizerId: 1, 'dispute.status': 1 });
+orderSchema.index(
+  { organizerId: 1, 'invoice.number': 1 },
+  { unique: true, partialFilterExpression: { 'invoice.number': { $exists: true } } }
+);
+orderSchema.index({ pledgeId: 1 });
+orderSchema.index({ eventId: 1, channel: 1, completedAt: -1 });
+orderSchema.index({ 'payment.paymentId': 1 });
+
+// Generate order ID before validation so the required check passes
+orderSchema.pre('validate', function(next) {
+  if (!this.orderId) {
+    this.orderId = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+  next();
+});
+
+// Statuses of orders that were paid for, including those later refunded
+orderSchema.statics.PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Virtual for total ticket count
+orderSchema.virtual('ticketCount').get(function() {
+  return this.items ? this.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
+});
+
+// Virtual for tickets not refunded
+orderSchema.virtual('activeTicketCount').get(function() {
+  return this.items ? this.items.reduce((sum, item) => sum + item.quantity - (item.refundedQuantity || 0), 0) : 0;
+});
+
+// Virtual for revenue kept after refunds
+orderSchema.virtual('netAmount').get(function() {
+  return this.totalAmount - (this.refundedAmount || 0);
+});
+
+orderSchema.methods.isHoldExpired = function() {
+  return this.status === 'pending' && this.holdExpiresAt && this.holdExpiresAt < new Date();
+};
+
+module.exports = mongoose.model('Order', orderSchema);
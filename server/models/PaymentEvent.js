@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A webhook received from a payment provider. The unique provider event id is what makes
+// replayed webhooks harmless: each event is applied once.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String, // The provider's event id
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  objectId: String, // Charge, refund or payout the event is about
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ objectId: 1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Money sent from the platform to an organizer through the payment provider. Organizers
+// request payouts, which an admin approves (sent) or rejects.
+const payoutSchema = new mongoose.Schema({
+  payoutId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number, // Minor units
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  provider: String, // Set when the payout is sent
+  destination: String, // The organizer's account with the provider
+  providerPayoutId: String,
+  status: {
+    type: String,
+    enum: ['requested', 'pending', 'paid', 'failed', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  failureReason: String, // Or why the request was rejected
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: String, // Admin who approved or rejected the request
+  reviewedAt: Date,
+  note: {
+    type: String,
+    maxlength: 1000
+  },
+  paidAt: Date,
+  failedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutSchema.index({ organizerId: 1, createdAt: -1 });
+payoutSchema.index({ providerPayoutId: 1 });
+
+// Generate payout ID before validation so the required check passes
+payoutSchema.pre('validate', function(next) {
+  if (!this.payoutId) {
+    this.payoutId = 'PO-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Payout', payoutSchema);
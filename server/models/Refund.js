@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  // Tickets returned to inventory; empty for amount-only refunds
+  items: [{
+    ticketClassId: String,
+    ticketClassName: String,
+    quantity: Number
+  }],
+  amount: {
+    type: Number, // Minor units; for requests this is the amount that would be refunded at request time
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  reason: {
+    type: String,
+    maxlength: 1000
+  },
+  initiatedBy: {
+    type: String,
+    enum: ['attendee', 'organizer'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'processed', 'declined', 'failed'],
+    default: 'requested'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  organizerNote: {
+    type: String,
+    maxlength: 1000
+  },
+  // Money returned through the payment provider, for orders paid online
+  payment: {
+    provider: String,
+    refundId: String, // The provider's refund id
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed']
+    },
+    failureReason: String
+  },
+  // Steps already taken while processing, so an interrupted refund resumes where it stopped
+  progress: {
+    startedAt: Date, // When the current attempt began; a stale attempt can be taken over
+    moneyReturnedAt: Date,
+    orderUpdatedAt: Date,
+    attendeeIds: [mongoose.Schema.Types.ObjectId],
+    ticketsReturnedAt: Date
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+refundSchema.index({ orderId: 1, createdAt: -1 });
+refundSchema.index({ eventId: 1, status: 1 });
+refundSchema.index({ organizerId: 1, status: 1, processedAt: -1 });
+refundSchema.index({ 'payment.refundId': 1 });
+
+// Generate refund ID before validation so the required check passes
+refundSchema.pre('validate', function(next) {
+  if (!this.refundId) {
+    this.refundId = 'RFD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One seat in a venue event's seating chart. Seats are held and sold one document at a time
+// so two buyers can never end up with the same seat.
+const seatSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  row: {
+    type: String,
+    required: true
+  },
+  number: {
+    type: String,
+    required: true
+  },
+  ticketClassId: {
+    type: String, // The ticket class a buyer pays for when picking this seat
+    required: true
+  },
+  accessible: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number, // Position in the chart: section, then row, then seat
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['available', 'held', 'sold', 'blocked'],
+    default: 'available'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId, // Order holding the seat, or that bought it
+    ref: 'Order'
+  },
+  attendeeId: mongoose.Schema.Types.ObjectId, // Entry in event.attendees once sold
+  blockedReason: String,
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  blockedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+seatSchema.index({ eventId: 1, section: 1, row: 1, number: 1 }, { unique: true });
+seatSchema.index({ eventId: 1, sortOrder: 1 });
+seatSchema.index({ orderId: 1, status: 1 });
+
+seatSchema.virtual('label').get(function() {
+  return `${this.section}, Row ${this.row}, Seat ${this.number}`;
+});
+
+seatSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Seat', seatSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A tax charged on ticket sales in a country, or in one region of it. Every active rule
+// matching an event's checkout country and region is applied, so regional taxes can
+// stack on a national one (e.g. GST plus PST).
+const taxRuleSchema = new mongoose.Schema({
+  country: {
+    type: String, // ISO 3166-1 alpha-2, like checkout_settings.country
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  region: {
+    type: String, // State or province code; empty for a countrywide tax
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  name: {
+    type: String, // Shown on orders and receipts, e.g. "VAT" or "CA Sales Tax"
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['vat', 'gst', 'sales_tax'],
+    required: true
+  },
+  rate: {
+    type: Number, // Percentage
+    required: true,
+    min: 0,
+    max: 100
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: String // Admin who last changed the rule
+}, {
+  timestamps: true
+});
+
+// Indexes
+taxRuleSchema.index({ country: 1, region: 1, active: 1 });
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
@@ -160,4 +160,15 @@ teamMemberSchema.statics.getUserTeams = async function(userId) {
     .sort({ joinedAt: -1 });
 };
 
+// Static method to check whether a user may act on an organizer's events,
+// either as the organizer or as an active team member holding the permission
+teamMemberSchema.statics.hasOrganizerPermission = async function(organizerId, userId, category, action) {
+  if (organizerId.toString() === userId.toString()) {
+    return true;
+  }
+
+  const members = await this.find({ organizerId, userId, status: 'active' });
+  return members.some(member => member.hasPermission(category, action));
+};
+
 module.exports = mongoose.model('TeamMember', teamMemberSchema);
\ No newline at end of file
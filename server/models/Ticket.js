@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const ticketSchema = new mongoose.Schema({
+  ticketId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String, // Add-on vouchers are redeemed at their own scan point and never admit anyone
+    enum: ['admission', 'addon'],
+    default: 'admission'
+  },
+  attendeeId: {
+    type: mongoose.Schema.Types.ObjectId, // Entry in event.attendees
+    required: function() { return this.kind !== 'addon'; }
+  },
+  ticketClassId: String,
+  ticketClassName: String,
+  holderName: String,
+  seat: String, // Seat label, for reserved seating
+  status: {
+    type: String,
+    enum: ['valid', 'checked_in', 'void'],
+    default: 'valid'
+  },
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkInDeviceId: String,
+  voidedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+ticketSchema.index({ eventId: 1, status: 1 });
+ticketSchema.index({ eventId: 1, updatedAt: 1 });
+ticketSchema.index({ orderId: 1 });
+ticketSchema.index({ userId: 1, createdAt: -1 });
+ticketSchema.index({ attendeeId: 1 });
+
+// Generate ticket ID before validation so the required check passes
+ticketSchema.pre('validate', function(next) {
+  if (!this.ticketId) {
+    this.ticketId = 'TKT-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Ticket', ticketSchema);
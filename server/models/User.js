@@ -120,6 +120,10 @@ const userSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    reportingCurrency: {
+      type: String, // Currency dashboards and analytics are reported in
+      enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CNY', 'INR']
+    },
     emailOptIn: {
       type: Boolean,
       default: false
@@ -133,6 +137,43 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  // How this organizer's invoices are numbered and what they print
+  invoiceSettings: {
+    prefix: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+      default: 'INV-'
+    },
+    nextNumber: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    padding: {
+      type: Number, // Digits the number is zero-padded to
+      min: 1,
+      max: 12,
+      default: 5
+    },
+    address: {
+      type: String,
+      maxlength: 500
+    },
+    taxId: {
+      type: String, // VAT or other tax registration number
+      trim: true,
+      maxlength: 50
+    },
+    footer: {
+      type: String,
+      maxlength: 1000
+    },
+    attachReceipts: {
+      type: Boolean, // Attach a PDF receipt to order confirmation emails
+      default: true
+    }
+  },
   settings: {
     notifications: {
       email: {
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ticketClassId: String, // Empty when the user will take any ticket class
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  name: String,
+  email: String,
+  phone: String,
+  notifyBy: {
+    type: String,
+    enum: ['email', 'sms'],
+    default: 'email'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Seats held for this entry while an offer is open
+  offer: {
+    token: String,
+    ticketClassId: String,
+    ticketClassName: String,
+    quantity: Number,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  claimedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+waitlistEntrySchema.index({ eventId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1, eventId: 1 });
+waitlistEntrySchema.index({ 'offer.token': 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Statuses of entries still in line or holding an offer
+waitlistEntrySchema.statics.ACTIVE_STATUSES = ['waiting', 'offered'];
+
+waitlistEntrySchema.methods.isOfferExpired = function() {
+  return this.status === 'offered' && this.offer?.expiresAt && this.offer.expiresAt < new Date();
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -7,6 +7,12 @@ const {
     changeAdminPassword,
     adminLoginRateLimit
 } = require('../middleware/adminAuth');
+const TaxRule = require('../models/TaxRule');
+const currencyService = require('../services/currencyService');
+const taxService = require('../services/taxService');
+const Payout = require('../models/Payout');
+const paymentService = require('../services/paymentService');
+const financeService = require('../services/financeService');
 
 // Admin login endpoint
 router.post('/login', adminLoginRateLimit, async (req, res) => {
@@ -104,4 +110,252 @@ router.get('/profile', requireAdminAuth, (req, res) => {
     });
 });
 
+// Get the exchange rates used to report revenue across currencies
+router.get('/exchange-rates', requireAdminAuth, async (req, res) => {
+    try {
+        const rates = await currencyService.listRates();
+
+        res.json({
+            success: true,
+            baseCurrency: 'USD',
+            rates
+        });
+    } catch (error) {
+        console.error('Error fetching exchange rates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch exchange rates'
+        });
+    }
+});
+
+// Update exchange rates, given as units of each currency per USD
+router.put('/exchange-rates', requireAdminAuth, async (req, res) => {
+    try {
+        const rates = await currencyService.setRates(req.body.rates, req.admin.username);
+
+        res.json({
+            success: true,
+            message: 'Exchange rates updated successfully',
+            baseCurrency: 'USD',
+            rates
+        });
+    } catch (error) {
+        console.error('Error updating exchange rates:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to update exchange rates'
+        });
+    }
+});
+
+// Get tax rules, optionally for one country
+router.get('/tax-rules', requireAdminAuth, async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.country) query.country = String(req.query.country).toUpperCase();
+
+        const taxRules = await TaxRule.find(query).sort({ country: 1, region: 1, name: 1 });
+
+        res.json({
+            success: true,
+            taxRules
+        });
+    } catch (error) {
+        console.error('Error fetching tax rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch tax rules'
+        });
+    }
+});
+
+// Create a tax rule for a country or region
+router.post('/tax-rules', requireAdminAuth, async (req, res) => {
+    try {
+        const taxRule = await taxService.createRule(req.body, req.admin.username);
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax rule created successfully',
+            taxRule
+        });
+    } catch (error) {
+        console.error('Error creating tax rule:', error);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({
+            success: false,
+            message: error.name === 'ValidationError' ? error.message : 'Failed to create tax rule'
+        });
+    }
+});
+
+// Update a tax rule; set active to false to stop charging it
+router.put('/tax-rules/:ruleId', requireAdminAuth, async (req, res) => {
+    try {
+        const taxRule = await taxService.updateRule(req.params.ruleId, req.body, req.admin.username);
+
+        res.json({
+            success: true,
+            message: 'Tax rule updated successfully',
+            taxRule
+        });
+    } catch (error) {
+        console.error('Error updating tax rule:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Failed to update tax rule'
+        });
+    }
+});
+
+// Delete a tax rule; orders keep the tax lines they were charged
+router.delete('/tax-rules/:ruleId', requireAdminAuth, async (req, res) => {
+    try {
+        const taxRule = await TaxRule.findByIdAndDelete(req.params.ruleId);
+        if (!taxRule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tax rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting tax rule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete tax rule'
+        });
+    }
+});
+
+// List organizer payouts, newest first
+router.get('/payouts', requireAdminAuth, async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.organizerId) query.organizerId = req.query.organizerId;
+        if (req.query.status) query.status = req.query.status;
+
+        const payouts = await Payout.find(query).sort({ createdAt: -1 }).limit(200);
+
+        res.json({
+            success: true,
+            payouts
+        });
+    } catch (error) {
+        console.error('Error fetching payouts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch payouts'
+        });
+    }
+});
+
+// Send money to an organizer through the payment provider
+router.post('/payouts', requireAdminAuth, async (req, res) => {
+    try {
+        const { organizerId, amount, currency, destination, note } = req.body;
+        const payout = await paymentService.createPayout({ organizerId, amount, currency, destination, note });
+
+        res.status(201).json({
+            success: payout.status !== 'failed',
+            message: payout.status === 'failed' ? `Payout failed: ${payout.failureReason}` : 'Payout created successfully',
+            payout
+        });
+    } catch (error) {
+        console.error('Error creating payout:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to create payout'
+        });
+    }
+});
+
+// Approve an organizer's payout request and send it
+router.post('/payouts/:payoutId/approve', requireAdminAuth, async (req, res) => {
+    try {
+        const payout = await Payout.findOne({ payoutId: req.params.payoutId });
+        if (!payout) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payout not found'
+            });
+        }
+
+        const sent = await paymentService.approvePayout(payout, req.admin.username);
+
+        res.json({
+            success: sent.status !== 'failed',
+            message: sent.status === 'failed' ? `Payout failed: ${sent.failureReason}` : 'Payout approved',
+            payout: sent
+        });
+    } catch (error) {
+        console.error('Error approving payout:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to approve payout'
+        });
+    }
+});
+
+// Reject an organizer's payout request; the amount goes back to their balance
+router.post('/payouts/:payoutId/reject', requireAdminAuth, async (req, res) => {
+    try {
+        const payout = await Payout.findOne({ payoutId: req.params.payoutId });
+        if (!payout) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payout not found'
+            });
+        }
+
+        const rejected = await financeService.closePayout(payout, 'rejected', {
+            reviewedBy: req.admin.username,
+            reason: req.body.reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Payout rejected',
+            payout: rejected
+        });
+    } catch (error) {
+        console.error('Error rejecting payout:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to reject payout'
+        });
+    }
+});
+
+// Credit (positive amount) or debit (negative amount) an organizer's balance by hand
+router.post('/ledger/adjustments', requireAdminAuth, async (req, res) => {
+    try {
+        const { organizerId, amount, currency, memo } = req.body;
+        const transaction = await financeService.recordAdjustment({
+            organizerId,
+            amount,
+            currency,
+            memo,
+            createdBy: req.admin.username
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Adjustment recorded',
+            transaction
+        });
+    } catch (error) {
+        console.error('Error recording ledger adjustment:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to record adjustment'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
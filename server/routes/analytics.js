@@ -1,27 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const cron = require('node-cron');
 const Event = require('../models/Event');
 const Analytics = require('../models/Analytics');
+const Order = require('../models/Order');
+const Discount = require('../models/Discount');
+const TeamMember = require('../models/TeamMember');
+const ExportSchedule = require('../models/ExportSchedule');
+const feeService = require('../services/feeService');
+const currencyService = require('../services/currencyService');
+const taxService = require('../services/taxService');
+const disputeService = require('../services/disputeService');
+const exportService = require('../services/exportService');
 const { authenticateToken } = require('../middleware/auth');
 
-// Create a Ticket model if it doesn't exist
-let Ticket;
-try {
-  Ticket = mongoose.model('Ticket');
-} catch {
-  const ticketSchema = new mongoose.Schema({
-    eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    ticketType: { type: String, required: true },
-    price: { type: Number, required: true },
-    quantity: { type: Number, required: true, default: 1 },
-    status: { type: String, enum: ['active', 'cancelled', 'refunded'], default: 'active' },
-    purchaseDate: { type: Date, default: Date.now },
-    totalAmount: { type: Number, required: true }
-  });
-  Ticket = mongoose.model('Ticket', ticketSchema);
-}
+// Order amounts are stored in minor units of the order's currency; analytics report
+// major units of the organizer's reporting currency
+const reportingExpr = (field, conversion) => currencyService.toReportingExpr(field, conversion);
+const sumOrders = (orders, getAmount, conversion) => currencyService.sumConverted(
+  orders.map(order => ({ amount: getAmount(order), currency: order.currency })),
+  conversion
+);
+
+// Revenue and ticket counts are reported net of refunds
+const paidStatuses = { $in: Order.PAID_STATUSES };
+const netAmountExpr = (amountField, refundedField, conversion) => reportingExpr({
+  $subtract: [amountField, { $ifNull: [refundedField, 0] }]
+}, conversion);
+const activeTicketsExpr = {
+  $sum: {
+    $map: {
+      input: '$items',
+      as: 'item',
+      in: { $subtract: ['$$item.quantity', { $ifNull: ['$$item.refundedQuantity', 0] }] }
+    }
+  }
+};
+const linePaidExpr = {
+  $add: ['$items.total', { $ifNull: ['$items.buyerFee', 0] }, { $ifNull: ['$items.tax', 0] }]
+};
+const activeLineTicketsExpr = { $subtract: ['$items.quantity', { $ifNull: ['$items.refundedQuantity', 0] }] };
 
 /**
  * GET /api/analytics/overview
@@ -30,7 +49,8 @@ try {
 router.get('/overview', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { timeRange = '30' } = req.query; // days
+    const { timeRange = '30', currency } = req.query; // days
+    const conversion = await currencyService.getConversion(userId, currency);
 
     // Calculate date range
     const startDate = new Date();
@@ -47,9 +67,11 @@ router.get('/overview', authenticateToken, async (req, res) => {
     if (eventIds.length === 0) {
       // No events yet - return empty state
       return res.json({
+        currency: conversion.currency,
         overview: {
           totalRevenue: 0,
           totalTicketsSold: 0,
+          totalRefunded: 0,
           totalEvents: 0,
           publishedEvents: 0,
           revenueChange: 0,
@@ -58,31 +80,33 @@ router.get('/overview', authenticateToken, async (req, res) => {
         revenue: { monthly: [] },
         events: { topPerforming: [], performance: [] },
         ticketSales: { byType: [] },
-        attendance: { total: 0, checked_in: 0 }
+        attendance: { total: 0, checked_in: 0 },
+        disputes: { total: 0, open: 0, won: 0, lost: 0, paidOrders: 0, rate: 0 }
       });
     }
 
-    // Get tickets sold in current period
-    const currentTickets = await Ticket.find({
+    // Get orders paid in current period
+    const currentOrders = await Order.find({
       eventId: { $in: eventIds },
-      purchaseDate: { $gte: startDate },
-      status: 'active'
+      completedAt: { $gte: startDate },
+      status: paidStatuses
     });
 
-    // Get tickets sold in previous period
-    const previousTickets = await Ticket.find({
+    // Get orders paid in previous period
+    const previousOrders = await Order.find({
       eventId: { $in: eventIds },
-      purchaseDate: { $gte: previousStartDate, $lt: startDate },
-      status: 'active'
+      completedAt: { $gte: previousStartDate, $lt: startDate },
+      status: paidStatuses
     });
 
     // Calculate current period metrics
-    const currentRevenue = currentTickets.reduce((sum, t) => sum + t.totalAmount, 0);
-    const currentTicketCount = currentTickets.reduce((sum, t) => sum + t.quantity, 0);
+    const currentRevenue = sumOrders(currentOrders, o => o.netAmount, conversion);
+    const currentTicketCount = currentOrders.reduce((sum, o) => sum + o.activeTicketCount, 0);
+    const currentRefunded = sumOrders(currentOrders, o => o.refundedAmount || 0, conversion);
 
     // Calculate previous period metrics
-    const previousRevenue = previousTickets.reduce((sum, t) => sum + t.totalAmount, 0);
-    const previousTicketCount = previousTickets.reduce((sum, t) => sum + t.quantity, 0);
+    const previousRevenue = sumOrders(previousOrders, o => o.netAmount, conversion);
+    const previousTicketCount = previousOrders.reduce((sum, o) => sum + o.activeTicketCount, 0);
 
     // Calculate percentage changes
     const revenueChange = previousRevenue > 0
@@ -100,22 +124,22 @@ router.get('/overview', authenticateToken, async (req, res) => {
     });
 
     // Get monthly revenue data (last 6 months)
-    const monthlyRevenue = await Ticket.aggregate([
+    const monthlyRevenue = await Order.aggregate([
       {
         $match: {
           eventId: { $in: eventIds },
-          status: 'active',
-          purchaseDate: { $gte: new Date(Date.now() - 180 * 24 * 60 * 60 * 1000) }
+          status: paidStatuses,
+          completedAt: { $gte: new Date(Date.now() - 180 * 24 * 60 * 60 * 1000) }
         }
       },
       {
         $group: {
           _id: {
-            year: { $year: '$purchaseDate' },
-            month: { $month: '$purchaseDate' }
+            year: { $year: '$completedAt' },
+            month: { $month: '$completedAt' }
           },
-          revenue: { $sum: '$totalAmount' },
-          tickets: { $sum: '$quantity' }
+          revenue: { $sum: netAmountExpr('$totalAmount', '$refundedAmount', conversion) },
+          tickets: { $sum: activeTicketsExpr }
         }
       },
       {
@@ -138,19 +162,19 @@ router.get('/overview', authenticateToken, async (req, res) => {
     ]);
 
     // Get top performing events
-    const topPerformingEvents = await Ticket.aggregate([
+    const topPerformingEvents = await Order.aggregate([
       {
         $match: {
           eventId: { $in: eventIds },
-          status: 'active',
-          purchaseDate: { $gte: startDate }
+          status: paidStatuses,
+          completedAt: { $gte: startDate }
         }
       },
       {
         $group: {
           _id: '$eventId',
-          revenue: { $sum: '$totalAmount' },
-          ticketsSold: { $sum: '$quantity' }
+          revenue: { $sum: netAmountExpr('$totalAmount', '$refundedAmount', conversion) },
+          ticketsSold: { $sum: activeTicketsExpr }
         }
       },
       {
@@ -185,14 +209,17 @@ router.get('/overview', authenticateToken, async (req, res) => {
     const eventPerformance = await Promise.all(
       eventIds.map(async (eventId) => {
         const event = await Event.findById(eventId);
-        const tickets = await Ticket.find({ eventId, status: 'active' });
+        const orders = await Order.find({ eventId, status: paidStatuses });
 
-        const ticketsSold = tickets.reduce((sum, t) => sum + t.quantity, 0);
-        const revenue = tickets.reduce((sum, t) => sum + t.totalAmount, 0);
+        const ticketsSold = orders.reduce((sum, o) => sum + o.activeTicketCount, 0);
+        const revenue = sumOrders(orders, o => o.netAmount, conversion);
 
         // Calculate capacity (total tickets available)
         let capacity = 100; // default
-        if (event.tickets && event.tickets.length > 0) {
+        const ticketClasses = event.pricing?.ticketClasses || [];
+        if (ticketClasses.some(tc => tc.quantity?.total)) {
+          capacity = ticketClasses.reduce((sum, tc) => sum + (tc.quantity?.total || 0), 0);
+        } else if (event.tickets && event.tickets.length > 0) {
           capacity = event.tickets.reduce((sum, t) => sum + (t.quantity || 0), 0);
         }
 
@@ -213,19 +240,22 @@ router.get('/overview', authenticateToken, async (req, res) => {
     );
 
     // Get ticket sales by type
-    const ticketsByType = await Ticket.aggregate([
+    const ticketsByType = await Order.aggregate([
       {
         $match: {
           eventId: { $in: eventIds },
-          status: 'active',
-          purchaseDate: { $gte: startDate }
+          status: paidStatuses,
+          completedAt: { $gte: startDate }
         }
       },
+      {
+        $unwind: '$items'
+      },
       {
         $group: {
-          _id: '$ticketType',
-          revenue: { $sum: '$totalAmount' },
-          count: { $sum: '$quantity' }
+          _id: '$items.ticketClassName',
+          revenue: { $sum: netAmountExpr(linePaidExpr, '$items.refundedAmount', conversion) },
+          count: { $sum: activeLineTicketsExpr }
         }
       },
       {
@@ -258,11 +288,16 @@ router.get('/overview', authenticateToken, async (req, res) => {
     const totalAttendance = attendanceData.reduce((sum, a) => sum + a.count, 0);
     const checkedIn = attendanceData.find(a => a._id === 'check_in')?.count || 0;
 
+    // Chargebacks as a share of orders paid online in the period
+    const disputes = await disputeService.getDisputeMetrics(eventIds, startDate);
+
     // Construct response
     res.json({
+      currency: conversion.currency,
       overview: {
         totalRevenue: currentRevenue,
         totalTicketsSold: currentTicketCount,
+        totalRefunded: currentRefunded,
         totalEvents,
         publishedEvents,
         revenueChange: parseFloat(revenueChange.toFixed(1)),
@@ -281,7 +316,8 @@ router.get('/overview', authenticateToken, async (req, res) => {
       attendance: {
         total: totalAttendance,
         checked_in: checkedIn
-      }
+      },
+      disputes
     });
 
   } catch (error) {
@@ -301,6 +337,7 @@ router.get('/event/:eventId', authenticateToken, async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.id;
+    const conversion = await currencyService.getConversion(userId, req.query.currency);
 
     // Verify user owns this event
     const event = await Event.findOne({ _id: eventId, organizer: userId });
@@ -308,27 +345,29 @@ router.get('/event/:eventId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Event not found or unauthorized' });
     }
 
-    // Get ticket sales for this event
-    const tickets = await Ticket.find({ eventId, status: 'active' });
+    // Get paid orders for this event
+    const orders = await Order.find({ eventId, status: paidStatuses });
 
-    const totalRevenue = tickets.reduce((sum, t) => sum + t.totalAmount, 0);
-    const totalTickets = tickets.reduce((sum, t) => sum + t.quantity, 0);
+    const totalRevenue = sumOrders(orders, o => o.netAmount, conversion);
+    const totalTickets = orders.reduce((sum, o) => sum + o.activeTicketCount, 0);
+    const totalRefunded = sumOrders(orders, o => o.refundedAmount || 0, conversion);
+    const organizerNet = sumOrders(orders, o => feeService.getOrganizerNet(o), conversion);
 
     // Get sales over time (daily)
-    const salesByDay = await Ticket.aggregate([
+    const salesByDay = await Order.aggregate([
       {
         $match: {
           eventId: new mongoose.Types.ObjectId(eventId),
-          status: 'active'
+          status: paidStatuses
         }
       },
       {
         $group: {
           _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$purchaseDate' }
+            $dateToString: { format: '%Y-%m-%d', date: '$completedAt' }
           },
-          revenue: { $sum: '$totalAmount' },
-          tickets: { $sum: '$quantity' }
+          revenue: { $sum: netAmountExpr('$totalAmount', '$refundedAmount', conversion) },
+          tickets: { $sum: activeTicketsExpr }
         }
       },
       {
@@ -345,18 +384,21 @@ router.get('/event/:eventId', authenticateToken, async (req, res) => {
     ]);
 
     // Get ticket type breakdown
-    const ticketTypeBreakdown = await Ticket.aggregate([
+    const ticketTypeBreakdown = await Order.aggregate([
       {
         $match: {
           eventId: new mongoose.Types.ObjectId(eventId),
-          status: 'active'
+          status: paidStatuses
         }
       },
+      {
+        $unwind: '$items'
+      },
       {
         $group: {
-          _id: '$ticketType',
-          revenue: { $sum: '$totalAmount' },
-          sold: { $sum: '$quantity' }
+          _id: '$items.ticketClassName',
+          revenue: { $sum: netAmountExpr(linePaidExpr, '$items.refundedAmount', conversion) },
+          sold: { $sum: activeLineTicketsExpr }
         }
       },
       {
@@ -379,12 +421,17 @@ router.get('/event/:eventId', authenticateToken, async (req, res) => {
       actionStats[event.action] = (actionStats[event.action] || 0) + 1;
     });
 
+    const disputes = await disputeService.getDisputeMetrics([event._id]);
+
     res.json({
       eventId,
       eventTitle: event.title,
+      currency: conversion.currency,
       summary: {
         totalRevenue,
         totalTickets,
+        totalRefunded,
+        organizerNet,
         views: actionStats.view_event || 0,
         likes: actionStats.like_event || 0,
         shares: actionStats.share_event || 0
@@ -393,6 +440,7 @@ router.get('/event/:eventId', authenticateToken, async (req, res) => {
         byDay: salesByDay,
         byType: ticketTypeBreakdown
       },
+      disputes,
       engagement: actionStats
     });
 
@@ -412,7 +460,8 @@ router.get('/event/:eventId', authenticateToken, async (req, res) => {
 router.get('/revenue/breakdown', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { timeRange = '30', groupBy = 'type' } = req.query;
+    const { timeRange = '30', groupBy = 'type', currency } = req.query;
+    const conversion = await currencyService.getConversion(userId, currency);
 
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(timeRange));
@@ -423,43 +472,79 @@ router.get('/revenue/breakdown', authenticateToken, async (req, res) => {
     let groupByField;
     switch (groupBy) {
       case 'type':
-        groupByField = '$ticketType';
+        groupByField = '$items.ticketClassName';
         break;
       case 'event':
         groupByField = '$eventId';
         break;
       case 'day':
-        groupByField = { $dateToString: { format: '%Y-%m-%d', date: '$purchaseDate' } };
+        groupByField = { $dateToString: { format: '%Y-%m-%d', date: '$completedAt' } };
         break;
       default:
-        groupByField = '$ticketType';
+        groupByField = '$items.ticketClassName';
     }
 
-    const breakdown = await Ticket.aggregate([
+    const lineRevenuePipeline = (lineMatch, extraFields = {}) => [
       {
         $match: {
           eventId: { $in: eventIds },
-          status: 'active',
-          purchaseDate: { $gte: startDate }
+          status: paidStatuses,
+          completedAt: { $gte: startDate }
         }
       },
+      {
+        $unwind: '$items'
+      },
+      {
+        $match: lineMatch
+      },
       {
         $group: {
           _id: groupByField,
-          revenue: { $sum: '$totalAmount' },
-          tickets: { $sum: '$quantity' },
-          transactions: { $sum: 1 }
+          revenue: { $sum: netAmountExpr(linePaidExpr, '$items.refundedAmount', conversion) },
+          tickets: { $sum: activeLineTicketsExpr },
+          refunded: { $sum: reportingExpr({ $ifNull: ['$items.refundedAmount', 0] }, conversion) },
+          orders: { $addToSet: '$_id' },
+          ...extraFields
+        }
+      },
+      {
+        $addFields: {
+          transactions: { $size: '$orders' }
+        }
+      },
+      {
+        $project: {
+          orders: 0
         }
       },
       {
         $sort: { revenue: -1 }
       }
+    ];
+
+    // Donations and add-ons are reported apart from ticket revenue, with recurring pledge
+    // charges split out of donations
+    const [breakdown, donations, addOns] = await Promise.all([
+      Order.aggregate(lineRevenuePipeline({ 'items.isDonation': { $ne: true }, 'items.isAddOn': { $ne: true } })),
+      Order.aggregate(lineRevenuePipeline({ 'items.isDonation': true }, {
+        recurring: {
+          $sum: {
+            $cond: [
+              { $ifNull: ['$pledgeId', false] },
+              netAmountExpr(linePaidExpr, '$items.refundedAmount', conversion),
+              0
+            ]
+          }
+        }
+      })),
+      Order.aggregate(lineRevenuePipeline({ 'items.isAddOn': true }))
     ]);
 
     // If grouping by event, lookup event details
     if (groupBy === 'event') {
-      const enrichedBreakdown = await Promise.all(
-        breakdown.map(async (item) => {
+      const withEventTitles = (rows) => Promise.all(
+        rows.map(async (item) => {
           const event = await Event.findById(item._id).select('title');
           return {
             ...item,
@@ -467,10 +552,15 @@ router.get('/revenue/breakdown', authenticateToken, async (req, res) => {
           };
         })
       );
-      return res.json({ breakdown: enrichedBreakdown });
+      return res.json({
+        currency: conversion.currency,
+        breakdown: await withEventTitles(breakdown),
+        donations: await withEventTitles(donations),
+        addOns: await withEventTitles(addOns)
+      });
     }
 
-    res.json({ breakdown });
+    res.json({ currency: conversion.currency, breakdown, donations, addOns });
 
   } catch (error) {
     console.error('Error fetching revenue breakdown:', error);
@@ -481,6 +571,140 @@ router.get('/revenue/breakdown', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/revenue/discounts
+ * Get discount code redemptions and their impact on revenue
+ */
+router.get('/revenue/discounts', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { timeRange = '30', eventId, currency } = req.query;
+    const conversion = await currencyService.getConversion(userId, currency);
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(timeRange));
+
+    const eventQuery = { organizer: userId };
+    if (eventId) eventQuery._id = eventId;
+    const userEvents = await Event.find(eventQuery).select('_id title');
+    const eventIds = userEvents.map(e => e._id);
+
+    const redemptions = await Order.aggregate([
+      {
+        $match: {
+          eventId: { $in: eventIds },
+          status: paidStatuses,
+          completedAt: { $gte: startDate },
+          'discount.discountId': { $exists: true }
+        }
+      },
+      {
+        $group: {
+          _id: '$discount.discountId',
+          code: { $first: '$discount.code' },
+          eventId: { $first: '$eventId' },
+          redemptions: { $sum: 1 },
+          tickets: { $sum: activeTicketsExpr },
+          discountTotal: { $sum: reportingExpr('$discount.amount', conversion) },
+          grossRevenue: { $sum: reportingExpr('$subtotal', conversion) },
+          netRevenue: { $sum: netAmountExpr('$totalAmount', '$refundedAmount', conversion) }
+        }
+      },
+      {
+        $sort: { redemptions: -1 }
+      }
+    ]);
+
+    // Attach the current definition and usage limit of each code
+    const discounts = await Discount.find({ _id: { $in: redemptions.map(r => r._id) } })
+      .select('type amount quantityAvailable quantityUsed isActive');
+    const eventTitles = new Map(userEvents.map(e => [e._id.toString(), e.title]));
+
+    const enrichedRedemptions = redemptions.map(item => {
+      const discount = discounts.find(d => d._id.equals(item._id));
+      return {
+        ...item,
+        eventTitle: eventTitles.get(item.eventId.toString()) || 'Unknown Event',
+        type: discount?.type,
+        amount: discount?.amount,
+        quantityAvailable: discount?.quantityAvailable || null,
+        quantityUsed: discount?.quantityUsed || 0,
+        isActive: discount?.isActive || false
+      };
+    });
+
+    res.json({
+      currency: conversion.currency,
+      redemptions: enrichedRedemptions,
+      summary: {
+        totalRedemptions: redemptions.reduce((sum, r) => sum + r.redemptions, 0),
+        totalDiscount: redemptions.reduce((sum, r) => sum + r.discountTotal, 0),
+        netRevenue: redemptions.reduce((sum, r) => sum + r.netRevenue, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching discount redemptions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch discount redemptions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/tax/summary
+ * Tax collected per jurisdiction and tax rule for the organizer's filings.
+ * Amounts stay in the currency they were charged in.
+ */
+router.get('/tax/summary', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { from, to, eventId } = req.query;
+
+    const endDate = to ? new Date(to) : new Date();
+    const startDate = from ? new Date(from) : new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const eventQuery = { organizer: userId };
+    if (eventId) eventQuery._id = eventId;
+    const userEvents = await Event.find(eventQuery).select('_id');
+
+    const orders = await Order.find({
+      eventId: { $in: userEvents.map(e => e._id) },
+      status: paidStatuses,
+      completedAt: { $gte: startDate, $lte: endDate },
+      taxTotal: { $gt: 0 }
+    }).select('currency totalAmount refundedAmount taxes taxTotal');
+
+    const jurisdictions = taxService.summarizeOrders(orders).map(summary => {
+      const toMajor = (amount) => currencyService.toMajorUnits(amount, summary.currency);
+      return {
+        ...summary,
+        taxableAmount: toMajor(summary.taxableAmount),
+        collected: toMajor(summary.collected),
+        refunded: toMajor(summary.refunded),
+        netTax: toMajor(summary.netTax)
+      };
+    });
+
+    res.json({
+      period: { from: startDate, to: endDate },
+      orders: orders.length,
+      jurisdictions
+    });
+
+  } catch (error) {
+    console.error('Error fetching tax summary:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tax summary',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/analytics/track
  * Track analytics events (for frontend to call)
@@ -528,59 +752,229 @@ router.post('/track', async (req, res) => {
   }
 });
 
+// The organizer whose data is exported: the caller's own, or one whose team gave them the
+// analytics export permission
+const loadExportOrganizer = async (req, res, organizerId = req.query.organizerId || req.body?.organizerId || req.user.id) => {
+  if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+    res.status(400).json({ error: 'Invalid organizerId' });
+    return null;
+  }
+
+  if (!await TeamMember.hasOrganizerPermission(organizerId, req.user.id, 'analytics', 'export')) {
+    res.status(403).json({ error: 'Not authorized to export analytics for this organizer' });
+    return null;
+  }
+
+  return organizerId.toString();
+};
+
+// Load a schedule for someone allowed to export its organizer's analytics
+const loadExportSchedule = async (req, res) => {
+  const schedule = mongoose.Types.ObjectId.isValid(req.params.scheduleId)
+    ? await ExportSchedule.findById(req.params.scheduleId)
+    : null;
+  if (!schedule) {
+    res.status(404).json({ error: 'Export schedule not found' });
+    return null;
+  }
+
+  if (!await loadExportOrganizer(req, res, schedule.organizerId)) return null;
+  return schedule;
+};
+
 /**
  * GET /api/analytics/export
- * Export analytics data as CSV
+ * Stream an export of orders, attendees, check-ins and/or campaign metrics as CSV, NDJSON
+ * or XLSX. Query: datasets (comma separated, default orders), format (default csv),
+ * eventId, from/to or timeRange (days).
  */
 router.get('/export', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { format = 'csv', timeRange = '30' } = req.query;
+    const organizerId = await loadExportOrganizer(req, res);
+    if (!organizerId) return;
 
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(timeRange));
+    const options = exportService.normalizeOptions(req.query);
+    const scope = await exportService.getScope(organizerId, options);
 
-    const userEvents = await Event.find({ organizer: userId }).select('_id title');
-    const eventIds = userEvents.map(e => e._id);
+    res.setHeader('Content-Type', exportService.getContentType(options.format));
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.getFilename(options)}"`);
+    await exportService.streamExport(res, scope, options);
+    res.end();
 
-    const tickets = await Ticket.find({
-      eventId: { $in: eventIds },
-      status: 'active',
-      purchaseDate: { $gte: startDate }
-    }).populate('eventId', 'title').populate('userId', 'firstName lastName email');
-
-    if (format === 'csv') {
-      // Generate CSV
-      const headers = ['Date', 'Event', 'Ticket Type', 'Quantity', 'Price', 'Total', 'Customer'];
-      const rows = tickets.map(ticket => [
-        new Date(ticket.purchaseDate).toISOString().split('T')[0],
-        ticket.eventId?.title || 'Unknown',
-        ticket.ticketType,
-        ticket.quantity,
-        ticket.price.toFixed(2),
-        ticket.totalAmount.toFixed(2),
-        ticket.userId ? `${ticket.userId.firstName} ${ticket.userId.lastName}` : 'Guest'
-      ]);
-
-      const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-      ].join('\n');
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename=analytics-${Date.now()}.csv`);
-      res.send(csvContent);
-    } else {
-      res.json({ tickets });
+  } catch (error) {
+    console.error('Error exporting analytics:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut the response so the download fails visibly
+      return res.destroy();
     }
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to export analytics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/exports/schedules
+ * List recurring exports
+ */
+router.get('/exports/schedules', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadExportOrganizer(req, res);
+    if (!organizerId) return;
+
+    const schedules = await exportService.getSchedules(organizerId);
+
+    res.json({ schedules });
 
   } catch (error) {
-    console.error('Error exporting analytics:', error);
+    console.error('Error fetching export schedules:', error);
     res.status(500).json({
-      error: 'Failed to export analytics',
+      error: 'Failed to fetch export schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/analytics/exports/schedules
+ * Schedule a recurring export. Body: name, datasets, format, frequency
+ * (daily/weekly/monthly), rangeDays, eventId, startAt.
+ */
+router.post('/exports/schedules', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadExportOrganizer(req, res);
+    if (!organizerId) return;
+
+    const schedule = await exportService.createSchedule(organizerId, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Error creating export schedule:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create export schedule',
       message: error.message
     });
   }
 });
 
+/**
+ * PUT /api/analytics/exports/schedules/:scheduleId
+ * Update a recurring export, or pause it with active: false
+ */
+router.put('/exports/schedules/:scheduleId', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await loadExportSchedule(req, res);
+    if (!schedule) return;
+
+    const updated = await exportService.updateSchedule(schedule, req.body);
+
+    res.json({
+      success: true,
+      schedule: updated
+    });
+
+  } catch (error) {
+    console.error('Error updating export schedule:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update export schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/analytics/exports/schedules/:scheduleId
+ * Delete a recurring export; files it already saved stay until they expire
+ */
+router.delete('/exports/schedules/:scheduleId', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await loadExportSchedule(req, res);
+    if (!schedule) return;
+
+    await exportService.deleteSchedule(schedule);
+
+    res.json({
+      success: true,
+      message: 'Export schedule deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting export schedule:', error);
+    res.status(500).json({
+      error: 'Failed to delete export schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/exports/files
+ * List saved exports, newest first
+ */
+router.get('/exports/files', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadExportOrganizer(req, res);
+    if (!organizerId) return;
+
+    const { scheduleId, page, limit } = req.query;
+    const result = await exportService.getFiles(organizerId, { scheduleId, page, limit });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error fetching export files:', error);
+    res.status(500).json({
+      error: 'Failed to fetch export files',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/exports/files/:fileId/download
+ * Download a saved export
+ */
+router.get('/exports/files/:fileId/download', authenticateToken, async (req, res) => {
+  try {
+    const file = await exportService.getFile(req.params.fileId);
+    if (!await loadExportOrganizer(req, res, file.organizerId)) return;
+
+    const stream = await exportService.openFile(file);
+
+    res.setHeader('Content-Type', exportService.getContentType(file.format));
+    res.setHeader('Content-Length', file.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    stream.on('error', error => {
+      console.error('Error reading export file:', error);
+      res.destroy();
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading export file:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to download export file',
+      message: error.message
+    });
+  }
+});
+
+// Cron job running due export schedules and removing expired export files
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const completed = await exportService.runDueSchedules();
+    const removed = await exportService.removeExpiredFiles();
+    if (completed > 0 || removed > 0) {
+      console.log(`Saved ${completed} scheduled exports, removed ${removed} expired export files`);
+    }
+  } catch (error) {
+    console.error('Error in export scheduler:', error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const TeamMember = require('../models/TeamMember');
+const boxOfficeService = require('../services/boxOfficeService');
+const ticketService = require('../services/ticketService');
+
+// Load an event for box office staff (organizer or team members with events.edit)
+const loadStaffEvent = async (req, res, action) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} for this event`
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Ticket classes on sale at the door and today's takings
+router.get('/event/:eventId', authenticateToken, async (req, res) => {
+  try {
+    const event = await loadStaffEvent(req, res, 'use the box office');
+    if (!event) return;
+
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    const [ticketClasses, summary] = await Promise.all([
+      boxOfficeService.getDoorTicketClasses(event),
+      boxOfficeService.getSummary(event._id, { since })
+    ]);
+
+    res.json({
+      success: true,
+      event: {
+        id: event._id,
+        title: event.title,
+        currency: event.currency
+      },
+      ticketClasses,
+      summary
+    });
+  } catch (error) {
+    console.error('Error fetching box office:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch box office'
+    });
+  }
+});
+
+// Sell tickets paid for in cash or on a card terminal
+router.post('/event/:eventId/sales', authenticateToken, async (req, res) => {
+  try {
+    const event = await loadStaffEvent(req, res, 'sell tickets');
+    if (!event) return;
+
+    const { items, buyer, attendees, paymentMethod, amountTendered, terminalReference, discountCode } = req.body;
+    const { order, tickets } = await boxOfficeService.sell(event, {
+      items,
+      buyer,
+      attendees,
+      paymentMethod,
+      amountTendered,
+      terminalReference,
+      discountCode,
+      soldBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tickets sold',
+      order,
+      tickets
+    });
+  } catch (error) {
+    console.error('Error selling tickets at the door:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to sell tickets'
+    });
+  }
+});
+
+// Issue complimentary tickets
+router.post('/event/:eventId/comps', authenticateToken, async (req, res) => {
+  try {
+    const event = await loadStaffEvent(req, res, 'comp tickets');
+    if (!event) return;
+
+    const { items, buyer, attendees, note } = req.body;
+    const { order, tickets } = await boxOfficeService.comp(event, {
+      items,
+      buyer,
+      attendees,
+      note,
+      soldBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Complimentary tickets issued',
+      order,
+      tickets
+    });
+  } catch (error) {
+    console.error('Error issuing complimentary tickets:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to issue complimentary tickets'
+    });
+  }
+});
+
+// Printable tickets for a box office order
+router.get('/orders/:orderId/print', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId, channel: 'atd' });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    req.params.eventId = order.eventId;
+    const event = await loadStaffEvent(req, res, 'print tickets');
+    if (!event) return;
+
+    const tickets = await Ticket.find({ orderId: order._id, status: { $ne: 'void' } }).sort({ createdAt: 1 });
+    const ticketData = await Promise.all(tickets.map(ticket => ticketService.toTicketData(ticket)));
+
+    res.type('html').send(boxOfficeService.renderTickets(event, order, ticketData));
+  } catch (error) {
+    console.error('Error printing tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to print tickets'
+    });
+  }
+});
+
+module.exports = router;
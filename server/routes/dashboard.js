@@ -4,8 +4,17 @@ const Analytics = require('../models/Analytics');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const currencyService = require('../services/currencyService');
 const mongoose = require('mongoose');
 
+// Purchase amounts are tracked in major units of the order's currency; revenue is
+// converted into the user's reporting currency before it is summed
+const revenueExpr = (conversion) => currencyService.toReportingExpr(
+  { $ifNull: ['$metadata.amount', 25] },
+  conversion,
+  { currencyField: '$metadata.currency', minorUnits: false }
+);
+
 // Overview Dashboard - Main Stats
 router.get('/overview', authenticateToken, async (req, res) => {
   try {
@@ -89,7 +98,8 @@ router.get('/live-stats', async (req, res) => {
 // Ticket Sales Analytics
 router.get('/sales-analytics', authenticateToken, async (req, res) => {
   try {
-    const { timeRange = '30d' } = req.query;
+    const { timeRange = '30d', currency } = req.query;
+    const conversion = await currencyService.getConversion(req.user.id, currency);
     const startDate = new Date();
 
     switch(timeRange) {
@@ -122,7 +132,7 @@ router.get('/sales-analytics', authenticateToken, async (req, res) => {
             day: { $dayOfMonth: '$timestamp' }
           },
           daily: { $sum: 1 },
-          revenue: { $sum: { $ifNull: ['$metadata.amount', 25] } }
+          revenue: { $sum: revenueExpr(conversion) }
         }
       },
       {
@@ -135,15 +145,19 @@ router.get('/sales-analytics', authenticateToken, async (req, res) => {
       timestamp: { $gte: startDate }
     });
 
-    const totalRevenue = salesData.reduce((sum, day) => sum + day.revenue, 0);
+    const totalRevenue = currencyService.roundMajor(
+      salesData.reduce((sum, day) => sum + day.revenue, 0),
+      conversion.currency
+    );
 
     res.json({
       success: true,
       data: {
+        currency: conversion.currency,
         totalSales,
         totalRevenue,
         dailySales: salesData,
-        averageTicketPrice: totalSales > 0 ? (totalRevenue / totalSales) : 0,
+        averageTicketPrice: totalSales > 0 ? currencyService.roundMajor(totalRevenue / totalSales, conversion.currency) : 0,
         timeRange
       }
     });
@@ -243,7 +257,7 @@ router.get('/event/:eventId/analytics', authenticateToken, async (req, res) => {
 router.get('/business-analytics', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { timeRange = '30d' } = req.query;
+    const { timeRange = '30d', currency } = req.query;
 
     // Get user's events
     const userEvents = await Event.find({ organizer: userId }).select('_id');
@@ -272,6 +286,8 @@ router.get('/business-analytics', authenticateToken, async (req, res) => {
         break;
     }
 
+    const conversion = await currencyService.getConversion(userId, currency);
+
     const [
       attendeeStats,
       trafficSources,
@@ -359,7 +375,7 @@ router.get('/business-analytics', authenticateToken, async (req, res) => {
               month: { $month: '$timestamp' },
               day: { $dayOfMonth: '$timestamp' }
             },
-            revenue: { $sum: { $ifNull: ['$metadata.amount', 25] } },
+            revenue: { $sum: revenueExpr(conversion) },
             sales: { $sum: 1 }
           }
         },
@@ -375,6 +391,7 @@ router.get('/business-analytics', authenticateToken, async (req, res) => {
       data: {
         hasEvents: true,
         timeRange,
+        currency: conversion.currency,
         attendeeStats: attendeeStats.map(stat => ({
           eventId: stat._id,
           eventTitle: stat.event[0]?.title || 'Unknown Event',
@@ -386,7 +403,10 @@ router.get('/business-analytics', authenticateToken, async (req, res) => {
         revenueData,
         summary: {
           totalEvents: eventIds.length,
-          totalRevenue: revenueData.reduce((sum, day) => sum + day.revenue, 0),
+          totalRevenue: currencyService.roundMajor(
+            revenueData.reduce((sum, day) => sum + day.revenue, 0),
+            conversion.currency
+          ),
           totalSales: revenueData.reduce((sum, day) => sum + day.sales, 0)
         }
       }
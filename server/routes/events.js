@@ -3,8 +3,19 @@ const Joi = require('joi');
 const multer = require('multer');
 const path = require('path');
 const Event = require('../models/Event');
-const { authenticateToken } = require('../middleware/auth');
+const Discount = require('../models/Discount');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const EventInvitation = require('../models/EventInvitation');
+const waitlistService = require('../services/waitlistService');
+const taxService = require('../services/taxService');
+const salesWindowService = require('../services/salesWindowService');
+const eventAccessService = require('../services/eventAccessService');
+const registrationService = require('../services/registrationService');
+const seatingService = require('../services/seatingService');
+const seriesService = require('../services/seriesService');
+const { authenticateToken, optionalAuth, rateLimit } = require('../middleware/auth');
 const { validateEventPublishing, validateEventUpdate, checkPublishingRequirements } = require('../middleware/eventValidation');
+const cron = require('node-cron');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -44,14 +55,12 @@ router.get('/', async (req, res) => {
       featured, 
       limit = 20, 
       page = 1,
-      sort = 'date'
+      sort = 'date',
+      collapseSeries
     } = req.query;
 
     // Build query
-    const query = {
-      status: 'published',
-      visibility: 'public'
-    };
+    const query = Event.listedQuery();
 
     if (category && category !== 'all') {
       query.category = category;
@@ -96,6 +105,54 @@ router.get('/', async (req, res) => {
     const limitNum = Math.min(parseInt(limit), 50); // Max 50 events per request
     const skip = (parseInt(page) - 1) * limitNum;
 
+    if (collapseSeries === 'true') {
+      // One card per series: its first matching occurrence, with how many dates match
+      const [result] = await Event.aggregate([
+        { $match: query },
+        { $sort: sortOptions },
+        {
+          $group: {
+            _id: { $ifNull: ['$series.parentId', '$_id'] },
+            event: { $first: '$$ROOT' },
+            count: { $sum: 1 },
+            firstStart: { $min: '$dateTime.start' },
+            lastStart: { $max: '$dateTime.start' }
+          }
+        },
+        { $sort: Object.fromEntries(Object.entries(sortOptions).map(([key, order]) => [`event.${key}`, order])) },
+        {
+          $facet: {
+            cards: [{ $skip: skip }, { $limit: limitNum }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const events = await Event.populate(
+        result.cards.map(card => Event.hydrate(card.event)),
+        { path: 'organizer', select: 'firstName lastName email profilePicture' }
+      );
+      const total = result.total[0]?.count || 0;
+
+      return res.json({
+        success: true,
+        events: events.map((event, i) => {
+          const card = result.cards[i];
+          const data = event.getPublicData({ buyerView: true });
+          if (event.isOccurrence()) {
+            data.occurrences = { count: card.count, firstStart: card.firstStart, lastStart: card.lastStart };
+          }
+          return data;
+        }),
+        pagination: {
+          page: parseInt(page),
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+    }
+
     const events = await Event.find(query)
       .populate('organizer', 'firstName lastName email profilePicture')
       .sort(sortOptions)
@@ -106,7 +163,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      events: events.map(event => event.getPublicData()),
+      events: events.map(event => event.getPublicData({ buyerView: true })),
       pagination: {
         page: parseInt(page),
         limit: limitNum,
@@ -136,7 +193,7 @@ router.get('/category/:category', async (req, res) => {
     res.json({
       success: true,
       category,
-      events: events.map(event => event.getPublicData())
+      events: events.map(event => event.getPublicData({ buyerView: true }))
     });
 
   } catch (error) {
@@ -158,7 +215,7 @@ router.get('/upcoming', async (req, res) => {
 
     res.json({
       success: true,
-      events: events.map(event => event.getPublicData())
+      events: events.map(event => event.getPublicData({ buyerView: true }))
     });
 
   } catch (error) {
@@ -180,7 +237,7 @@ router.get('/featured', async (req, res) => {
 
     res.json({
       success: true,
-      events: events.map(event => event.getPublicData())
+      events: events.map(event => event.getPublicData({ buyerView: true }))
     });
 
   } catch (error) {
@@ -213,7 +270,7 @@ router.get('/my-events', authenticateToken, async (req, res) => {
 });
 
 // Get single event by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -228,13 +285,30 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Password-protected and invite-only events need an access token from POST /:id/access
+    const missing = await eventAccessService.getMissingAccess(event, {
+      userId: req.user?.id,
+      accessToken: req.get('X-Event-Access') || req.query.access
+    });
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: missing.includes('invitation') ? 'This event is invite-only' : 'This event is password protected',
+        access: { required: missing },
+        event: eventAccessService.getPreview(event)
+      });
+    }
+
     // Increment view count
     event.views += 1;
     await event.save();
 
+    // Organizers also see hidden ticket classes and those sold only at the door
+    const isOrganizer = req.user && event.organizer._id.toString() === req.user.id;
+
     res.json({
       success: true,
-      event: event.getPublicData()
+      event: event.getPublicData({ buyerView: !isOrganizer })
     });
 
   } catch (error) {
@@ -573,6 +647,9 @@ router.put('/:id', authenticateToken, validateEventUpdate, validateEventPublishi
       });
     }
 
+    // Edits to an event in a series can also apply to the following occurrences or all of them
+    const scope = seriesService.getEditScope(event, req.query.scope);
+
     // Convert frontend format to backend format
     if (updateData.startDate && updateData.endDate) {
       updateData.dateTime = {
@@ -646,21 +723,25 @@ router.put('/:id', authenticateToken, validateEventUpdate, validateEventPublishi
       }
     }
 
+    seriesService.assertEditableInScope(updateData, scope);
+
     const updatedEvent = await Event.findByIdAndUpdate(
       id,
       { $set: updateData },
       { new: true, runValidators: true }
     );
+    const seriesUpdated = await seriesService.applyEdit(event, updateData, scope);
 
     res.json({
       success: true,
       message: 'Event updated successfully',
-      event: updatedEvent.getPublicData()
+      event: updatedEvent.getPublicData(),
+      series: scope === 'this' ? undefined : { scope, updated: seriesUpdated }
     });
 
   } catch (error) {
     console.error('Error updating event:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to update event'
     });
@@ -1174,6 +1255,7 @@ router.post('/:id/copy', authenticateToken, async (req, res) => {
     delete eventData.updatedAt;
     delete eventData.attendees;
     delete eventData.likes;
+    delete eventData.series;
 
     // Update title
     eventData.title = `Copy of ${eventData.title}`;
@@ -1199,6 +1281,102 @@ router.post('/:id/copy', authenticateToken, async (req, res) => {
   }
 });
 
+// ================================
+// EVENT SERIES
+// ================================
+
+// Make an event a recurring series, or change its rule. The event becomes the series parent:
+// a template that is not listed or sold, with an event per occurrence.
+router.put('/:id/series', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const { parent, created, removed, kept } = await seriesService.setRecurrence(event, req.body.recurrence || req.body);
+
+    res.json({
+      success: true,
+      message: 'Event series updated successfully',
+      event: parent.getPublicData(),
+      occurrences: {
+        created: created.map(occurrence => ({ id: occurrence._id, dateTime: occurrence.dateTime })),
+        removed: removed.map(occurrence => ({ id: occurrence._id, dateTime: occurrence.dateTime })),
+        // Dates dropped from the rule that already have orders
+        kept: kept.map(occurrence => ({ id: occurrence._id, dateTime: occurrence.dateTime }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating event series:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update event series'
+    });
+  }
+});
+
+// List the occurrences of a series, given its parent or any occurrence
+router.get('/:id/occurrences', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const staff = await eventAccessService.isStaff(event, req.user?.id);
+    if (!staff) {
+      const missing = await eventAccessService.getMissingAccess(event, {
+        userId: req.user?.id,
+        accessToken: req.get('X-Event-Access') || req.query.access
+      });
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: missing.includes('invitation') ? 'This event is invite-only' : 'This event is password protected',
+          access: { required: missing },
+          event: eventAccessService.getPreview(event)
+        });
+      }
+    }
+
+    const occurrences = await seriesService.getOccurrences(event, {
+      staff,
+      upcoming: req.query.upcoming === 'true'
+    });
+
+    const parent = event.isSeriesParent() ? event : await Event.findById(event.series.parentId).select('series');
+
+    res.json({
+      success: true,
+      seriesId: seriesService.getSeriesId(event),
+      recurrence: parent?.series?.recurrence,
+      occurrences
+    });
+
+  } catch (error) {
+    console.error('Error fetching event occurrences:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch event occurrences'
+    });
+  }
+});
+
 // ================================
 // ADVANCED TICKET CLASS MANAGEMENT
 // ================================
@@ -1258,6 +1436,22 @@ router.post('/:id/ticket-classes', authenticateToken, async (req, res) => {
       });
     }
 
+    // Classes in a tier draw from its shared pool, so the tier must exist
+    if (req.body.inventoryTierId && !event.getInventoryTier(req.body.inventoryTierId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inventory tier not found'
+      });
+    }
+
+    const requiredTicketClassIds = req.body.addOn?.requiredTicketClassIds || [];
+    if (requiredTicketClassIds.some(id => !event.getTicketClass(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add-ons can only require ticket classes of this event'
+      });
+    }
+
     const ticketClassData = {
       name: req.body.name,
       type: req.body.type,
@@ -1267,6 +1461,7 @@ router.post('/:id/ticket-classes', authenticateToken, async (req, res) => {
         display: req.body.cost?.display
       },
       suggestedDonation: req.body.suggestedDonation || 0,
+      minimumDonation: req.body.minimumDonation || 0,
       quantity: {
         total: req.body.quantity?.total || null,
         sold: 0,
@@ -1296,6 +1491,10 @@ router.post('/:id/ticket-classes', authenticateToken, async (req, res) => {
       },
       description: req.body.description || '',
       inventoryTierId: req.body.inventoryTierId || null,
+      addOn: {
+        category: req.body.addOn?.category,
+        requiredTicketClassIds
+      },
       order: req.body.order || 0
     };
 
@@ -1317,6 +1516,7 @@ router.post('/:id/ticket-classes', authenticateToken, async (req, res) => {
       type: newTicketClass.type,
       cost: newTicketClass.cost,
       suggestedDonation: newTicketClass.suggestedDonation,
+      minimumDonation: newTicketClass.minimumDonation,
       quantity: newTicketClass.quantity,
       restrictions: newTicketClass.restrictions,
       sales: newTicketClass.sales,
@@ -1325,6 +1525,8 @@ router.post('/:id/ticket-classes', authenticateToken, async (req, res) => {
       deliveryMethods: newTicketClass.deliveryMethods,
       fees: newTicketClass.fees,
       description: newTicketClass.description,
+      inventoryTierId: newTicketClass.inventoryTierId,
+      addOn: newTicketClass.addOn,
       order: newTicketClass.order,
       free: newTicketClass.type === 'free',
       donation: newTicketClass.type === 'donation',
@@ -1382,6 +1584,9 @@ router.put('/:id/ticket-classes/:ticketClassId', authenticateToken, async (req,
     if (event.pricing && event.pricing.ticketClasses) {
       const legacyIndex = event.pricing.ticketClasses.findIndex(tc => tc.id === req.params.ticketClassId);
       if (legacyIndex !== -1) {
+        const seated = event.pricing.ticketClasses[legacyIndex].reservedSeating;
+        const seatCount = event.pricing.ticketClasses[legacyIndex].quantity?.total;
+
         // Update the legacy ticket class with new data
         const legacyTicket = {
           _id: updatedTicketClass.id,
@@ -1390,6 +1595,7 @@ router.put('/:id/ticket-classes/:ticketClassId', authenticateToken, async (req,
           type: updatedTicketClass.type,
           cost: updatedTicketClass.cost,
           suggestedDonation: updatedTicketClass.suggestedDonation,
+          minimumDonation: updatedTicketClass.minimumDonation,
           quantity: updatedTicketClass.quantity,
           restrictions: updatedTicketClass.restrictions,
           sales: updatedTicketClass.sales,
@@ -1398,6 +1604,9 @@ router.put('/:id/ticket-classes/:ticketClassId', authenticateToken, async (req,
           deliveryMethods: updatedTicketClass.deliveryMethods,
           fees: updatedTicketClass.fees,
           description: updatedTicketClass.description,
+          inventoryTierId: updatedTicketClass.inventoryTierId,
+          addOn: updatedTicketClass.addOn,
+          reservedSeating: seated,
           order: updatedTicketClass.order,
           free: updatedTicketClass.type === 'free',
           donation: updatedTicketClass.type === 'donation',
@@ -1405,6 +1614,11 @@ router.put('/:id/ticket-classes/:ticketClassId', authenticateToken, async (req,
           updatedAt: updatedTicketClass.updatedAt
         };
         event.pricing.ticketClasses[legacyIndex] = legacyTicket;
+
+        // Seated classes sell the seats in the chart, whatever quantity is sent
+        if (seated) {
+          event.pricing.ticketClasses[legacyIndex].quantity.total = seatCount;
+        }
       }
     }
 
@@ -1444,6 +1658,13 @@ router.delete('/:id/ticket-classes/:ticketClassId', authenticateToken, async (re
       });
     }
 
+    if (event.getTicketClass(req.params.ticketClassId)?.reservedSeating) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remove this ticket class from the seating chart before deleting it'
+      });
+    }
+
     const removedTicketClass = event.removeTicketClass(req.params.ticketClassId);
     if (!removedTicketClass) {
       return res.status(404).json({
@@ -1536,7 +1757,11 @@ router.get('/:id/inventory-tiers', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      inventoryTiers: event.inventoryTiers || []
+      inventoryTiers: (event.inventoryTiers || []).map(tier => ({
+        ...tier.toObject(),
+        remaining: event.getTierRemaining(tier.id)
+      })),
+      inventoryInfo: event.inventoryInfo || {}
     });
 
   } catch (error) {
@@ -1653,7 +1878,7 @@ router.get('/:id/ticket-classes/:ticketClassId/remaining', authenticateToken, as
     }
 
     const remaining = event.getRemainingTickets(req.params.ticketClassId);
-    const ticketClass = event.ticketClasses.find(tc => tc.id === req.params.ticketClassId);
+    const ticketClass = event.getTicketClass(req.params.ticketClassId);
 
     if (!ticketClass) {
       return res.status(404).json({
@@ -1681,4 +1906,974 @@ router.get('/:id/ticket-classes/:ticketClassId/remaining', authenticateToken, as
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ================================
+// DISCOUNT CODES MANAGEMENT
+// ================================
+
+// Pick the discount fields an organizer may set from a request body
+const buildDiscountData = (body) => {
+  const data = {};
+  ['code', 'type', 'amount', 'quantityAvailable', 'ticketClassIds', 'ticketGroupIds', 'isActive'].forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  ['startDate', 'endDate'].forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] ? new Date(body[field]) : null;
+  });
+  return data;
+};
+
+// Returns an error message, or null when the discount is consistent with the event
+const validateDiscount = (discount, event) => {
+  if (discount.type === 'percentage' && (discount.amount <= 0 || discount.amount > 100)) {
+    return 'Percentage discounts must be between 1 and 100';
+  }
+  if (discount.type === 'fixed' && discount.amount <= 0) {
+    return 'Fixed discounts must be greater than zero';
+  }
+  if (discount.startDate && discount.endDate && discount.startDate > discount.endDate) {
+    return 'Discount end date must be after the start date';
+  }
+
+  const unknownClass = (discount.ticketClassIds || []).find(id => !event.getTicketClass(id));
+  if (unknownClass) {
+    return `Ticket class ${unknownClass} not found`;
+  }
+
+  const groupIds = (event.ticketGroups || []).map(group => group.id);
+  const unknownGroup = (discount.ticketGroupIds || []).find(id => !groupIds.includes(id));
+  if (unknownGroup) {
+    return `Ticket group ${unknownGroup} not found`;
+  }
+
+  return null;
+};
+
+// Get discount codes for an event
+router.get('/:id/discounts', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this event'
+      });
+    }
+
+    const discounts = await Discount.find({ eventId: event._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      discounts
+    });
+
+  } catch (error) {
+    console.error('Error fetching discounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch discounts'
+    });
+  }
+});
+
+// Create discount code
+router.post('/:id/discounts', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const discount = new Discount({
+      ...buildDiscountData(req.body),
+      eventId: event._id,
+      organizerId: event.organizer
+    });
+
+    const validationError = validateDiscount(discount, event);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await discount.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Discount created successfully',
+      discount
+    });
+
+  } catch (error) {
+    console.error('Error creating discount:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A discount with this code already exists for this event'
+      });
+    }
+
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to create discount'
+    });
+  }
+});
+
+// Update discount code
+router.put('/:id/discounts/:discountId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const discount = await Discount.findOne({ _id: req.params.discountId, eventId: event._id });
+    if (!discount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount not found'
+      });
+    }
+
+    discount.set(buildDiscountData(req.body));
+
+    const validationError = validateDiscount(discount, event);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await discount.save();
+
+    res.json({
+      success: true,
+      message: 'Discount updated successfully',
+      discount
+    });
+
+  } catch (error) {
+    console.error('Error updating discount:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A discount with this code already exists for this event'
+      });
+    }
+
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to update discount'
+    });
+  }
+});
+
+// Delete discount code (codes that were already redeemed are deactivated to keep reporting intact)
+router.delete('/:id/discounts/:discountId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const discount = await Discount.findOne({ _id: req.params.discountId, eventId: event._id });
+    if (!discount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount not found'
+      });
+    }
+
+    if (discount.quantityUsed > 0) {
+      discount.isActive = false;
+      await discount.save();
+
+      return res.json({
+        success: true,
+        message: 'Discount has been redeemed and was deactivated instead of deleted',
+        discount
+      });
+    }
+
+    await discount.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Discount deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting discount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete discount'
+    });
+  }
+});
+
+// ================================
+// REFUND POLICY
+// ================================
+
+// Update the event's refund policy
+router.put('/:id/refund-policy', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const { type, daysBeforeEvent, description } = req.body;
+    if (type !== undefined) event.refundPolicy.type = type;
+    if (daysBeforeEvent !== undefined) event.refundPolicy.daysBeforeEvent = daysBeforeEvent;
+    if (description !== undefined) event.refundPolicy.description = description;
+
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Refund policy updated successfully',
+      refundPolicy: event.refundPolicy
+    });
+
+  } catch (error) {
+    console.error('Error updating refund policy:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to update refund policy'
+    });
+  }
+});
+
+// ================================
+// TAX SETTINGS
+// ================================
+
+// Update where the event's sales are taxed and whether ticket prices include tax
+router.put('/:id/tax-settings', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const { country, region, taxDisplay } = req.body;
+    if (country !== undefined) event.checkout_settings.country = String(country).toUpperCase();
+    if (region !== undefined) event.checkout_settings.region = region ? String(region).toUpperCase() : undefined;
+    if (taxDisplay !== undefined) event.checkout_settings.taxDisplay = taxDisplay;
+
+    await event.save();
+
+    const jurisdiction = taxService.getJurisdiction(event);
+    const taxRules = await taxService.getRules(jurisdiction);
+
+    res.json({
+      success: true,
+      message: 'Tax settings updated successfully',
+      taxSettings: {
+        ...jurisdiction,
+        taxDisplay: event.checkout_settings.taxDisplay,
+        taxRules
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating tax settings:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to update tax settings'
+    });
+  }
+});
+
+// ================================
+// SEATING CHARTS
+// ================================
+
+// Get the seating chart. Organizers and their team see held, sold and blocked seats.
+router.get('/:id/seat-map', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer location pricing.ticketClasses password settings series');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const staff = await eventAccessService.isStaff(event, req.user?.id);
+    if (!staff) {
+      const missing = await eventAccessService.getMissingAccess(event, {
+        userId: req.user?.id,
+        accessToken: req.get('X-Event-Access') || req.query.access
+      });
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: missing.includes('invitation') ? 'This event is invite-only' : 'This event is password protected',
+          access: { required: missing }
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      seatMap: await seatingService.getSeatMap(event, { staff })
+    });
+
+  } catch (error) {
+    console.error('Error fetching seat map:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch seat map'
+    });
+  }
+});
+
+// Create or replace the seating chart: sections of rows, each seat mapped to a ticket class
+router.put('/:id/seat-map', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const seatMap = await seatingService.saveSeatMap(event, req.body.sections);
+
+    res.json({
+      success: true,
+      message: 'Seating chart saved successfully',
+      seatMap
+    });
+
+  } catch (error) {
+    console.error('Error saving seat map:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to save seat map'
+    });
+  }
+});
+
+// Take seats off sale, or put blocked seats back on sale
+router.post('/:id/seat-map/:action(block|unblock)', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer pricing.ticketClasses');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const { seatIds, reason } = req.body;
+    const updated = req.params.action === 'block'
+      ? await seatingService.blockSeats(event, seatIds, { reason, blockedBy: req.user.id })
+      : await seatingService.unblockSeats(event, seatIds);
+
+    res.json({
+      success: true,
+      message: `${updated} seat${updated === 1 ? '' : 's'} ${req.params.action}ed`,
+      updated
+    });
+
+  } catch (error) {
+    console.error('Error updating blocked seats:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update seats'
+    });
+  }
+});
+
+// ================================
+// REGISTRATION QUESTIONS
+// ================================
+
+// Add a question asked of each attendee at checkout
+router.post('/:id/questions', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const question = registrationService.normalizeQuestion(req.body, event);
+    event.registrationQuestions.push(question);
+    await event.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added successfully',
+      question: event.registrationQuestions[event.registrationQuestions.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Error adding registration question:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to add question'
+    });
+  }
+});
+
+// Update a question. Answers already given keep the label they were asked with.
+router.put('/:id/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const question = event.registrationQuestions.find(q => q.id === req.params.questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    question.set(registrationService.normalizeQuestion({ ...question.toObject(), ...req.body }, event));
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Question updated successfully',
+      question
+    });
+
+  } catch (error) {
+    console.error('Error updating registration question:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update question'
+    });
+  }
+});
+
+// Remove a question; answers already given stay with their attendees
+router.delete('/:id/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this event'
+      });
+    }
+
+    const question = event.registrationQuestions.find(q => q.id === req.params.questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    event.registrationQuestions.pull(question._id);
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Question removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing registration question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove question'
+    });
+  }
+});
+
+// ================================
+// ACCESS AND INVITATIONS
+// ================================
+
+// Unlock a password-protected or invite-only event with its password and/or an invitation code.
+// Returns an access token to send as the X-Event-Access header when reading the event.
+router.post('/:id/access', rateLimit(20, 15 * 60 * 1000), optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title organizer password settings images series');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { password, inviteCode, accessToken } = req.body;
+    if (password === undefined && inviteCode === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A password or invitation code is required'
+      });
+    }
+
+    const result = await eventAccessService.unlock(event, {
+      password,
+      inviteCode,
+      accessToken,
+      userId: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      message: result.missing.length === 0 ? 'Event unlocked' : 'More access is required for this event',
+      accessToken: result.accessToken,
+      access: { required: result.missing }
+    });
+
+  } catch (error) {
+    console.error('Error unlocking event:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to unlock event'
+    });
+  }
+});
+
+// List an event's invitations (organizer only)
+router.get('/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer series');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view invitations for this event'
+      });
+    }
+
+    const invitations = await EventInvitation.find({ eventId: eventAccessService.getAccessId(event) })
+      .populate('redemptions.userId', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      invitations: invitations.map(invitation => eventAccessService.toInvitationData(event, invitation))
+    });
+
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations'
+    });
+  }
+});
+
+// Create a shared invitation code or personal invite links (organizer only)
+router.post('/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title organizer series');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to invite people to this event'
+      });
+    }
+
+    const { kind, code, emails, maxUses, expiresAt } = req.body;
+    const invitations = await eventAccessService.createInvitations(
+      event,
+      { kind, code, emails, maxUses, expiresAt },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${invitations.length} invitation${invitations.length === 1 ? '' : 's'} created`,
+      invitations: invitations.map(invitation => eventAccessService.toInvitationData(event, invitation))
+    });
+
+  } catch (error) {
+    console.error('Error creating invitations:', error);
+    res.status(error.status || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      message: error.status || error.name === 'ValidationError' ? error.message : 'Failed to create invitations'
+    });
+  }
+});
+
+// Revoke an invitation; people who redeemed it lose access to the event (organizer only)
+router.delete('/:id/invitations/:invitationId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer series');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user owns the event
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke invitations for this event'
+      });
+    }
+
+    const invitation = await eventAccessService.revokeInvitation(event, req.params.invitationId);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      invitation: eventAccessService.toInvitationData(event, invitation)
+    });
+
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to revoke invitation'
+    });
+  }
+});
+
+// ================================
+// WAITLIST MANAGEMENT
+// ================================
+
+// Join the waitlist for a sold-out event or ticket class
+router.post('/:id/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { ticketClassId, quantity, notifyBy, phone, accessToken } = req.body;
+    await eventAccessService.assertCanRegister(event, req.user.id, accessToken);
+
+    const entry = await waitlistService.joinWaitlist(event, req.user, { ticketClassId, quantity, notifyBy, phone });
+
+    res.status(201).json({
+      success: true,
+      message: 'You have been added to the waitlist',
+      entry,
+      position: await waitlistService.getPosition(entry)
+    });
+
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to join waitlist'
+    });
+  }
+});
+
+// Get the waitlist (organizer sees every entry, attendees see their own)
+router.get('/:id/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() === req.user.id) {
+      const { status } = req.query;
+      const query = { eventId: event._id };
+      if (status) query.status = status;
+
+      const entries = await WaitlistEntry.find(query)
+        .populate('userId', 'firstName lastName email')
+        .sort({ createdAt: 1 });
+
+      return res.json({
+        success: true,
+        entries
+      });
+    }
+
+    const entries = await WaitlistEntry.find({
+      eventId: event._id,
+      userId: req.user.id,
+      status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    const entriesWithPosition = await Promise.all(entries.map(async (entry) => ({
+      ...entry.toObject(),
+      position: await waitlistService.getPosition(entry)
+    })));
+
+    res.json({
+      success: true,
+      entries: entriesWithPosition
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist'
+    });
+  }
+});
+
+// Claim the seats offered to a waitlist entry
+router.post('/:id/waitlist/claim', authenticateToken, async (req, res) => {
+  try {
+    const { token, buyer, attendees, discountCode } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim token is required'
+      });
+    }
+
+    const entry = await WaitlistEntry.findOne({ eventId: req.params.id, 'offer.token': token });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist offer not found'
+      });
+    }
+
+    if (entry.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'This waitlist offer belongs to another user'
+      });
+    }
+
+    const { order } = await waitlistService.claimOffer(entry, {
+      discountCode,
+      attendees,
+      buyer: buyer || {
+        name: `${req.user.firstName} ${req.user.lastName}`,
+        email: req.user.email,
+        phone: entry.phone
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Waitlist offer claimed, complete checkout before the hold expires',
+      order
+    });
+
+  } catch (error) {
+    console.error('Error claiming waitlist offer:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to claim waitlist offer'
+    });
+  }
+});
+
+// Leave the waitlist (attendee) or remove an entry (organizer)
+router.delete('/:id/waitlist/:entryId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, eventId: event._id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.userId.toString() !== req.user.id && event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to remove this waitlist entry'
+      });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    const cancelledEntry = await waitlistService.leaveWaitlist(entry);
+
+    // Seats held by the offer go to the next person in line
+    if (wasOffered) {
+      await waitlistService.offerAvailableSeats(event._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist',
+      entry: cancelledEntry
+    });
+
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to leave waitlist'
+    });
+  }
+});
+
+// Cron job expiring unclaimed waitlist offers and offering freed-up seats
+cron.schedule('* * * * *', async () => {
+  try {
+    const { expired, offered } = await waitlistService.processWaitlists();
+    if (expired > 0 || offered > 0) {
+      console.log(`Waitlist: ${expired} offers expired, ${offered} new offers sent`);
+    }
+  } catch (error) {
+    console.error('Error in waitlist processor:', error);
+  }
+});
+
+// Cron job opening and closing ticket sales windows and notifying organizers
+cron.schedule('* * * * *', async () => {
+  try {
+    const changed = await salesWindowService.processSalesWindows();
+    if (changed > 0) {
+      console.log(`Sales windows: ${changed} ticket classes opened or closed`);
+    }
+  } catch (error) {
+    console.error('Error in sales window scheduler:', error);
+  }
+});
+
+module.exports = router;
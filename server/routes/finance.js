@@ -1,9 +1,368 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const { authenticateToken } = require('../middleware/auth');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const Dispute = require('../models/Dispute');
+const TeamMember = require('../models/TeamMember');
+const financeService = require('../services/financeService');
+const disputeService = require('../services/disputeService');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
 
-// Placeholder for finance routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Finance endpoint - coming soon' });
+// Resolve whose books are being looked at: the caller's own unless an organizerId is given,
+// in which case the caller needs the finance permission on that organizer's team
+const loadOrganizer = async (req, res, action) => {
+  const organizerId = req.query.organizerId || req.body?.organizerId || req.user.id;
+  if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid organizerId'
+    });
+    return null;
+  }
+
+  if (!await TeamMember.hasOrganizerPermission(organizerId, req.user.id, 'finance', action)) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} finances for this organizer`
+    });
+    return null;
+  }
+
+  return organizerId;
+};
+
+// Load a dispute for someone with the finance permission on its organizer's team
+const loadDispute = async (req, res, action) => {
+  const dispute = await Dispute.findOne({ disputeId: req.params.disputeId });
+  if (!dispute) {
+    res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+    return null;
+  }
+
+  if (!await TeamMember.hasOrganizerPermission(dispute.organizerId, req.user.id, 'finance', action)) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} finances for this organizer`
+    });
+    return null;
+  }
+
+  return dispute;
+};
+
+// Available and pending balance per currency
+router.get('/balance', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadOrganizer(req, res, 'view');
+    if (!organizerId) return;
+
+    const balances = await financeService.getBalances(organizerId);
+
+    res.json({
+      success: true,
+      organizerId,
+      balances
+    });
+  } catch (error) {
+    console.error('Error fetching balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch balance'
+    });
+  }
+});
+
+// Ledger transactions, newest first
+router.get('/ledger', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadOrganizer(req, res, 'view');
+    if (!organizerId) return;
+
+    const { currency, kind, page, limit } = req.query;
+    const { transactions, pagination } = await financeService.getLedger(organizerId, {
+      currency,
+      kind,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      transactions,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ledger'
+    });
+  }
+});
+
+// Payout history, including open requests
+router.get('/payouts', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadOrganizer(req, res, 'view');
+    if (!organizerId) return;
+
+    const { status, page, limit } = req.query;
+    const { payouts, pagination } = await financeService.getPayouts(organizerId, { status, page, limit });
+
+    res.json({
+      success: true,
+      payouts,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching payouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payouts'
+    });
+  }
+});
+
+// Ask to be paid out of the available balance; an admin approves or rejects the request
+router.post('/payouts', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadOrganizer(req, res, 'manage');
+    if (!organizerId) return;
+
+    const { amount, currency, destination, note } = req.body;
+    const payout = await financeService.requestPayout(organizerId, {
+      amount,
+      currency,
+      destination,
+      note
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested',
+      payout
+    });
+  } catch (error) {
+    console.error('Error requesting payout:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to request payout'
+    });
+  }
+});
+
+// Withdraw a payout request before it is reviewed
+router.post('/payouts/:payoutId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const payout = await Payout.findOne({ payoutId: req.params.payoutId });
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(payout.organizerId, req.user.id, 'finance', 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage finances for this organizer'
+      });
+    }
+
+    const cancelled = await financeService.closePayout(payout, 'cancelled');
+
+    res.json({
+      success: true,
+      message: 'Payout request cancelled',
+      payout: cancelled
+    });
+  } catch (error) {
+    console.error('Error cancelling payout:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel payout'
+    });
+  }
+});
+
+// ================================
+// INVOICE SETTINGS
+// ================================
+
+// Invoice numbering, seller details and footer printed on the organizer's invoices and receipts
+router.get('/invoice-settings', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadOrganizer(req, res, 'view');
+    if (!organizerId) return;
+
+    const organizer = await User.findById(organizerId).select('invoiceSettings');
+    if (!organizer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organizer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      settings: invoiceService.getSettings(organizer)
+    });
+  } catch (error) {
+    console.error('Error fetching invoice settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice settings'
+    });
+  }
+});
+
+router.put('/invoice-settings', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadOrganizer(req, res, 'manage');
+    if (!organizerId) return;
+
+    const { prefix, nextNumber, padding, address, taxId, footer, attachReceipts } = req.body;
+    const settings = await invoiceService.updateSettings(organizerId, {
+      prefix,
+      nextNumber,
+      padding,
+      address,
+      taxId,
+      footer,
+      attachReceipts
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice settings updated',
+      settings
+    });
+  } catch (error) {
+    console.error('Error updating invoice settings:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update invoice settings'
+    });
+  }
+});
+
+// ================================
+// DISPUTES
+// ================================
+
+// Chargebacks raised against the organizer's orders; status=open lists those still undecided
+router.get('/disputes', authenticateToken, async (req, res) => {
+  try {
+    const organizerId = await loadOrganizer(req, res, 'view');
+    if (!organizerId) return;
+
+    const { status, eventId, page, limit } = req.query;
+    const { disputes, pagination } = await disputeService.getDisputes(organizerId, {
+      status,
+      eventId,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      disputes,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disputes'
+    });
+  }
+});
+
+router.get('/disputes/:disputeId', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res, 'view');
+    if (!dispute) return;
+
+    await dispute.populate([
+      { path: 'orderId', select: 'orderId buyer items totalAmount refundedAmount currency status completedAt' },
+      { path: 'eventId', select: 'title dateTime' }
+    ]);
+
+    res.json({
+      success: true,
+      dispute
+    });
+  } catch (error) {
+    console.error('Error fetching dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispute'
+    });
+  }
+});
+
+// Contest a dispute with a written explanation and links to supporting files
+router.post('/disputes/:disputeId/evidence', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res, 'manage');
+    if (!dispute) return;
+
+    const { text, files } = req.body;
+    const updated = await paymentService.submitDisputeEvidence(dispute, { text, files }, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Evidence submitted',
+      dispute: updated
+    });
+  } catch (error) {
+    console.error('Error submitting dispute evidence:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to submit evidence'
+    });
+  }
+});
+
+// Concede a dispute instead of contesting it
+router.post('/disputes/:disputeId/accept', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res, 'manage');
+    if (!dispute) return;
+
+    const updated = await paymentService.acceptDispute(dispute, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Dispute accepted',
+      dispute: updated
+    });
+  } catch (error) {
+    console.error('Error accepting dispute:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to accept dispute'
+    });
+  }
+});
+
+// Cron job flagging disputes whose evidence deadline passed without a response
+cron.schedule('0 * * * *', async () => {
+  try {
+    const flagged = await disputeService.flagOverdue();
+    if (flagged > 0) {
+      console.log(`Flagged ${flagged} overdue disputes`);
+    }
+  } catch (error) {
+    console.error('Error in dispute deadline sweeper:', error);
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
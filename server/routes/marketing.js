@@ -5,99 +5,13 @@ const Event = require('../models/Event');
 const User = require('../models/User');
 const Analytics = require('../models/Analytics');
 const TeamMember = require('../models/TeamMember');
+const Campaign = require('../models/Campaign');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
 
-// Marketing Campaign Schema (embedded in routes for now)
 const mongoose = require('mongoose');
 
-const campaignSchema = new mongoose.Schema({
-  campaignId: {
-    type: String,
-    unique: true,
-    required: true
-  },
-  organizerId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  eventId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Event'
-  },
-  name: {
-    type: String,
-    required: true,
-    maxlength: 200
-  },
-  type: {
-    type: String,
-    enum: ['email', 'sms', 'push', 'social'],
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['draft', 'scheduled', 'sending', 'sent', 'paused', 'cancelled'],
-    default: 'draft'
-  },
-  targetAudience: {
-    type: {
-      type: String,
-      enum: ['all', 'followers', 'past_attendees', 'vips', 'first_timers', 'custom'],
-      default: 'all'
-    },
-    filters: {
-      location: [String],
-      ageRange: {
-        min: Number,
-        max: Number
-      },
-      interests: [String],
-      lastEventDate: Date
-    },
-    customUserIds: [mongoose.Schema.Types.ObjectId]
-  },
-  content: {
-    subject: String,
-    message: {
-      type: String,
-      required: true
-    },
-    template: String,
-    variables: mongoose.Schema.Types.Mixed
-  },
-  scheduling: {
-    sendAt: Date,
-    timezone: String,
-    repeatSchedule: {
-      frequency: {
-        type: String,
-        enum: ['none', 'daily', 'weekly', 'monthly']
-      },
-      until: Date
-    }
-  },
-  metrics: {
-    sent: { type: Number, default: 0 },
-    delivered: { type: Number, default: 0 },
-    opened: { type: Number, default: 0 },
-    clicked: { type: Number, default: 0 },
-    unsubscribed: { type: Number, default: 0 },
-    bounced: { type: Number, default: 0 }
-  },
-  trackingLinks: [{
-    originalUrl: String,
-    trackingUrl: String,
-    clicks: { type: Number, default: 0 }
-  }]
-}, {
-  timestamps: true
-});
-
-const Campaign = mongoose.model('Campaign', campaignSchema);
-
 // QR Code Tracking Schema
 const qrTrackingSchema = new mongoose.Schema({
   qrId: {
@@ -0,0 +1,940 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const DonationPledge = require('../models/DonationPledge');
+const TeamMember = require('../models/TeamMember');
+const checkoutService = require('../services/checkoutService');
+const refundService = require('../services/refundService');
+const approvalService = require('../services/approvalService');
+const waitlistService = require('../services/waitlistService');
+const donationService = require('../services/donationService');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
+const cron = require('node-cron');
+
+// Expire a pending order whose hold has lapsed before handing it back
+const loadOrder = async (orderId) => {
+  const order = await Order.findOne({ orderId });
+  if (order && order.isHoldExpired()) {
+    return checkoutService.expireOrder(order);
+  }
+  return order;
+};
+
+const isOrderOwner = (order, userId) => order.userId.toString() === userId;
+const isOrderOrganizer = (order, userId) => order.organizerId.toString() === userId;
+
+// Buyers get their own receipts and invoices; organizer staff need the finance permission
+const canAccessOrderDocuments = async (order, userId, action) => (
+  isOrderOwner(order, userId) ||
+  await TeamMember.hasOrganizerPermission(order.organizerId, userId, 'finance', action)
+);
+
+const sendPdf = (res, filename, pdf) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(pdf);
+};
+
+// Offer seats returned to inventory to the event's waitlist without holding up the response
+const offerFreedSeats = (eventId) => {
+  waitlistService.offerAvailableSeats(eventId).catch(error => {
+    console.error('Error offering seats to waitlist:', error);
+  });
+};
+
+// Create order and hold tickets
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { eventId, items, buyer, attendees, discountCode, accessToken } = req.body;
+
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'eventId is required'
+      });
+    }
+
+    const order = await checkoutService.createOrder({
+      eventId,
+      userId: req.user.id,
+      items,
+      attendees,
+      discountCode,
+      accessToken,
+      buyer: buyer || {
+        name: `${req.user.firstName} ${req.user.lastName}`,
+        email: req.user.email
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: order.status === 'awaiting_approval'
+        ? 'Registration submitted, tickets are reserved until the organizer reviews it'
+        : 'Order created, tickets are on hold until checkout is completed',
+      order
+    });
+  } catch (error) {
+    console.error('Error creating order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to create order'
+    });
+  }
+});
+
+// Quote a proposed cart: buyer total, platform fee and organizer net per currency
+router.post('/quote', optionalAuth, async (req, res) => {
+  try {
+    const { eventId, items, discountCode, accessToken } = req.body;
+
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'eventId is required'
+      });
+    }
+
+    const quote = await checkoutService.quote({
+      eventId,
+      userId: req.user?.id,
+      items,
+      discountCode,
+      accessToken: req.get('X-Event-Access') || accessToken
+    });
+
+    res.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('Error quoting order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to quote order'
+    });
+  }
+});
+
+// Get current user's orders
+router.get('/my-orders', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { userId: req.user.id };
+    if (status) query.status = status;
+
+    const orders = await Order.find(query)
+      .populate('eventId', 'title dateTime location images')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      orders
+    });
+  } catch (error) {
+    console.error('Error fetching user orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders'
+    });
+  }
+});
+
+// Get orders for an event (organizer only)
+router.get('/event/:eventId', authenticateToken, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const event = await Event.findById(eventId).select('organizer title');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view orders for this event'
+      });
+    }
+
+    const query = { eventId };
+    if (status) query.status = status;
+
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (parseInt(page) - 1) * limitNum;
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .populate('userId', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip),
+      Order.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching event orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event orders'
+    });
+  }
+});
+
+// Get registrations awaiting approval (organizer or team members with events.edit)
+router.get('/event/:eventId/approvals', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review registrations for this event'
+      });
+    }
+
+    const orders = await Order.find({ eventId: event._id, status: 'awaiting_approval' })
+      .populate('userId', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      orders
+    });
+  } catch (error) {
+    console.error('Error fetching approval queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch approval queue'
+    });
+  }
+});
+
+// Approve or decline registrations in bulk
+router.post('/event/:eventId/approvals', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review registrations for this event'
+      });
+    }
+
+    const { orderIds, decision, note } = req.body;
+    const results = await approvalService.reviewOrders(event._id, orderIds, decision, {
+      reviewedBy: req.user.id,
+      note
+    });
+
+    // Declined registrations return their reserved tickets
+    if (decision === 'decline' && results.some(result => result.success)) {
+      offerFreedSeats(event._id);
+    }
+
+    const reviewed = results.filter(result => result.success).length;
+    res.json({
+      success: true,
+      message: `${reviewed} of ${results.length} registrations ${decision === 'approve' ? 'approved' : 'declined'}`,
+      results
+    });
+  } catch (error) {
+    console.error('Error reviewing registrations:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to review registrations'
+    });
+  }
+});
+
+// Get single order
+router.get('/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const order = await loadOrder(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user.id) && !isOrderOrganizer(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order'
+    });
+  }
+});
+
+// Start paying for a pending order with the configured payment provider. The order
+// completes when the provider's webhook reports the payment.
+router.post('/:orderId/pay', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this order'
+      });
+    }
+
+    const payment = await paymentService.startPayment(order);
+
+    res.json({
+      success: true,
+      payment
+    });
+  } catch (error) {
+    console.error('Error starting payment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to start payment'
+    });
+  }
+});
+
+// Complete checkout for a pending free order; paid orders complete through the payment webhook
+router.post('/:orderId/confirm', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to confirm this order'
+      });
+    }
+
+    if (order.totalAmount > 0) {
+      return res.status(402).json({
+        success: false,
+        message: 'Payment is required to complete this order'
+      });
+    }
+
+    const completedOrder = await checkoutService.confirmOrder(order, { sessionId: req.sessionID });
+
+    res.json({
+      success: true,
+      message: 'Order completed successfully',
+      order: completedOrder
+    });
+  } catch (error) {
+    console.error('Error confirming order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to confirm order'
+    });
+  }
+});
+
+// Cancel a pending order and release its tickets
+router.post('/:orderId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const order = await loadOrder(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user.id) && !isOrderOrganizer(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this order'
+      });
+    }
+
+    const cancelledOrder = await checkoutService.cancelOrder(order);
+    offerFreedSeats(order.eventId);
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      order: cancelledOrder
+    });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel order'
+    });
+  }
+});
+
+// ================================
+// REFUNDS
+// ================================
+
+// Get refund requests for an event (organizer only)
+router.get('/refunds/event/:eventId', authenticateToken, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { status } = req.query;
+
+    const event = await Event.findById(eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view refunds for this event'
+      });
+    }
+
+    const query = { eventId };
+    if (status) query.status = status;
+
+    const refunds = await Refund.find(query)
+      .populate('orderId', 'orderId totalAmount refundedAmount currency status')
+      .populate('userId', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      refunds
+    });
+  } catch (error) {
+    console.error('Error fetching event refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+});
+
+// Approve a pending refund request
+router.post('/refunds/:refundId/approve', authenticateToken, async (req, res) => {
+  try {
+    const refund = await Refund.findOne({ refundId: req.params.refundId });
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund request not found'
+      });
+    }
+
+    if (refund.organizerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this refund request'
+      });
+    }
+
+    const processedRefund = await refundService.approveRefund(refund, {
+      reviewedBy: req.user.id,
+      organizerNote: req.body.note
+    });
+    if (processedRefund.items.length > 0) offerFreedSeats(refund.eventId);
+
+    res.json({
+      success: true,
+      message: 'Refund approved and processed',
+      refund: processedRefund
+    });
+  } catch (error) {
+    console.error('Error approving refund:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to approve refund'
+    });
+  }
+});
+
+// Finish a refund that was interrupted while processing
+router.post('/refunds/:refundId/resume', authenticateToken, async (req, res) => {
+  try {
+    const refund = await Refund.findOne({ refundId: req.params.refundId });
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    if (refund.organizerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to process this refund'
+      });
+    }
+
+    const processedRefund = await refundService.resumeRefund(refund);
+    if (processedRefund.items.length > 0) offerFreedSeats(refund.eventId);
+
+    res.json({
+      success: true,
+      message: 'Refund processed',
+      refund: processedRefund
+    });
+  } catch (error) {
+    console.error('Error resuming refund:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to process refund'
+    });
+  }
+});
+
+// Decline a pending refund request
+router.post('/refunds/:refundId/decline', authenticateToken, async (req, res) => {
+  try {
+    const refund = await Refund.findOne({ refundId: req.params.refundId });
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund request not found'
+      });
+    }
+
+    if (refund.organizerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this refund request'
+      });
+    }
+
+    const declinedRefund = await refundService.declineRefund(refund, {
+      reviewedBy: req.user.id,
+      organizerNote: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund request declined',
+      refund: declinedRefund
+    });
+  } catch (error) {
+    console.error('Error declining refund:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to decline refund'
+    });
+  }
+});
+
+// Get refunds for an order
+router.get('/:orderId/refunds', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user.id) && !isOrderOrganizer(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view refunds for this order'
+      });
+    }
+
+    const refunds = await Refund.find({ orderId: order._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      refunds
+    });
+  } catch (error) {
+    console.error('Error fetching order refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+});
+
+// Issue a full or partial refund (organizer only)
+router.post('/:orderId/refunds', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOrganizer(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to refund this order'
+      });
+    }
+
+    const { items, amount, reason } = req.body;
+    const refund = await refundService.issueRefund(order, {
+      items,
+      amount,
+      reason,
+      reviewedBy: req.user.id
+    });
+    if (refund.items.length > 0) offerFreedSeats(order.eventId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund processed successfully',
+      refund
+    });
+  } catch (error) {
+    console.error('Error issuing refund:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to process refund'
+    });
+  }
+});
+
+// Request a refund under the event's refund policy (attendee)
+router.post('/:orderId/refund-requests', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to request a refund for this order'
+      });
+    }
+
+    const { items, reason } = req.body;
+    const refund = await refundService.requestRefund(order, { items, reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund request submitted to the organizer',
+      refund
+    });
+  } catch (error) {
+    console.error('Error requesting refund:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to submit refund request'
+    });
+  }
+});
+
+// ================================
+// DONATIONS
+// ================================
+
+// Get current user's recurring donation pledges
+router.get('/pledges/my-pledges', authenticateToken, async (req, res) => {
+  try {
+    const pledges = await DonationPledge.find({ userId: req.user.id })
+      .populate('eventId', 'title dateTime')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      pledges
+    });
+  } catch (error) {
+    console.error('Error fetching pledges:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pledges'
+    });
+  }
+});
+
+// Get recurring donation pledges for an event (organizer only)
+router.get('/pledges/event/:eventId', authenticateToken, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { status } = req.query;
+
+    const event = await Event.findById(eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view pledges for this event'
+      });
+    }
+
+    const query = { eventId };
+    if (status) query.status = status;
+
+    const pledges = await DonationPledge.find(query)
+      .populate('userId', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      pledges
+    });
+  } catch (error) {
+    console.error('Error fetching event pledges:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pledges'
+    });
+  }
+});
+
+// Stop a recurring donation (donor or organizer)
+router.post('/pledges/:pledgeId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const pledge = await DonationPledge.findOne({ pledgeId: req.params.pledgeId });
+    if (!pledge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pledge not found'
+      });
+    }
+
+    if (pledge.userId.toString() !== req.user.id && pledge.organizerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this pledge'
+      });
+    }
+
+    const cancelled = await donationService.cancelPledge(pledge);
+
+    res.json({
+      success: true,
+      message: 'Recurring donation cancelled',
+      pledge: cancelled
+    });
+  } catch (error) {
+    console.error('Error cancelling pledge:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel pledge'
+    });
+  }
+});
+
+// Download the donation receipt for an order
+router.get('/:orderId/donation-receipt', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user.id) && !isOrderOrganizer(order, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this receipt'
+      });
+    }
+
+    const receipt = await donationService.getReceipt(order);
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        receipt
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="donation-receipt-${receipt.receiptNumber}.html"`);
+    res.send(donationService.renderReceipt(receipt));
+  } catch (error) {
+    console.error('Error generating donation receipt:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to generate donation receipt'
+    });
+  }
+});
+
+// Download a PDF receipt for a paid order
+router.get('/:orderId/receipt', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!await canAccessOrderDocuments(order, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this receipt'
+      });
+    }
+
+    sendPdf(res, `receipt-${order.orderId}.pdf`, await invoiceService.renderReceipt(order));
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to generate receipt'
+    });
+  }
+});
+
+// Issue a numbered invoice with the buyer's billing details (company, address, tax ID)
+router.post('/:orderId/invoice', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!await canAccessOrderDocuments(order, req.user.id, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to invoice this order'
+      });
+    }
+
+    const invoiced = await invoiceService.issueInvoice(order, req.body.billTo);
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoiced.invoice.number} issued`,
+      invoice: invoiced.invoice
+    });
+  } catch (error) {
+    console.error('Error issuing invoice:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to issue invoice'
+    });
+  }
+});
+
+// Download the order's PDF invoice once it has been issued
+router.get('/:orderId/invoice', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!await canAccessOrderDocuments(order, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this invoice'
+      });
+    }
+
+    const pdf = await invoiceService.renderInvoice(order);
+    sendPdf(res, `invoice-${order.invoice.number}.pdf`, pdf);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to generate invoice'
+    });
+  }
+});
+
+// Cron job releasing tickets held by abandoned checkouts
+cron.schedule('* * * * *', async () => {
+  try {
+    const released = await checkoutService.releaseExpiredHolds();
+    if (released > 0) {
+      console.log(`Released ${released} expired ticket holds`);
+    }
+  } catch (error) {
+    console.error('Error in ticket hold sweeper:', error);
+  }
+});
+
+// Cron job charging recurring donation pledges that have come due
+cron.schedule('0 * * * *', async () => {
+  try {
+    const started = await paymentService.chargeDuePledges();
+    if (started > 0) {
+      console.log(`Started charges for ${started} recurring donation pledges`);
+    }
+  } catch (error) {
+    console.error('Error in donation pledge processor:', error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const currencyService = require('../services/currencyService');
 const { authenticateToken } = require('../middleware/auth');
 
 /**
@@ -167,6 +168,13 @@ router.put('/profile', authenticateToken, async (req, res) => {
       }
     }
 
+    if (updates.reportingCurrency && !currencyService.isSupported(updates.reportingCurrency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported reporting currency ${updates.reportingCurrency}`
+      });
+    }
+
     // Merge updates
     user.organizerProfile = {
       ...user.organizerProfile,
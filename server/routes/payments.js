@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const Order = require('../models/Order');
+const Dispute = require('../models/Dispute');
+const TeamMember = require('../models/TeamMember');
+const paymentService = require('../services/paymentService');
+
+// Which provider the frontend should load for checkout
+router.get('/config', (req, res) => {
+  res.json({
+    success: true,
+    provider: paymentService.provider,
+    publishableKey: paymentService.provider === 'stripe' ? process.env.STRIPE_PUBLISHABLE_KEY || null : null
+  });
+});
+
+// Signed webhooks from payment providers. Verified against the raw request body, which
+// server.js keeps for this path.
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    res.json({
+      received: true,
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    // Anything but a 2xx makes the provider retry, which is what we want for our own failures
+    res.status(error.status || 500).json({
+      received: false,
+      message: error.status ? error.message : 'Failed to process webhook'
+    });
+  }
+});
+
+// Simulations of the local provider settle orders and disputes without the provider, so
+// they are never registered in production
+if (process.env.NODE_ENV !== 'production') {
+  // Development only: settle a pending payment with the local provider as if the buyer had
+  // paid (succeed) or their card was declined (fail)
+  router.post('/local/orders/:orderId/:outcome(succeed|fail)', authenticateToken, async (req, res) => {
+    try {
+      const order = await Order.findOne({ orderId: req.params.orderId });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      if (order.userId.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to pay for this order'
+        });
+      }
+
+      await paymentService.simulateCharge(order, req.params.outcome);
+
+      res.json({
+        success: true,
+        order: await Order.findById(order._id)
+      });
+    } catch (error) {
+      console.error('Error simulating payment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to simulate payment'
+      });
+    }
+  });
+
+  // Development only: dispute a paid order with the local provider, as the buyer's card issuer would
+  router.post('/local/orders/:orderId/dispute', authenticateToken, async (req, res) => {
+    try {
+      const order = await Order.findOne({ orderId: req.params.orderId });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      if (order.userId.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to dispute this order'
+        });
+      }
+
+      await paymentService.simulateDispute(order, req.body.reason);
+
+      res.json({
+        success: true,
+        order: await Order.findById(order._id)
+      });
+    } catch (error) {
+      console.error('Error simulating dispute:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to simulate dispute'
+      });
+    }
+  });
+
+  // Development only: decide a local dispute for (won) or against (lost) the organizer
+  router.post('/local/disputes/:disputeId/:outcome(won|lost)', authenticateToken, async (req, res) => {
+    try {
+      const dispute = await Dispute.findOne({ disputeId: req.params.disputeId });
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dispute not found'
+        });
+      }
+
+      if (!await TeamMember.hasOrganizerPermission(dispute.organizerId, req.user.id, 'finance', 'manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to manage this dispute'
+        });
+      }
+
+      await paymentService.simulateDisputeOutcome(dispute, req.params.outcome);
+
+      res.json({
+        success: true,
+        dispute: await Dispute.findById(dispute._id)
+      });
+    } catch (error) {
+      console.error('Error simulating dispute outcome:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to simulate dispute outcome'
+      });
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,459 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const CheckInScan = require('../models/CheckInScan');
+const TeamMember = require('../models/TeamMember');
+const ticketService = require('../services/ticketService');
+const registrationService = require('../services/registrationService');
+
+// Get current user's tickets with their QR codes
+router.get('/my-tickets', authenticateToken, async (req, res) => {
+  try {
+    const { eventId } = req.query;
+    const query = { userId: req.user.id, status: { $ne: 'void' } };
+    if (eventId) query.eventId = eventId;
+
+    const tickets = await Ticket.find(query)
+      .populate('eventId', 'title dateTime location images')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      tickets: await Promise.all(tickets.map(ticket => ticketService.toTicketData(ticket)))
+    });
+  } catch (error) {
+    console.error('Error fetching user tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets'
+    });
+  }
+});
+
+// Get tickets issued for an order
+router.get('/order/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isOwner = order.userId.toString() === req.user.id;
+    if (!isOwner && order.organizerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view tickets for this order'
+      });
+    }
+
+    const tickets = await Ticket.find({ orderId: order._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      // Only the ticket holder receives the scannable payload
+      tickets: isOwner
+        ? await Promise.all(tickets.map(ticket => ticketService.toTicketData(ticket)))
+        : tickets
+    });
+  } catch (error) {
+    console.error('Error fetching order tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets'
+    });
+  }
+});
+
+// Get tickets and check-in progress for an event (organizer or team members with events.edit)
+router.get('/event/:eventId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view tickets for this event'
+      });
+    }
+
+    const { status, kind } = req.query;
+    const query = { eventId: event._id };
+    if (status) query.status = status;
+    if (kind === 'addon') query.kind = 'addon';
+    if (kind === 'admission') query.kind = { $ne: 'addon' };
+
+    const [tickets, statusCounts] = await Promise.all([
+      Ticket.find(query)
+        .populate('userId', 'firstName lastName email')
+        .sort({ createdAt: 1 }),
+      Ticket.aggregate([
+        { $match: { eventId: event._id } },
+        {
+          $group: {
+            _id: { kind: { $ifNull: ['$kind', 'admission'] }, status: '$status' },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    const counts = { admission: {}, addon: {} };
+    statusCounts.forEach(s => {
+      counts[s._id.kind][s._id.status] = s.count;
+    });
+
+    res.json({
+      success: true,
+      tickets,
+      summary: {
+        valid: counts.admission.valid || 0,
+        checkedIn: counts.admission.checked_in || 0,
+        void: counts.admission.void || 0
+      },
+      addOns: {
+        valid: counts.addon.valid || 0,
+        redeemed: counts.addon.checked_in || 0,
+        void: counts.addon.void || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching event tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event tickets'
+    });
+  }
+});
+
+// Export attendees with their registration answers as CSV, or JSON with ?format=json
+router.get('/event/:eventId/attendees/export', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer title attendees registrationQuestions');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export attendees for this event'
+      });
+    }
+
+    const exported = await registrationService.getAttendeeExport(event);
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        headers: exported.headers,
+        attendees: exported.rows.map(row => Object.fromEntries(exported.headers.map((header, i) => [header, row[i]])))
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=attendees-${event._id}.csv`);
+    res.send(registrationService.toCsv(exported));
+  } catch (error) {
+    console.error('Error exporting attendees:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export attendees'
+    });
+  }
+});
+
+// Scan a ticket at the door (organizer or team members with events.edit)
+router.post('/event/:eventId/check-in', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check in attendees for this event'
+      });
+    }
+
+    const { payload, deviceId } = req.body;
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket payload is required'
+      });
+    }
+
+    const ticket = await ticketService.checkIn(event._id, payload, { scannedBy: req.user.id, deviceId });
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      ticket: {
+        ticketId: ticket.ticketId,
+        ticketClassName: ticket.ticketClassName,
+        holderName: ticket.holderName,
+        checkedInAt: ticket.checkedInAt
+      }
+    });
+  } catch (error) {
+    console.error('Error checking in ticket:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to check in ticket',
+      reason: error.reason,
+      checkedInAt: error.checkedInAt
+    });
+  }
+});
+
+// Redeem an add-on voucher at its scan point, e.g. the parking gate or merch stand
+router.post('/event/:eventId/add-ons/redeem', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to redeem add-ons for this event'
+      });
+    }
+
+    const { payload, deviceId } = req.body;
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add-on payload is required'
+      });
+    }
+
+    const voucher = await ticketService.checkIn(event._id, payload, {
+      scannedBy: req.user.id,
+      deviceId,
+      kind: 'addon'
+    });
+
+    res.json({
+      success: true,
+      message: 'Add-on redeemed successfully',
+      addOn: {
+        ticketId: voucher.ticketId,
+        ticketClassName: voucher.ticketClassName,
+        holderName: voucher.holderName,
+        redeemedAt: voucher.checkedInAt
+      }
+    });
+  } catch (error) {
+    console.error('Error redeeming add-on:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to redeem add-on',
+      reason: error.reason,
+      redeemedAt: error.checkedInAt
+    });
+  }
+});
+
+// Download the signed ticket manifest for offline scanning (door staff)
+router.get('/event/:eventId/manifest', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download the ticket manifest for this event'
+      });
+    }
+
+    // Scanners that already hold a manifest can ask only for tickets changed since then
+    let since;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'since must be a valid date'
+        });
+      }
+    }
+
+    const manifest = await ticketService.buildManifest(event._id, { since });
+
+    res.json({
+      success: true,
+      manifest
+    });
+  } catch (error) {
+    console.error('Error building ticket manifest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build ticket manifest'
+    });
+  }
+});
+
+// Upload check-ins recorded by an offline scanner (door staff)
+router.post('/event/:eventId/check-ins/sync', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check in attendees for this event'
+      });
+    }
+
+    const { deviceId, scans } = req.body;
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'deviceId is required'
+      });
+    }
+
+    const summary = await ticketService.syncCheckIns(event._id, scans, {
+      scannedBy: req.user.id,
+      deviceId
+    });
+
+    res.json({
+      success: true,
+      message: `${summary.accepted} check-ins synced, ${summary.conflicts} conflicts, ${summary.rejected} rejected`,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error syncing check-ins:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to sync check-ins'
+    });
+  }
+});
+
+// Get the scan log for an event, e.g. ?result=already_checked_in for conflicts
+router.get('/event/:eventId/check-ins', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!await TeamMember.hasOrganizerPermission(event.organizer, req.user.id, 'events', 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view check-ins for this event'
+      });
+    }
+
+    const { result, deviceId, kind, page = 1, limit = 100 } = req.query;
+    const query = { eventId: event._id };
+    if (result) query.result = result;
+    if (deviceId) query.deviceId = deviceId;
+    if (kind) query.kind = kind;
+
+    const limitNum = Math.min(parseInt(limit), 500);
+    const skip = (parseInt(page) - 1) * limitNum;
+
+    const [scans, total] = await Promise.all([
+      CheckInScan.find(query)
+        .populate('scannedBy', 'firstName lastName')
+        .sort({ scannedAt: -1 })
+        .limit(limitNum)
+        .skip(skip),
+      CheckInScan.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      scans,
+      pagination: {
+        page: parseInt(page),
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching check-in scans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check-ins'
+    });
+  }
+});
+
+// Get a single ticket with its QR code (ticket holder only)
+router.get('/:ticketId', authenticateToken, async (req, res) => {
+  try {
+    const ticket = await Ticket.findOne({ ticketId: req.params.ticketId })
+      .populate('eventId', 'title dateTime location images');
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (ticket.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this ticket'
+      });
+    }
+
+    res.json({
+      success: true,
+      ticket: await ticketService.toTicketData(ticket)
+    });
+  } catch (error) {
+    console.error('Error fetching ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket'
+    });
+  }
+});
+
+module.exports = router;
@@ -58,6 +58,10 @@ const safetyRoutes = require('./routes/safety');
 const liveEventsRoutes = require('./routes/live-events');
 const automationRoutes = require('./routes/automation');
 const analyticsRoutes = require('./routes/analytics');
+const orderRoutes = require('./routes/orders');
+const ticketRoutes = require('./routes/tickets');
+const boxOfficeRoutes = require('./routes/box-office');
+const paymentRoutes = require('./routes/payments');
 
 // Import Socket.io handler
 const { handleConnection } = require('./socket/socketHandler');
@@ -188,8 +192,16 @@ app.use(cors(corsOptions));
 // Handle preflight requests explicitly
 app.options('*', cors(corsOptions));
 
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parser middleware. Payment webhooks are signed over the exact bytes received,
+// so their raw body is kept for verification.
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration for Passport with MongoDB store
@@ -252,6 +264,10 @@ app.use('/api/safety', safetyRoutes);
 app.use('/api/live-events', liveEventsRoutes);
 app.use('/api/automation', automationRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/tickets', ticketRoutes);
+app.use('/api/box-office', boxOfficeRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Page routes
 app.use('/', pageRoutes);
@@ -280,6 +296,10 @@ app.get('/api/health', (req, res) => {
       liveEvents: `http://localhost:${currentPort}/api/live-events`,
       analytics: `http://localhost:${currentPort}/api/analytics`,
       automation: `http://localhost:${currentPort}/api/automation`,
+      orders: `http://localhost:${currentPort}/api/orders`,
+      tickets: `http://localhost:${currentPort}/api/tickets`,
+      boxOffice: `http://localhost:${currentPort}/api/box-office`,
+      payments: `http://localhost:${currentPort}/api/payments`,
       frontend: `http://localhost:${currentPort}`
     }
   });
@@ -324,5 +344,9 @@ server.listen(PORT, () => {
   console.log(`   • Live Events: http://localhost:${PORT}/api/live-events`);
   console.log(`   • Analytics: http://localhost:${PORT}/api/analytics`);
   console.log(`   • Automation: http://localhost:${PORT}/api/automation`);
+  console.log(`   • Orders: http://localhost:${PORT}/api/orders`);
+  console.log(`   • Tickets: http://localhost:${PORT}/api/tickets`);
+  console.log(`   • Box Office: http://localhost:${PORT}/api/box-office`);
+  console.log(`   • Payments: http://localhost:${PORT}/api/payments`);
   console.log(`   • Frontend: http://localhost:${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,138 @@
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const checkoutService = require('./checkoutService');
+const emailService = require('./emailService');
+
+// Hours an approved applicant has to complete checkout before the tickets are released
+const APPROVAL_CHECKOUT_HOURS = parseInt(process.env.APPROVAL_CHECKOUT_HOURS, 10) || 48;
+
+class ApprovalService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  async approveOrder(order, { reviewedBy, note } = {}) {
+    if (order.status !== 'awaiting_approval') {
+      throw this.createError(`Order is ${order.status}, not awaiting approval`);
+    }
+
+    const now = new Date();
+    const approved = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'awaiting_approval' },
+      {
+        $set: {
+          status: 'pending',
+          'approval.reviewedBy': reviewedBy,
+          'approval.reviewedAt': now,
+          'approval.note': note,
+          holdExpiresAt: new Date(now.getTime() + APPROVAL_CHECKOUT_HOURS * 60 * 60 * 1000)
+        }
+      },
+      { new: true }
+    );
+    if (!approved) {
+      throw this.createError('Order was already reviewed', 409);
+    }
+
+    // Nothing to pay for, so the registration is confirmed straight away
+    const result = approved.totalAmount === 0
+      ? await checkoutService.confirmOrder(approved)
+      : approved;
+
+    await this.notifyApplicant(result, true, note);
+    return result;
+  }
+
+  async declineOrder(order, { reviewedBy, note } = {}) {
+    if (order.status !== 'awaiting_approval') {
+      throw this.createError(`Order is ${order.status}, not awaiting approval`);
+    }
+
+    const declined = await checkoutService.releaseOrder(order, 'declined', 'declinedAt', {
+      fromStatus: 'awaiting_approval',
+      fields: {
+        'approval.reviewedBy': reviewedBy,
+        'approval.reviewedAt': new Date(),
+        'approval.note': note
+      }
+    });
+    if (!declined) {
+      throw this.createError('Order was already reviewed', 409);
+    }
+
+    await this.notifyApplicant(declined, false, note);
+    return declined;
+  }
+
+  // Review several applications for one event; each order succeeds or fails on its own
+  async reviewOrders(eventId, orderIds, decision, { reviewedBy, note } = {}) {
+    if (!['approve', 'decline'].includes(decision)) {
+      throw this.createError('Decision must be approve or decline');
+    }
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      throw this.createError('At least one orderId is required');
+    }
+
+    const orders = await Order.find({ eventId, orderId: { $in: orderIds } });
+    const results = [];
+
+    for (const orderId of orderIds) {
+      const order = orders.find(o => o.orderId === orderId);
+      if (!order) {
+        results.push({ orderId, success: false, message: 'Order not found' });
+        continue;
+      }
+
+      try {
+        const reviewed = decision === 'approve'
+          ? await this.approveOrder(order, { reviewedBy, note })
+          : await this.declineOrder(order, { reviewedBy, note });
+        results.push({ orderId, success: true, status: reviewed.status });
+      } catch (error) {
+        if (!error.status) {
+          console.error(`Error reviewing order ${orderId}:`, error);
+        }
+        results.push({
+          orderId,
+          success: false,
+          message: error.status ? error.message : 'Failed to review order'
+        });
+      }
+    }
+
+    return results;
+  }
+
+  async notifyApplicant(order, approved, note) {
+    try {
+      const [event, user] = await Promise.all([
+        Event.findById(order.eventId).select('title'),
+        User.findById(order.userId).select('firstName email')
+      ]);
+      const email = order.buyer?.email || user?.email;
+      if (!email) return;
+
+      const awaitingPayment = approved && order.status === 'pending';
+      await emailService.sendRegistrationDecisionEmail({
+        email,
+        userName: order.buyer?.name || user?.firstName || 'there',
+        eventName: event?.title || 'the event',
+        approved,
+        note,
+        checkoutLink: awaitingPayment
+          ? `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${order.orderId}/checkout`
+          : null,
+        expiresAt: awaitingPayment ? order.holdExpiresAt.toLocaleString() : null
+      });
+    } catch (error) {
+      // The decision stands even if the email could not be delivered
+      console.error('Error notifying applicant:', error);
+    }
+  }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,184 @@
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const checkoutService = require('./checkoutService');
+const ticketService = require('./ticketService');
+const currencyService = require('./currencyService');
+
+// Ways a box office sale can be paid for in person
+const PAYMENT_METHODS = ['cash', 'card'];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class BoxOfficeService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Ticket classes staff can sell at the door, with what is left of each
+  getDoorTicketClasses(event) {
+    return (event.pricing?.ticketClasses || [])
+      .filter(ticketClass => event.isSoldAtDoor(ticketClass))
+      .map(ticketClass => ({
+        id: ticketClass.id,
+        name: ticketClass.name,
+        type: ticketClass.type,
+        cost: ticketClass.cost,
+        suggestedDonation: ticketClass.suggestedDonation,
+        minimumDonation: ticketClass.minimumDonation,
+        salesStatus: event.getSalesStatus(ticketClass),
+        remaining: event.getRemainingTickets(ticketClass.id),
+        soldOnline: event.isSoldOnline(ticketClass),
+        isAddOn: event.isAddOn(ticketClass)
+      }));
+  }
+
+  // Orders belong to a user account. Walk-up buyers with an account get the order;
+  // everyone else's order is kept under the staff member who sold it.
+  async resolveBuyerAccount(buyer, soldBy) {
+    if (buyer?.email) {
+      const user = await User.findOne({ email: String(buyer.email).trim().toLowerCase() }).select('_id');
+      if (user) return user._id;
+    }
+    return soldBy;
+  }
+
+  // Sell tickets at the door and issue them straight away
+  async sell(event, { items, buyer = {}, attendees, paymentMethod, amountTendered, terminalReference, discountCode, soldBy }) {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      throw this.createError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    // Check the cash handed over before anything is reserved
+    const { fees, tax } = await checkoutService.priceItems(event, items, { discountCode, channel: 'atd' });
+    const total = fees.buyerTotal + tax.total;
+    const currency = event.currency || 'USD';
+
+    let tendered;
+    if (paymentMethod === 'cash' && amountTendered !== undefined && amountTendered !== null) {
+      tendered = parseInt(amountTendered, 10);
+      if (!Number.isInteger(tendered) || tendered < total) {
+        throw this.createError(`Amount tendered must cover the total of ${currencyService.formatAmount(total, currency)}`);
+      }
+    }
+
+    const order = await checkoutService.createOrder({
+      eventId: event._id,
+      userId: await this.resolveBuyerAccount(buyer, soldBy),
+      items,
+      buyer,
+      attendees,
+      discountCode,
+      channel: 'atd',
+      boxOffice: {
+        soldBy,
+        paymentMethod,
+        terminalReference: paymentMethod === 'card' ? terminalReference : undefined,
+        amountTendered: tendered,
+        changeDue: tendered !== undefined ? tendered - total : undefined
+      }
+    });
+
+    return this.issue(order);
+  }
+
+  // Give complimentary tickets, e.g. for guests or to resolve a problem at the door
+  async comp(event, { items, buyer = {}, attendees, note, soldBy }) {
+    const order = await checkoutService.createOrder({
+      eventId: event._id,
+      userId: await this.resolveBuyerAccount(buyer, soldBy),
+      items,
+      buyer,
+      attendees,
+      channel: 'atd',
+      comp: true,
+      boxOffice: {
+        soldBy,
+        paymentMethod: 'comp',
+        note
+      }
+    });
+
+    return this.issue(order);
+  }
+
+  // Payment was taken in person, so the order completes and its tickets are issued at once
+  async issue(order) {
+    const completed = await checkoutService.confirmOrder(order);
+    const tickets = await Ticket.find({ orderId: completed._id }).sort({ createdAt: 1 });
+
+    return {
+      order: completed,
+      tickets: await Promise.all(tickets.map(ticket => ticketService.toTicketData(ticket)))
+    };
+  }
+
+  // Box office takings for an event, per payment method and currency
+  async getSummary(eventId, { since } = {}) {
+    const match = {
+      eventId,
+      channel: 'atd',
+      status: { $in: Order.PAID_STATUSES }
+    };
+    if (since) match.completedAt = { $gte: since };
+
+    const orders = await Order.find(match).select('currency totalAmount refundedAmount boxOffice items');
+    const byMethod = {};
+
+    orders.forEach(order => {
+      const method = order.boxOffice?.paymentMethod || 'cash';
+      const key = `${method}|${order.currency}`;
+      const summary = byMethod[key] || (byMethod[key] = {
+        paymentMethod: method,
+        currency: order.currency,
+        orders: 0,
+        tickets: 0,
+        amount: 0
+      });
+      summary.orders++;
+      summary.tickets += order.activeTicketCount;
+      summary.amount += order.netAmount;
+    });
+
+    return Object.values(byMethod).map(summary => ({
+      ...summary,
+      amount: currencyService.toMajorUnits(summary.amount, summary.currency)
+    }));
+  }
+
+  // Printable page with one ticket and QR code per attendee
+  renderTickets(event, order, tickets) {
+    const cards = tickets.map(ticket => `
+    <div class="ticket">
+      <h2>${escapeHtml(event.title)}</h2>
+      <p>${escapeHtml(ticket.ticketClassName)}${ticket.holderName ? ` - ${escapeHtml(ticket.holderName)}` : ''}</p>
+      <img src="${ticket.qrCode}" alt="Ticket ${ticket.ticketId}">
+      <p class="ticket-id">${ticket.ticketId}</p>
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tickets ${order.orderId}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; }
+    .ticket { width: 320px; margin: 0 auto 20px; padding: 16px; border: 1px dashed #999; text-align: center; page-break-after: always; }
+    .ticket h2 { margin: 0 0 8px; font-size: 18px; }
+    .ticket-id { font-family: monospace; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body onload="window.print()">${cards}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new BoxOfficeService();
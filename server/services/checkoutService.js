@@ -0,0 +1,570 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Discount = require('../models/Discount');
+const Analytics = require('../models/Analytics');
+const User = require('../models/User');
+const ticketService = require('./ticketService');
+const feeService = require('./feeService');
+const donationService = require('./donationService');
+const currencyService = require('./currencyService');
+const taxService = require('./taxService');
+const eventAccessService = require('./eventAccessService');
+const registrationService = require('./registrationService');
+const seatingService = require('./seatingService');
+const financeService = require('./financeService');
+const invoiceService = require('./invoiceService');
+const emailService = require('./emailService');
+
+// Minutes a pending order keeps its tickets reserved, unless the event overrides it
+const DEFAULT_HOLD_MINUTES = parseInt(process.env.TICKET_HOLD_MINUTES, 10) || 15;
+
+// Event statuses that accept new orders
+const PURCHASABLE_STATUSES = ['published', 'live', 'started'];
+
+class CheckoutService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Combine repeated ticket class entries into a single line per class.
+  // Donation lines for the same class must agree on the amount and pledge.
+  mergeItems(items) {
+    const merged = new Map();
+    items.forEach(item => {
+      // Picking seats sets the quantity
+      const seatIds = Array.isArray(item.seatIds) ? item.seatIds.map(String) : undefined;
+      const quantity = seatIds && item.quantity === undefined ? seatIds.length : parseInt(item.quantity, 10);
+      if (!item.ticketClassId || !Number.isInteger(quantity) || quantity < 1) {
+        throw this.createError('Each item requires a ticketClassId and a positive quantity');
+      }
+      if (seatIds && seatIds.length !== quantity) {
+        throw this.createError('Choose one seat for each ticket');
+      }
+
+      const existing = merged.get(item.ticketClassId);
+      if (!existing) {
+        merged.set(item.ticketClassId, {
+          ticketClassId: item.ticketClassId,
+          quantity,
+          donationAmount: item.donationAmount,
+          pledgeInterval: item.pledgeInterval,
+          seatIds
+        });
+        return;
+      }
+      if (existing.donationAmount !== item.donationAmount || existing.pledgeInterval !== item.pledgeInterval) {
+        throw this.createError('Donations to the same ticket class must use a single amount');
+      }
+      existing.quantity += quantity;
+      if (seatIds) existing.seatIds = [...(existing.seatIds || []), ...seatIds];
+    });
+    return Array.from(merged.values());
+  }
+
+  // A series parent is only a template; buyers register for one of its occurrences
+  isOpenForSales(event) {
+    return PURCHASABLE_STATUSES.includes(event.status) && !event.isSeriesParent();
+  }
+
+  requiresApproval(event, items) {
+    return Boolean(event.settings?.requireApproval) || items.some(item =>
+      event.getTicketClass(item.ticketClassId)?.restrictions?.requiresApproval
+    );
+  }
+
+  getHoldMinutes(event) {
+    return event.checkout_settings?.holdMinutes || DEFAULT_HOLD_MINUTES;
+  }
+
+  // channel: 'online' for web checkout, 'atd' for box office sales at the door
+  validateTicketClassPurchase(event, ticketClass, quantity, now = new Date(), checkRemaining = true, channel = 'online') {
+    const { minimumQuantity, maximumQuantity } = ticketClass.restrictions || {};
+
+    if (channel === 'atd' && !event.isSoldAtDoor(ticketClass)) {
+      throw this.createError(`${ticketClass.name} is not sold at the door`);
+    }
+    if (channel !== 'atd' && !event.isSoldOnline(ticketClass)) {
+      throw this.createError(`${ticketClass.name} is only sold at the door`);
+    }
+    if (channel !== 'atd' && event.isTicketClassHidden(ticketClass, now)) {
+      throw this.createError(`${ticketClass.name} is not available`);
+    }
+
+    if (minimumQuantity && quantity < minimumQuantity) {
+      throw this.createError(`Minimum of ${minimumQuantity} tickets required for ${ticketClass.name}`);
+    }
+
+    if (maximumQuantity && quantity > maximumQuantity) {
+      throw this.createError(`Maximum of ${maximumQuantity} tickets allowed for ${ticketClass.name}`);
+    }
+
+    const salesState = event.getSalesWindowState(ticketClass, now);
+    if (salesState === 'upcoming') {
+      throw this.createError(`Sales for ${ticketClass.name} have not started yet`);
+    }
+
+    if (salesState === 'ended') {
+      throw this.createError(`Sales for ${ticketClass.name} have ended`);
+    }
+
+    const remaining = checkRemaining ? event.getRemainingTickets(ticketClass.id) : null;
+    if (remaining !== null && quantity > remaining) {
+      throw this.createError(`Only ${remaining} tickets remaining for ${ticketClass.name}`, 409);
+    }
+  }
+
+  // Add-ons tied to ticket classes can only be bought together with one of those tickets
+  validateAddOns(event, orderItems) {
+    const admissionClassIds = new Set(orderItems.filter(item => !item.isAddOn).map(item => item.ticketClassId));
+
+    orderItems.filter(item => item.isAddOn).forEach(item => {
+      const required = event.getTicketClass(item.ticketClassId).addOn?.requiredTicketClassIds || [];
+      if (required.length > 0 && !required.some(id => admissionClassIds.has(id))) {
+        const names = required.map(id => event.getTicketClass(id)?.name).filter(Boolean);
+        throw this.createError(`${item.ticketClassName} can only be bought with a ${names.join(' or ')} ticket`);
+      }
+    });
+  }
+
+  // Look up a discount code for the event and check it can be used right now
+  async findRedeemableDiscount(event, code, now = new Date()) {
+    const discount = await Discount.findOne({ eventId: event._id, code: String(code).trim().toUpperCase() });
+    if (!discount || !discount.isRedeemableAt(now)) {
+      throw this.createError('Invalid or expired discount code');
+    }
+    return discount;
+  }
+
+  // Donations are given at the amount the donor chose and are never discounted
+  isDiscountable(discount, event, item) {
+    return !item.isDonation && discount.appliesToTicketClass(item.ticketClassId, event);
+  }
+
+  // Apply a discount to order lines in place; returns the total discount in minor units
+  applyDiscount(discount, event, orderItems) {
+    let discountTotal = 0;
+
+    orderItems.forEach(item => {
+      if (!this.isDiscountable(discount, event, item)) return;
+
+      item.discount = discount.calculateLineDiscount(item.unitPrice, item.quantity);
+      item.total = item.unitPrice * item.quantity - item.discount;
+      discountTotal += item.discount;
+    });
+
+    return discountTotal;
+  }
+
+  // Price a cart: validate each ticket class, apply the discount code, tax and platform fees.
+  // Shared by quotes and orders so buyers are charged exactly what they were quoted.
+  // comp: complimentary tickets issued by event staff, priced at zero.
+  async priceItems(event, items, { discountCode, now = new Date(), checkRemaining = true, channel = 'online', comp = false } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw this.createError('At least one ticket is required');
+    }
+
+    const orderItems = [];
+    for (const { ticketClassId, quantity, donationAmount, pledgeInterval, seatIds } of this.mergeItems(items)) {
+      const ticketClass = event.getTicketClass(ticketClassId);
+      if (!ticketClass) {
+        throw this.createError(`Ticket class ${ticketClassId} not found`, 404);
+      }
+
+      this.validateTicketClassPurchase(event, ticketClass, quantity, now, checkRemaining, channel);
+
+      let seats;
+      if (ticketClass.reservedSeating) {
+        seats = await seatingService.validateSeats(event, ticketClass, seatIds);
+        if (seats.length !== quantity) {
+          throw this.createError('Choose one seat for each ticket');
+        }
+      } else if (seatIds) {
+        throw this.createError(`${ticketClass.name} does not have reserved seating`);
+      }
+
+      const isDonation = donationService.isDonationClass(ticketClass);
+      let unitPrice = 0;
+      if (comp) {
+        unitPrice = 0;
+      } else if (isDonation) {
+        unitPrice = donationService.getDonationAmount(ticketClass, donationAmount);
+      } else if (ticketClass.type === 'paid') {
+        unitPrice = ticketClass.cost?.value || 0;
+      }
+
+      orderItems.push({
+        ticketClassId,
+        ticketClassName: ticketClass.name,
+        currency: ticketClass.cost?.currency || event.currency || 'USD',
+        quantity,
+        unitPrice,
+        discount: 0,
+        total: unitPrice * quantity,
+        isDonation: isDonation && !comp,
+        pledgeInterval: comp ? undefined : donationService.validatePledge(event, ticketClass, pledgeInterval, unitPrice),
+        isAddOn: event.isAddOn(ticketClass),
+        seats: seats ? seats.map(seat => ({ seatId: seat._id, label: seat.label })) : undefined
+      });
+    }
+    this.validateAddOns(event, orderItems);
+
+    let discount = null;
+    let discountAmount = 0;
+    if (discountCode) {
+      discount = await this.findRedeemableDiscount(event, discountCode, now);
+      if (!orderItems.some(item => this.isDiscountable(discount, event, item))) {
+        throw this.createError('Discount code does not apply to the selected tickets');
+      }
+      discountAmount = this.applyDiscount(discount, event, orderItems);
+    }
+
+    // Tax comes off the price before fees so platform fees are charged on the net price
+    const taxRules = await taxService.getRules(taxService.getJurisdiction(event));
+    const tax = taxService.applyTaxes(event, orderItems, taxRules);
+    const fees = feeService.applyFees(event, orderItems);
+    const subtotal = orderItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+    return { orderItems, discount, discountAmount, subtotal, tax, fees };
+  }
+
+  // Price a proposed cart without holding tickets or using up discount codes
+  // Quotes need the same access as registering, so prices of gated events stay private
+  async quote({ eventId, userId, items, discountCode, accessToken }) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw this.createError('Event not found', 404);
+    }
+
+    const missing = await eventAccessService.getMissingAccess(event, { userId, accessToken });
+    if (missing.length > 0) {
+      throw this.createError(missing.includes('invitation') ? 'This event is invite-only' : 'This event is password protected', 403);
+    }
+    if (event.isSeriesParent()) {
+      throw this.createError('Choose a date in this series to register');
+    }
+    if (!this.isOpenForSales(event)) {
+      throw this.createError('Event is not open for registration');
+    }
+
+    const { orderItems, discount, discountAmount, subtotal, tax, fees } = await this.priceItems(event, items, { discountCode });
+
+    const breakdown = {};
+    orderItems.forEach(item => {
+      const entry = breakdown[item.currency] || (breakdown[item.currency] = {
+        currency: item.currency,
+        subtotal: 0,
+        discount: 0,
+        tax: 0,
+        buyerFee: 0,
+        buyerTotal: 0,
+        platformFee: 0,
+        organizerNet: 0
+      });
+      entry.subtotal += item.unitPrice * item.quantity;
+      entry.discount += item.discount;
+      entry.tax += item.tax;
+      entry.buyerFee += item.buyerFee;
+      entry.buyerTotal += item.total + item.buyerFee + item.tax;
+      entry.platformFee += item.platformFee;
+      entry.organizerNet += item.total + item.buyerFee - item.platformFee;
+    });
+
+    return {
+      eventId: event._id,
+      items: orderItems,
+      discount: discount ? { code: discount.code, amount: discountAmount } : null,
+      subtotal,
+      tax: tax.total,
+      taxes: tax.taxes,
+      taxInclusive: tax.inclusive,
+      buyerFee: fees.buyerFee,
+      buyerTotal: fees.buyerTotal + tax.total,
+      platformFee: fees.platformFee,
+      organizerNet: fees.organizerNet,
+      feeRates: feeService.getFeeRates(),
+      currencies: Object.values(breakdown)
+    };
+  }
+
+  // ticketsHeld: the tickets were already reserved for this buyer (e.g. a waitlist offer)
+  // channel 'atd': sold by event staff at the door, recorded with the boxOffice payment details
+  // accessToken: from unlocking a password-protected or invite-only event
+  // attendees: a registration form per admission ticket ({ ticketClassId, name, email, answers })
+  async createOrder({ eventId, userId, items, buyer = {}, attendees, discountCode, ticketsHeld = false, channel = 'online', comp = false, boxOffice, accessToken }) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw this.createError('Event not found', 404);
+    }
+
+    // Held tickets were offered to someone who already had access, e.g. from the waitlist
+    if (channel === 'online' && !ticketsHeld) {
+      await eventAccessService.assertCanRegister(event, userId, accessToken);
+    }
+
+    if (event.isSeriesParent()) {
+      throw this.createError('Choose a date in this series to register');
+    }
+    if (!this.isOpenForSales(event)) {
+      throw this.createError('Event is not open for registration');
+    }
+
+    const now = new Date();
+    const { orderItems, discount, discountAmount, subtotal, tax, fees } = await this.priceItems(event, items, {
+      discountCode,
+      now,
+      checkRemaining: !ticketsHeld,
+      channel,
+      comp
+    });
+
+    const currencies = [...new Set(orderItems.map(item => item.currency))];
+    if (currencies.length > 1) {
+      throw this.createError('All tickets in an order must use the same currency');
+    }
+
+    // Staff at the door can leave required questions for the attendee to answer later
+    const attendeeForms = registrationService.buildAttendees(event, orderItems, attendees, {
+      requireAnswers: channel === 'online'
+    });
+
+    if (discount && !await Discount.claimUse(discount._id)) {
+      throw this.createError('Discount code has reached its usage limit', 409);
+    }
+
+    // Hold the requested tickets until the order is confirmed or released.
+    // The check above reads a snapshot; the conditional update is what prevents overselling.
+    const reserved = ticketsHeld || await Event.reserveTickets(event._id, orderItems);
+    if (!reserved) {
+      if (discount) await Discount.releaseUse(discount._id);
+      throw this.createError('Not enough tickets remaining, please adjust your order', 409);
+    }
+
+    // Seats are held under the order's id, so the id is chosen before the order is saved
+    const orderObjectId = new mongoose.Types.ObjectId();
+    if (!await seatingService.holdSeats(orderObjectId, orderItems)) {
+      if (!ticketsHeld) await Event.releaseTickets(event._id, orderItems);
+      if (discount) await Discount.releaseUse(discount._id);
+      throw this.createError('Some of the selected seats were just taken, please choose again', 409);
+    }
+
+    // Registrations that need organizer approval keep their tickets reserved until reviewed.
+    // Staff selling at the door are approving the sale themselves.
+    const requiresApproval = channel !== 'atd' && this.requiresApproval(event, orderItems);
+
+    const order = new Order({
+      _id: orderObjectId,
+      eventId: event._id,
+      userId,
+      organizerId: event.organizer,
+      items: orderItems,
+      currency: currencies[0],
+      subtotal,
+      discount: discount ? {
+        discountId: discount._id,
+        code: discount.code,
+        amount: discountAmount
+      } : undefined,
+      fees: {
+        platform: fees.platformFee,
+        buyer: fees.buyerFee
+      },
+      taxes: tax.taxes,
+      taxTotal: tax.total,
+      taxInclusive: tax.inclusive,
+      totalAmount: fees.buyerTotal + tax.total,
+      buyer,
+      attendees: attendeeForms,
+      channel,
+      boxOffice,
+      status: requiresApproval ? 'awaiting_approval' : 'pending',
+      approval: { required: requiresApproval },
+      holdExpiresAt: requiresApproval
+        ? undefined
+        : new Date(now.getTime() + this.getHoldMinutes(event) * 60 * 1000)
+    });
+
+    try {
+      await order.save();
+    } catch (error) {
+      if (!ticketsHeld) await Event.releaseTickets(event._id, orderItems);
+      await seatingService.releaseSeats(orderObjectId);
+      if (discount) await Discount.releaseUse(discount._id);
+      throw error;
+    }
+    return order;
+  }
+
+  // paid: the payment provider has taken the money, so the order completes even if its hold
+  // ran out while the payment was processing
+  async confirmOrder(order, { sessionId, paid = false } = {}) {
+    // Claim the order atomically so a concurrent sweep or retry cannot complete or expire it twice
+    const claim = { _id: order._id, status: 'pending' };
+    if (!paid) claim.holdExpiresAt = { $gt: new Date() };
+
+    const completed = await Order.findOneAndUpdate(
+      claim,
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!completed) {
+      const current = await Order.findById(order._id);
+      if (current && current.isHoldExpired()) {
+        await this.expireOrder(current);
+        throw this.createError('Ticket hold has expired, please start a new order', 410);
+      }
+      if (current && current.status === 'awaiting_approval') {
+        throw this.createError('Order is awaiting approval from the organizer');
+      }
+      throw this.createError(`Order is already ${current ? current.status : 'removed'}`);
+    }
+
+    // One attendee entry per ticket, carrying its registration form; add-ons get vouchers instead
+    const attendees = [];
+    completed.items.filter(item => !item.isAddOn).forEach(item => {
+      const forms = (completed.attendees || []).filter(form => form.ticketClassId === item.ticketClassId);
+      for (let i = 0; i < item.quantity; i++) {
+        attendees.push({
+          _id: new mongoose.Types.ObjectId(),
+          user: completed.userId,
+          ticketType: item.ticketClassName,
+          ticketClassId: item.ticketClassId,
+          orderId: completed._id,
+          paymentStatus: 'completed',
+          name: forms[i]?.name,
+          email: forms[i]?.email,
+          answers: forms[i]?.answers || [],
+          seatId: item.seats?.[i]?.seatId,
+          seat: item.seats?.[i]?.label
+        });
+      }
+    });
+    await Event.commitTickets(completed.eventId, completed.items, attendees);
+    await seatingService.sellSeats(completed._id, attendees);
+    await ticketService.issueTickets(completed, attendees);
+    await ticketService.issueAddOns(completed);
+    await donationService.createPledges(completed);
+    await financeService.recordSale(completed);
+
+    await this.trackPurchase(completed, sessionId);
+    await this.sendConfirmation(completed);
+    return completed;
+  }
+
+  // Confirmation email to the buyer, with the PDF receipt attached unless the organizer opted out
+  async sendConfirmation(order) {
+    try {
+      const [user, event] = await Promise.all([
+        User.findById(order.userId).select('firstName email'),
+        Event.findById(order.eventId).select('title')
+      ]);
+      const email = order.buyer?.email || user?.email;
+      if (!email) return;
+
+      const attachments = [];
+      if (await invoiceService.shouldAttachReceipt(order)) {
+        attachments.push({
+          filename: `receipt-${order.orderId}.pdf`,
+          content: await invoiceService.renderReceipt(order),
+          contentType: 'application/pdf'
+        });
+      }
+
+      await emailService.sendOrderConfirmationEmail({
+        email,
+        userName: order.buyer?.name || user?.firstName || 'there',
+        eventName: event?.title || 'the event',
+        orderId: order.orderId,
+        ticketCount: order.ticketCount,
+        total: currencyService.formatAmount(order.totalAmount, order.currency),
+        orderLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${order.orderId}`,
+        hasReceipt: attachments.length > 0,
+        attachments
+      });
+    } catch (error) {
+      // The order stands even if the email could not be delivered
+      console.error('Error sending order confirmation:', error);
+    }
+  }
+
+  async trackPurchase(order, sessionId) {
+    try {
+      const analytics = new Analytics({
+        eventId: order.eventId,
+        userId: order.userId,
+        sessionId: sessionId || order.orderId,
+        action: 'purchase_ticket',
+        metadata: {
+          amount: currencyService.toMajorUnits(order.totalAmount, order.currency),
+          currency: order.currency,
+          additionalData: {
+            orderId: order.orderId,
+            quantity: order.ticketCount
+          }
+        }
+      });
+      await analytics.save();
+    } catch (error) {
+      // Analytics must never fail a completed purchase
+      console.error('Error tracking purchase:', error);
+    }
+  }
+
+  // Move an open order to a closed status and return its held tickets to the pool.
+  // Only the caller that wins the status transition releases inventory.
+  async releaseOrder(order, status, timestampField, { fromStatus = 'pending', fields = {} } = {}) {
+    const released = await Order.findOneAndUpdate(
+      { _id: order._id, status: fromStatus },
+      { $set: { ...fields, status, [timestampField]: new Date() } },
+      { new: true }
+    );
+
+    if (!released) return null;
+
+    await Event.releaseTickets(released.eventId, released.items);
+    await seatingService.releaseSeats(released._id);
+    if (released.discount?.discountId) {
+      await Discount.releaseUse(released.discount.discountId);
+    }
+    return released;
+  }
+
+  async cancelOrder(order) {
+    if (!['pending', 'awaiting_approval'].includes(order.status)) {
+      throw this.createError(`Cannot cancel an order that is ${order.status}`);
+    }
+
+    const cancelled = await this.releaseOrder(order, 'cancelled', 'cancelledAt', { fromStatus: order.status });
+    if (!cancelled) {
+      throw this.createError(`Order is no longer ${order.status}`);
+    }
+    return cancelled;
+  }
+
+  async expireOrder(order) {
+    if (order.status !== 'pending') return order;
+
+    return (await this.releaseOrder(order, 'expired', 'expiredAt')) || Order.findById(order._id);
+  }
+
+  // Expire pending orders whose hold window has passed
+  async releaseExpiredHolds(limit = 500) {
+    const expiredOrders = await Order.find({
+      status: 'pending',
+      holdExpiresAt: { $lt: new Date() }
+    }).limit(limit);
+
+    let released = 0;
+    for (const order of expiredOrders) {
+      if (await this.releaseOrder(order, 'expired', 'expiredAt')) {
+        released++;
+      }
+    }
+    return released;
+  }
+}
+
+module.exports = new CheckoutService();
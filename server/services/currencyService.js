@@ -0,0 +1,164 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+
+// Used for any currency an admin has not set a rate for yet, per one USD
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 150,
+  CNY: 7.2,
+  INR: 83
+};
+
+// Amounts are stored in minor units; these currencies have no minor unit
+const ZERO_DECIMAL_CURRENCIES = ['JPY'];
+
+class CurrencyService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  isSupported(currency) {
+    return ExchangeRate.CURRENCIES.includes(currency);
+  }
+
+  getDecimals(currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+  }
+
+  toMajorUnits(amount, currency = ExchangeRate.BASE_CURRENCY) {
+    return amount / Math.pow(10, this.getDecimals(currency));
+  }
+
+  toMinorUnits(amount, currency = ExchangeRate.BASE_CURRENCY) {
+    return Math.round(amount * Math.pow(10, this.getDecimals(currency)));
+  }
+
+  roundMajor(amount, currency) {
+    const factor = Math.pow(10, this.getDecimals(currency));
+    return Math.round(amount * factor) / factor;
+  }
+
+  formatAmount(amount, currency = ExchangeRate.BASE_CURRENCY) {
+    return `${currency} ${this.toMajorUnits(amount, currency).toFixed(this.getDecimals(currency))}`;
+  }
+
+  // Current rate for every supported currency, admin rates taking precedence
+  async getRates() {
+    const stored = await ExchangeRate.find();
+    const rates = { ...DEFAULT_RATES };
+    stored.forEach(entry => {
+      rates[entry.currency] = entry.rate;
+    });
+    return rates;
+  }
+
+  async listRates() {
+    const stored = await ExchangeRate.find();
+    return ExchangeRate.CURRENCIES.map(currency => {
+      const entry = stored.find(e => e.currency === currency);
+      return {
+        currency,
+        rate: entry ? entry.rate : DEFAULT_RATES[currency],
+        decimals: this.getDecimals(currency),
+        source: entry ? 'admin' : 'default',
+        updatedBy: entry?.updatedBy || null,
+        updatedAt: entry?.updatedAt || null
+      };
+    });
+  }
+
+  // Set rates from a { currency: rate } map; currencies not listed keep their rate
+  async setRates(rates, updatedBy) {
+    if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+      throw this.createError('At least one exchange rate is required');
+    }
+
+    const updates = Object.entries(rates).map(([currency, value]) => {
+      const code = String(currency).toUpperCase();
+      const rate = Number(value);
+      if (!this.isSupported(code)) {
+        throw this.createError(`Unsupported currency ${currency}`);
+      }
+      if (code === ExchangeRate.BASE_CURRENCY && rate !== 1) {
+        throw this.createError(`${ExchangeRate.BASE_CURRENCY} is the base currency and always has a rate of 1`);
+      }
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw this.createError(`Rate for ${code} must be a positive number`);
+      }
+      return {
+        updateOne: {
+          filter: { currency: code },
+          update: { $set: { rate, updatedBy } },
+          upsert: true
+        }
+      };
+    });
+
+    await ExchangeRate.bulkWrite(updates);
+    return this.listRates();
+  }
+
+  async getReportingCurrency(userId) {
+    const user = await User.findById(userId).select('organizerProfile.reportingCurrency');
+    return user?.organizerProfile?.reportingCurrency || ExchangeRate.BASE_CURRENCY;
+  }
+
+  // Everything needed to report amounts in one currency
+  async getConversion(userId, currency) {
+    const [reportingCurrency, rates] = await Promise.all([
+      currency && this.isSupported(currency) ? currency : this.getReportingCurrency(userId),
+      this.getRates()
+    ]);
+    return { currency: reportingCurrency, rates };
+  }
+
+  // Multiplier turning an amount in `from` into major units of the reporting currency
+  getFactor(from, conversion, { minorUnits = true } = {}) {
+    const currency = this.isSupported(from) ? from : ExchangeRate.BASE_CURRENCY;
+    const factor = conversion.rates[conversion.currency] / conversion.rates[currency];
+    return minorUnits ? factor / Math.pow(10, this.getDecimals(currency)) : factor;
+  }
+
+  // Convert an amount in minor units of `from` to major units of the reporting currency
+  toReporting(amount, from, conversion) {
+    return this.roundMajor(amount * this.getFactor(from, conversion), conversion.currency);
+  }
+
+  // Sum [{ amount, currency }] entries (minor units) in the reporting currency
+  sumConverted(entries, conversion) {
+    const total = entries.reduce((sum, entry) => sum + entry.amount * this.getFactor(entry.currency, conversion), 0);
+    return this.roundMajor(total, conversion.currency);
+  }
+
+  // Aggregation expression converting an amount into the reporting currency, for pipelines
+  // that mix currencies. Set minorUnits to false for amounts already in major units.
+  toReportingExpr(amountExpr, conversion, { currencyField = '$currency', minorUnits = true } = {}) {
+    return {
+      $round: [
+        {
+          $multiply: [
+            amountExpr,
+            {
+              $switch: {
+                branches: ExchangeRate.CURRENCIES.map(currency => ({
+                  case: { $eq: [currencyField, currency] },
+                  then: this.getFactor(currency, conversion, { minorUnits })
+                })),
+                default: this.getFactor(ExchangeRate.BASE_CURRENCY, conversion, { minorUnits })
+              }
+            }
+          ]
+        },
+        this.getDecimals(conversion.currency)
+      ]
+    };
+  }
+}
+
+module.exports = new CurrencyService();
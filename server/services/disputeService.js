@@ -0,0 +1,188 @@
+const Dispute = require('../models/Dispute');
+const Order = require('../models/Order');
+const financeService = require('./financeService');
+
+class DisputeService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Record a dispute the provider opened against an order's payment and hold the disputed
+  // amount. Safe to call again for the same provider dispute.
+  async openDispute(order, { provider, providerDisputeId, amount, currency, reason, status, evidenceDueBy }) {
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        orderId: order._id,
+        eventId: order.eventId,
+        organizerId: order.organizerId,
+        provider,
+        providerDisputeId,
+        amount: amount ?? order.totalAmount,
+        currency: currency || order.currency,
+        reason,
+        evidenceDueBy,
+        history: [{ status: 'needs_response', changedBy: 'provider' }]
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      dispute = await Dispute.findOne({ provider, providerDisputeId });
+    }
+
+    await financeService.recordDisputeHold(dispute);
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { dispute: { disputeId: dispute._id, status: dispute.status } } }
+    );
+
+    // The provider may report a dispute that has already moved on
+    return this.syncDispute(dispute, { status });
+  }
+
+  // Apply the provider's view of a dispute. Updates that would move a closed dispute, or
+  // move one backwards, are ignored.
+  async syncDispute(dispute, { status, evidenceDueBy } = {}) {
+    if (evidenceDueBy && dispute.status === 'needs_response') {
+      dispute.evidenceDueBy = evidenceDueBy;
+      await Dispute.updateOne({ _id: dispute._id }, { $set: { evidenceDueBy } });
+    }
+    if (!status || status === dispute.status || !dispute.canTransitionTo(status)) {
+      return dispute;
+    }
+    return this.transition(dispute, status, { changedBy: 'provider' });
+  }
+
+  // Move a dispute to a new status and settle its ledger hold once it is decided
+  async transition(dispute, status, { changedBy, note, fields = {} } = {}) {
+    if (!dispute.canTransitionTo(status)) {
+      throw this.createError(`Dispute is ${dispute.status} and cannot become ${status}`, 409);
+    }
+
+    const $set = { ...fields, status };
+    if (!Dispute.OPEN_STATUSES.includes(status)) $set.closedAt = new Date();
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: dispute.status },
+      { $set, $push: { history: { status, note, changedBy } } },
+      { new: true }
+    );
+    if (!updated) {
+      throw this.createError('Dispute was updated meanwhile, please try again', 409);
+    }
+
+    if (status === 'won') await financeService.recordDisputeRelease(updated);
+    if (status === 'lost') await financeService.recordDisputeLoss(updated);
+    await Order.updateOne(
+      { _id: updated.orderId, 'dispute.disputeId': updated._id },
+      { $set: { 'dispute.status': status } }
+    );
+    return updated;
+  }
+
+  // Evidence can only be submitted once, before the deadline
+  normalizeEvidence(dispute, { text, files } = {}) {
+    if (dispute.status !== 'needs_response') {
+      throw this.createError(`Dispute is ${dispute.status} and no longer accepts evidence`, 409);
+    }
+    if (dispute.evidenceDueBy && dispute.evidenceDueBy < new Date()) {
+      throw this.createError('The deadline for submitting evidence has passed', 410);
+    }
+
+    const evidence = {
+      text: typeof text === 'string' ? text.trim() : '',
+      files: (Array.isArray(files) ? files : [])
+        .filter(file => typeof file === 'string' && file.trim())
+        .map(file => file.trim())
+    };
+    if (!evidence.text && evidence.files.length === 0) {
+      throw this.createError('Evidence needs a written explanation or at least one file');
+    }
+    return evidence;
+  }
+
+  // Flag disputes still waiting for evidence after their deadline. Only the provider decides
+  // the outcome, so the hold stays until its dispute.closed event settles the ledger.
+  async flagOverdue(now = new Date()) {
+    const result = await Dispute.updateMany(
+      { status: 'needs_response', evidenceDueBy: { $lt: now }, overdueAt: { $exists: false } },
+      {
+        $set: { overdueAt: now },
+        $push: {
+          history: { status: 'needs_response', note: 'No evidence submitted before the deadline', changedBy: 'system' }
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  async getDisputes(organizerId, { status, eventId, page = 1, limit = 50 } = {}) {
+    const query = { organizerId };
+    if (status === 'open') {
+      query.status = { $in: Dispute.OPEN_STATUSES };
+    } else if (status) {
+      query.status = status;
+    }
+    if (eventId) query.eventId = eventId;
+
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .populate('orderId', 'orderId buyer totalAmount currency completedAt')
+        .populate('eventId', 'title')
+        .sort({ evidenceDueBy: 1, createdAt: -1 })
+        .limit(limitNum)
+        .skip((pageNum - 1) * limitNum),
+      Dispute.countDocuments(query)
+    ]);
+
+    return {
+      disputes,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  // Disputes per status and the share of provider-paid orders that were disputed
+  async getDisputeMetrics(eventIds, since) {
+    const disputeMatch = { eventId: { $in: eventIds } };
+    const orderMatch = {
+      eventId: { $in: eventIds },
+      status: { $in: Order.PAID_STATUSES },
+      'payment.paymentId': { $exists: true }
+    };
+    if (since) {
+      disputeMatch.createdAt = { $gte: since };
+      orderMatch.completedAt = { $gte: since };
+    }
+
+    const [byStatus, paidOrders] = await Promise.all([
+      Dispute.aggregate([
+        { $match: disputeMatch },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Order.countDocuments(orderMatch)
+    ]);
+
+    const counts = Object.fromEntries(byStatus.map(group => [group._id, group.count]));
+    const total = byStatus.reduce((sum, group) => sum + group.count, 0);
+
+    return {
+      total,
+      open: Dispute.OPEN_STATUSES.reduce((sum, status) => sum + (counts[status] || 0), 0),
+      won: counts.won || 0,
+      lost: counts.lost || 0,
+      paidOrders,
+      rate: paidOrders > 0 ? parseFloat(((total / paidOrders) * 100).toFixed(2)) : 0
+    };
+  }
+}
+
+module.exports = new DisputeService();
@@ -0,0 +1,349 @@
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const DonationPledge = require('../models/DonationPledge');
+const Analytics = require('../models/Analytics');
+const feeService = require('./feeService');
+const currencyService = require('./currencyService');
+const financeService = require('./financeService');
+
+// How often a recurring donation can be pledged
+const PLEDGE_INTERVALS = ['monthly', 'yearly'];
+
+// Only events in this category accept recurring pledges
+const RECURRING_CATEGORY = 'charity';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class DonationService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  isDonationClass(ticketClass) {
+    return ticketClass?.type === 'donation';
+  }
+
+  allowsRecurring(event) {
+    return event.category === RECURRING_CATEGORY;
+  }
+
+  // Amount per ticket for a donation ticket class, in minor units.
+  // Buyers who do not name an amount give the suggested donation.
+  getDonationAmount(ticketClass, donationAmount) {
+    const minimum = ticketClass.minimumDonation || 0;
+    if (donationAmount === undefined || donationAmount === null || donationAmount === '') {
+      return Math.max(ticketClass.suggestedDonation || 0, minimum);
+    }
+
+    const amount = Number(donationAmount);
+    if (!Number.isInteger(amount) || amount < 0) {
+      throw this.createError('Donation amount must be a whole number of minor units');
+    }
+    if (amount < minimum) {
+      const currency = ticketClass.cost?.currency || 'USD';
+      throw this.createError(`Minimum donation for ${ticketClass.name} is ${currencyService.formatAmount(minimum, currency)}`);
+    }
+    return amount;
+  }
+
+  // Returns the pledge interval for an order line, or undefined for a one-off purchase
+  validatePledge(event, ticketClass, interval, amount) {
+    if (!interval) return undefined;
+
+    if (!this.isDonationClass(ticketClass)) {
+      throw this.createError(`${ticketClass.name} is not a donation and cannot be pledged`);
+    }
+    if (!amount) {
+      throw this.createError('A recurring donation needs an amount above zero');
+    }
+    if (!this.allowsRecurring(event)) {
+      throw this.createError('Recurring donations are only available for charity events');
+    }
+    if (!PLEDGE_INTERVALS.includes(interval)) {
+      throw this.createError(`Pledge interval must be one of: ${PLEDGE_INTERVALS.join(', ')}`);
+    }
+    return interval;
+  }
+
+  getNextChargeDate(from, interval) {
+    const next = new Date(from);
+    if (interval === 'yearly') {
+      next.setFullYear(next.getFullYear() + 1);
+    } else {
+      next.setMonth(next.getMonth() + 1);
+    }
+    return next;
+  }
+
+  // Start a pledge for every recurring donation line of a completed order.
+  // The order itself is the first charge.
+  async createPledges(order) {
+    const lines = order.items.filter(item => item.isDonation && item.pledgeInterval && item.total > 0);
+    if (lines.length === 0) return [];
+
+    return DonationPledge.insertMany(lines.map(line => ({
+      eventId: order.eventId,
+      userId: order.userId,
+      organizerId: order.organizerId,
+      orderId: order._id,
+      ticketClassId: line.ticketClassId,
+      ticketClassName: line.ticketClassName,
+      amount: line.total,
+      currency: order.currency,
+      interval: line.pledgeInterval,
+      donor: {
+        name: order.buyer?.name,
+        email: order.buyer?.email
+      },
+      payment: {
+        provider: order.payment?.provider,
+        customerId: order.payment?.customerId,
+        paymentMethodId: order.payment?.paymentMethodId
+      },
+      nextChargeAt: this.getNextChargeDate(order.completedAt || new Date(), line.pledgeInterval),
+      lastChargedAt: order.completedAt,
+      chargeCount: 1
+    })));
+  }
+
+  async cancelPledge(pledge) {
+    const cancelled = await DonationPledge.findOneAndUpdate(
+      { _id: pledge._id, status: 'active' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw this.createError(`Pledge is already ${pledge.status}`);
+    }
+    return cancelled;
+  }
+
+  // Stop the pledges made with an order, e.g. once it has been fully refunded
+  async cancelOrderPledges(order) {
+    await DonationPledge.updateMany(
+      { orderId: order._id, status: 'active' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } }
+    );
+  }
+
+  // Open the pending donation order for a pledge's next charge. paymentService charges it;
+  // the donation only counts once the provider confirms the payment.
+  async createPledgeOrder(pledge, now = new Date()) {
+    const event = await Event.findById(pledge.eventId);
+    if (!event) {
+      await DonationPledge.updateOne(
+        { _id: pledge._id, status: 'active' },
+        { $set: { status: 'cancelled', cancelledAt: now } }
+      );
+      return null;
+    }
+
+    // Missed intervals (e.g. while the scheduler was down) are skipped, not charged later
+    let nextChargeAt = this.getNextChargeDate(pledge.nextChargeAt, pledge.interval);
+    while (nextChargeAt <= now) {
+      nextChargeAt = this.getNextChargeDate(nextChargeAt, pledge.interval);
+    }
+
+    // Claim the charge by moving the schedule forward so overlapping sweeps charge once
+    const claimed = await DonationPledge.findOneAndUpdate(
+      { _id: pledge._id, status: 'active', nextChargeAt: pledge.nextChargeAt },
+      { $set: { nextChargeAt } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const ticketClass = event.getTicketClass(claimed.ticketClassId);
+    const fees = feeService.calculateLineFees(ticketClass, claimed.amount, 1);
+
+    return Order.create({
+      eventId: claimed.eventId,
+      userId: claimed.userId,
+      organizerId: claimed.organizerId,
+      pledgeId: claimed._id,
+      items: [{
+        ticketClassId: claimed.ticketClassId,
+        ticketClassName: claimed.ticketClassName,
+        quantity: 1,
+        unitPrice: claimed.amount,
+        total: fees.buyerTotal - fees.buyerFee,
+        buyerFee: fees.buyerFee,
+        platformFee: fees.platformFee,
+        isDonation: true,
+        pledgeInterval: claimed.interval
+      }],
+      currency: claimed.currency,
+      subtotal: claimed.amount,
+      fees: {
+        platform: fees.platformFee,
+        buyer: fees.buyerFee
+      },
+      totalAmount: fees.buyerTotal,
+      buyer: claimed.donor,
+      status: 'pending'
+    });
+  }
+
+  // The provider confirmed a pledge charge. Pledge orders hold no tickets, so this replaces
+  // checkout's confirmation. Resolves to null if the order was no longer pending.
+  async completePledgeCharge(order, fields = {}) {
+    const now = new Date();
+    const completed = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending' },
+      { $set: { ...fields, status: 'completed', completedAt: now } },
+      { new: true }
+    );
+    if (!completed) return null;
+
+    await DonationPledge.updateOne(
+      { _id: completed.pledgeId },
+      { $set: { lastChargedAt: now }, $inc: { chargeCount: 1 } }
+    );
+    await financeService.recordSale(completed);
+    await this.trackDonation(completed);
+    return completed;
+  }
+
+  async failPledgeCharge(order, fields = {}) {
+    return Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending' },
+      { $set: { ...fields, status: 'failed', failedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async trackDonation(order) {
+    try {
+      const analytics = new Analytics({
+        eventId: order.eventId,
+        userId: order.userId,
+        sessionId: order.orderId,
+        action: 'donation',
+        metadata: {
+          amount: currencyService.toMajorUnits(order.totalAmount, order.currency),
+          currency: order.currency,
+          additionalData: {
+            orderId: order.orderId,
+            pledgeId: order.pledgeId
+          }
+        }
+      });
+      await analytics.save();
+    } catch (error) {
+      // Analytics must never fail a recorded donation
+      console.error('Error tracking donation:', error);
+    }
+  }
+
+  // Receipt details for the donation lines of a paid order, net of refunds
+  async getReceipt(order) {
+    if (!Order.PAID_STATUSES.includes(order.status)) {
+      throw this.createError('Receipts are only available for paid orders');
+    }
+
+    const lines = order.items
+      .filter(item => item.isDonation && item.total > 0)
+      .map(item => {
+        const paid = item.total + (item.buyerFee || 0) + (item.tax || 0);
+        const refunded = Math.round((item.refundedAmount || 0) * item.total / paid);
+        return {
+          description: item.ticketClassName,
+          quantity: item.quantity,
+          amount: item.total - refunded,
+          pledgeInterval: item.pledgeInterval || null
+        };
+      })
+      .filter(line => line.amount > 0);
+
+    if (lines.length === 0) {
+      throw this.createError('This order has no donations to receipt', 404);
+    }
+
+    const [event, organizer, donor] = await Promise.all([
+      Event.findById(order.eventId).select('title'),
+      User.findById(order.organizerId).select('firstName lastName organizerProfile.name'),
+      User.findById(order.userId).select('firstName lastName email')
+    ]);
+
+    return {
+      receiptNumber: 'DR-' + order.orderId.replace(/^ORD-/, ''),
+      orderId: order.orderId,
+      issuedAt: new Date(),
+      donatedAt: order.completedAt,
+      donor: {
+        name: order.buyer?.name || (donor ? `${donor.firstName} ${donor.lastName}` : null),
+        email: order.buyer?.email || donor?.email || null
+      },
+      recipient: organizer
+        ? organizer.organizerProfile?.name || `${organizer.firstName} ${organizer.lastName}`
+        : null,
+      eventTitle: event?.title || null,
+      currency: order.currency,
+      lines,
+      total: lines.reduce((sum, line) => sum + line.amount, 0)
+    };
+  }
+
+  renderReceipt(receipt) {
+    const rows = receipt.lines.map(line => `
+              <tr>
+                <td>${escapeHtml(line.description)}${line.pledgeInterval ? ` (${line.pledgeInterval} pledge)` : ''}</td>
+                <td>${line.quantity}</td>
+                <td class="amount">${currencyService.formatAmount(line.amount, receipt.currency)}</td>
+              </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Donation Receipt ${receipt.receiptNumber}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { border-bottom: 2px solid #4A90E2; padding-bottom: 10px; }
+    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .amount { text-align: right; }
+    .footer { padding: 20px 0; text-align: center; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Donation Receipt</h1>
+      <p>Receipt ${receipt.receiptNumber}<br>Order ${receipt.orderId}</p>
+    </div>
+    <p>
+      <strong>Donor:</strong> ${escapeHtml(receipt.donor.name)}${receipt.donor.email ? ` (${escapeHtml(receipt.donor.email)})` : ''}<br>
+      <strong>Recipient:</strong> ${escapeHtml(receipt.recipient)}<br>
+      <strong>Event:</strong> ${escapeHtml(receipt.eventTitle)}<br>
+      <strong>Date of donation:</strong> ${receipt.donatedAt ? receipt.donatedAt.toISOString().slice(0, 10) : ''}
+    </p>
+    <table>
+      <thead>
+        <tr><th>Donation</th><th>Qty</th><th class="amount">Amount</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+      <tfoot>
+        <tr><th colspan="2">Total donated</th><th class="amount">${currencyService.formatAmount(receipt.total, receipt.currency)}</th></tr>
+      </tfoot>
+    </table>
+    <p>Thank you for your donation.</p>
+    <div class="footer">
+      <p>Issued ${receipt.issuedAt.toISOString().slice(0, 10)} - Powered by CROWD - Create memorable experiences</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new DonationService();
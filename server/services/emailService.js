@@ -35,7 +35,8 @@ class EmailService {
 
   async sendEmail(options) {
     try {
-      const { to, subject, html, text, from, templateId, templateData } = options;
+      // attachments: [{ filename, content (Buffer), contentType }]
+      const { to, subject, html, text, from, templateId, templateData, attachments } = options;
 
       if (!to || !subject || (!html && !text && !templateId)) {
         throw new Error('Missing required email parameters');
@@ -54,7 +55,8 @@ class EmailService {
             html,
             text,
             templateId,
-            templateData
+            templateData,
+            attachments
           });
           break;
 
@@ -65,7 +67,8 @@ class EmailService {
             from: fromAddress,
             subject,
             html,
-            text
+            text,
+            attachments
           });
           break;
       }
@@ -80,13 +83,21 @@ class EmailService {
 
   async sendWithSendGrid(emailData) {
     try {
+      const attachments = emailData.attachments?.map(attachment => ({
+        content: Buffer.from(attachment.content).toString('base64'),
+        filename: attachment.filename,
+        type: attachment.contentType,
+        disposition: 'attachment'
+      }));
+
       if (emailData.templateId) {
         // Send with template
         const msg = {
           to: emailData.to,
           from: emailData.from,
           templateId: emailData.templateId,
-          dynamicTemplateData: emailData.templateData || {}
+          dynamicTemplateData: emailData.templateData || {},
+          attachments
         };
         return await sgMail.send(msg);
       } else {
@@ -96,7 +107,8 @@ class EmailService {
           from: emailData.from,
           subject: emailData.subject,
           html: emailData.html,
-          text: emailData.text
+          text: emailData.text,
+          attachments
         };
         return await sgMail.send(msg);
       }
@@ -117,7 +129,8 @@ class EmailService {
         to: emailData.to,
         subject: emailData.subject,
         html: emailData.html,
-        text: emailData.text
+        text: emailData.text,
+        attachments: emailData.attachments
       };
 
       return await this.transporter.sendMail(mailOptions);
@@ -359,6 +372,286 @@ class EmailService {
     };
   }
 
+  getWaitlistOfferTemplate(data) {
+    const { userName, eventName, ticketClassName, quantity, claimLink, expiresAt } = data;
+
+    return {
+      subject: `Tickets are available for ${eventName}!`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Waitlist Offer</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4A90E2; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .footer { padding: 20px; text-align: center; color: #666; }
+            .button { display: inline-block; padding: 12px 24px; background: #4A90E2; color: white; text-decoration: none; border-radius: 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're Off the Waitlist!</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${userName},</p>
+              <p>Good news! ${quantity} ${ticketClassName} ticket${quantity > 1 ? 's are' : ' is'} now being held for you at <strong>${eventName}</strong>.</p>
+              <p>Claim your tickets before <strong>${expiresAt}</strong>, after which they will be offered to the next person on the waitlist.</p>
+              <p style="text-align: center;">
+                <a href="${claimLink}" class="button">Claim Tickets</a>
+              </p>
+            </div>
+            <div class="footer">
+              <p>Powered by CROWD - Create memorable experiences</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        You're Off the Waitlist!
+
+        Hi ${userName},
+
+        Good news! ${quantity} ${ticketClassName} ticket${quantity > 1 ? 's are' : ' is'} now being held for you at ${eventName}.
+
+        Claim your tickets before ${expiresAt}, after which they will be offered to the next person on the waitlist.
+
+        Claim Link: ${claimLink}
+
+        Powered by CROWD - Create memorable experiences
+      `
+    };
+  }
+
+  getRegistrationDecisionTemplate(data) {
+    const { userName, eventName, approved, note, checkoutLink, expiresAt } = data;
+    const nextStep = approved
+      ? (checkoutLink
+        ? `Complete your registration before ${expiresAt} to secure your tickets.`
+        : 'Your tickets are confirmed. See you there!')
+      : 'Unfortunately the organizer was not able to accept your registration this time.';
+
+    return {
+      subject: approved
+        ? `Your registration for ${eventName} was approved`
+        : `Update on your registration for ${eventName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Registration ${approved ? 'Approved' : 'Update'}</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: ${approved ? '#7ED321' : '#9B9B9B'}; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .footer { padding: 20px; text-align: center; color: #666; }
+            .button { display: inline-block; padding: 12px 24px; background: #7ED321; color: white; text-decoration: none; border-radius: 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${approved ? 'You\'re Approved!' : 'Registration Update'}</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${userName},</p>
+              <p>Your registration for <strong>${eventName}</strong> was ${approved ? 'approved' : 'declined'}.</p>
+              ${note ? `<p>Note from the organizer: ${note}</p>` : ''}
+              <p>${nextStep}</p>
+              ${checkoutLink ? `<p style="text-align: center;"><a href="${checkoutLink}" class="button">Complete Registration</a></p>` : ''}
+            </div>
+            <div class="footer">
+              <p>Powered by CROWD - Create memorable experiences</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hi ${userName},
+
+        Your registration for ${eventName} was ${approved ? 'approved' : 'declined'}.
+        ${note ? `Note from the organizer: ${note}` : ''}
+
+        ${nextStep}
+        ${checkoutLink ? `Complete Registration: ${checkoutLink}` : ''}
+
+        Powered by CROWD - Create memorable experiences
+      `
+    };
+  }
+
+  getSalesWindowTemplate(data) {
+    const { userName, eventName, opened = [], closed = [], dashboardLink } = data;
+    const summary = [
+      opened.length ? `Now on sale: ${opened.join(', ')}` : null,
+      closed.length ? `Sales ended: ${closed.join(', ')}` : null
+    ].filter(Boolean);
+
+    return {
+      subject: opened.length
+        ? `Ticket sales opened for ${eventName}`
+        : `Ticket sales ended for ${eventName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Ticket Sales Update</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4A90E2; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .footer { padding: 20px; text-align: center; color: #666; }
+            .button { display: inline-block; padding: 12px 24px; background: #4A90E2; color: white; text-decoration: none; border-radius: 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Ticket Sales Update</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${userName},</p>
+              <p>The sales window changed for tickets to <strong>${eventName}</strong>.</p>
+              ${summary.map(line => `<p>${line}</p>`).join('')}
+              <p style="text-align: center;"><a href="${dashboardLink}" class="button">View Event</a></p>
+            </div>
+            <div class="footer">
+              <p>Powered by CROWD - Create memorable experiences</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hi ${userName},
+
+        The sales window changed for tickets to ${eventName}.
+        ${summary.join('\n        ')}
+
+        View Event: ${dashboardLink}
+
+        Powered by CROWD - Create memorable experiences
+      `
+    };
+  }
+
+  getEventInvitationTemplate(data) {
+    const { eventName, inviteLink, expiresAt } = data;
+
+    return {
+      subject: `You're invited to ${eventName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Event Invitation</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4A90E2; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .footer { padding: 20px; text-align: center; color: #666; }
+            .button { display: inline-block; padding: 12px 24px; background: #4A90E2; color: white; text-decoration: none; border-radius: 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're Invited!</h1>
+            </div>
+            <div class="content">
+              <p>Hi there,</p>
+              <p>You have been invited to <strong>${eventName}</strong>. This is an invite-only event, so use the link below to view it and register.</p>
+              <p style="text-align: center;"><a href="${inviteLink}" class="button">View Invitation</a></p>
+              <p>This link is personal, please don't share it.${expiresAt ? ` It expires on ${expiresAt}.` : ''}</p>
+            </div>
+            <div class="footer">
+              <p>Powered by CROWD - Create memorable experiences</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hi there,
+
+        You have been invited to ${eventName}. This is an invite-only event, so use the link below to view it and register.
+
+        View Invitation: ${inviteLink}
+
+        This link is personal, please don't share it.${expiresAt ? ` It expires on ${expiresAt}.` : ''}
+
+        Powered by CROWD - Create memorable experiences
+      `
+    };
+  }
+
+  getOrderConfirmationTemplate(data) {
+    const { userName, eventName, orderId, ticketCount, total, orderLink, hasReceipt } = data;
+
+    return {
+      subject: `Your order for ${eventName} is confirmed`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Order Confirmed</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #7ED321; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .footer { padding: 20px; text-align: center; color: #666; }
+            .button { display: inline-block; padding: 12px 24px; background: #7ED321; color: white; text-decoration: none; border-radius: 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're All Set!</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${userName},</p>
+              <p>Your order <strong>${orderId}</strong> for <strong>${eventName}</strong> is confirmed.</p>
+              <p>Tickets: ${ticketCount}<br>Total paid: ${total}</p>
+              ${hasReceipt ? '<p>Your receipt is attached to this email.</p>' : ''}
+              <p style="text-align: center;"><a href="${orderLink}" class="button">View Your Tickets</a></p>
+            </div>
+            <div class="footer">
+              <p>Powered by CROWD - Create memorable experiences</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hi ${userName},
+
+        Your order ${orderId} for ${eventName} is confirmed.
+
+        Tickets: ${ticketCount}
+        Total paid: ${total}
+        ${hasReceipt ? 'Your receipt is attached to this email.' : ''}
+
+        View Your Tickets: ${orderLink}
+
+        Powered by CROWD - Create memorable experiences
+      `
+    };
+  }
+
   async sendThankYouEmail(recipientData) {
     const template = this.getThankYouTemplate(recipientData);
     return await this.sendEmail({
@@ -388,6 +681,57 @@ class EmailService {
       text: template.text
     });
   }
+
+  async sendWaitlistOfferEmail(recipientData) {
+    const template = this.getWaitlistOfferTemplate(recipientData);
+    return await this.sendEmail({
+      to: recipientData.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+  }
+
+  async sendRegistrationDecisionEmail(recipientData) {
+    const template = this.getRegistrationDecisionTemplate(recipientData);
+    return await this.sendEmail({
+      to: recipientData.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+  }
+
+  async sendSalesWindowEmail(recipientData) {
+    const template = this.getSalesWindowTemplate(recipientData);
+    return await this.sendEmail({
+      to: recipientData.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+  }
+
+  async sendEventInvitationEmail(recipientData) {
+    const template = this.getEventInvitationTemplate(recipientData);
+    return await this.sendEmail({
+      to: recipientData.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+  }
+
+  async sendOrderConfirmationEmail(recipientData) {
+    const template = this.getOrderConfirmationTemplate(recipientData);
+    return await this.sendEmail({
+      to: recipientData.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text,
+      attachments: recipientData.attachments
+    });
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const EventInvitation = require('../models/EventInvitation');
+const TeamMember = require('../models/TeamMember');
+const emailService = require('./emailService');
+const seriesService = require('./seriesService');
+
+const ACCESS_SECRET = process.env.EVENT_ACCESS_SECRET || process.env.JWT_SECRET || 'crowd-app-event-access-secret-key-2025-fallback';
+
+// How long an unlocked event stays readable without entering the password or code again
+const ACCESS_TOKEN_TTL = '30d';
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+class EventAccessService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  isGated(event) {
+    return Boolean(event.password) || Boolean(event.settings?.inviteOnly);
+  }
+
+  // Organizers and their team always see their own events
+  async isStaff(event, userId) {
+    if (!userId) return false;
+    const organizerId = event.organizer?._id || event.organizer;
+    return TeamMember.hasOrganizerPermission(organizerId, userId, 'events', 'view');
+  }
+
+  // Access is shared across a series: invitations and unlocks of the parent or any occurrence
+  // are recorded against the series and cover every occurrence in it
+  getAccessId(event) {
+    return seriesService.getSeriesId(event) || event._id;
+  }
+
+  checkPassword(event, password) {
+    if (!event.password || !password) return false;
+    return crypto.timingSafeEqual(hash(event.password), hash(password));
+  }
+
+  issueAccessToken(event, grants, invitationId) {
+    return jwt.sign(
+      { eventId: this.getAccessId(event).toString(), grants, invitationId },
+      ACCESS_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Grants carried by an access token for this event; an unreadable token grants nothing
+  readAccessToken(event, accessToken) {
+    if (!accessToken) return { grants: [] };
+    try {
+      const payload = jwt.verify(accessToken, ACCESS_SECRET);
+      if (payload.eventId !== this.getAccessId(event).toString()) return { grants: [] };
+      return { grants: payload.grants || [], invitationId: payload.invitationId };
+    } catch (error) {
+      return { grants: [] };
+    }
+  }
+
+  async findInvitationByCode(event, code) {
+    if (!code) return null;
+    return EventInvitation.findOne({ eventId: this.getAccessId(event), code: String(code).trim() });
+  }
+
+  async hasRedeemedInvitation(event, userId) {
+    if (!userId) return false;
+    return Boolean(await EventInvitation.exists({
+      eventId: this.getAccessId(event),
+      status: 'active',
+      'redemptions.userId': userId
+    }));
+  }
+
+  // What a reader still has to provide to see the event: 'password' and/or 'invitation'
+  async getMissingAccess(event, { userId, accessToken } = {}) {
+    if (!this.isGated(event) || await this.isStaff(event, userId)) return [];
+
+    const { grants, invitationId } = this.readAccessToken(event, accessToken);
+    const missing = [];
+
+    if (event.settings?.inviteOnly) {
+      let invited = await this.hasRedeemedInvitation(event, userId);
+      if (!invited && grants.includes('invitation')) {
+        // Revoking an invitation takes away the access it granted
+        invited = Boolean(await EventInvitation.exists({ _id: invitationId, status: 'active' }));
+      }
+      if (!invited) missing.push('invitation');
+    }
+
+    if (event.password && !grants.includes('password')) {
+      missing.push('password');
+    }
+
+    return missing;
+  }
+
+  // Record that a user took up an invitation. Personal links belong to whoever redeems them first.
+  async redeemInvitation(invitation, userId) {
+    if (invitation.isRedeemedBy(userId)) return invitation;
+    if (!invitation.isUsable()) {
+      throw this.createError('This invitation is no longer valid', 403);
+    }
+
+    const limit = invitation.kind === 'link' ? 1 : invitation.maxUses;
+    const query = { _id: invitation._id, status: 'active', 'redemptions.userId': { $ne: userId } };
+    if (limit) query[`redemptions.${limit - 1}`] = { $exists: false };
+
+    const redeemed = await EventInvitation.findOneAndUpdate(
+      query,
+      { $push: { redemptions: { userId, redeemedAt: new Date() } } },
+      { new: true }
+    );
+    if (!redeemed) {
+      throw this.createError('This invitation has already been used', 409);
+    }
+    return redeemed;
+  }
+
+  // Exchange a password and/or invitation code for an access token. Grants from an earlier
+  // token are kept, so events that need both can be unlocked one step at a time.
+  async unlock(event, { password, inviteCode, accessToken, userId } = {}) {
+    const previous = this.readAccessToken(event, accessToken);
+    const grants = new Set(previous.grants);
+    let invitationId = previous.invitationId;
+
+    if (password !== undefined) {
+      if (!this.checkPassword(event, password)) {
+        throw this.createError('Incorrect event password', 403);
+      }
+      grants.add('password');
+    }
+
+    if (inviteCode !== undefined) {
+      let invitation = await this.findInvitationByCode(event, inviteCode);
+      if (!invitation || (!invitation.isUsable() && !(userId && invitation.isRedeemedBy(userId)))) {
+        throw this.createError('Invalid or expired invitation', 403);
+      }
+      if (userId) {
+        invitation = await this.redeemInvitation(invitation, userId);
+      }
+      grants.add('invitation');
+      invitationId = invitation._id.toString();
+    }
+
+    const token = this.issueAccessToken(event, Array.from(grants), invitationId);
+    return {
+      accessToken: token,
+      missing: await this.getMissingAccess(event, { userId, accessToken: token })
+    };
+  }
+
+  // Registration needs the same access as reading the event. For invite-only events the
+  // invitation is recorded against the registering user.
+  async assertCanRegister(event, userId, accessToken) {
+    const missing = await this.getMissingAccess(event, { userId, accessToken });
+    if (missing.includes('password')) {
+      throw this.createError('This event is password protected', 403);
+    }
+    if (missing.includes('invitation')) {
+      throw this.createError('This event is invite-only', 403);
+    }
+
+    if (event.settings?.inviteOnly && !await this.isStaff(event, userId) && !await this.hasRedeemedInvitation(event, userId)) {
+      const { invitationId } = this.readAccessToken(event, accessToken);
+      const invitation = await EventInvitation.findById(invitationId);
+      if (!invitation) {
+        throw this.createError('This event is invite-only', 403);
+      }
+      await this.redeemInvitation(invitation, userId);
+    }
+  }
+
+  // What a reader without access sees instead of the event
+  getPreview(event) {
+    const primaryImage = (event.images || []).find(img => img.isPrimary) || (event.images || [])[0];
+    return {
+      _id: event._id,
+      title: event.title,
+      primaryImage: primaryImage?.url || null,
+      passwordProtected: Boolean(event.password),
+      inviteOnly: Boolean(event.settings?.inviteOnly)
+    };
+  }
+
+  getInviteLink(event, invitation) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}?invite=${invitation.code}`;
+  }
+
+  toInvitationData(event, invitation) {
+    return {
+      ...invitation.toObject(),
+      uses: invitation.redemptions.length,
+      link: invitation.kind === 'link' ? this.getInviteLink(event, invitation) : undefined
+    };
+  }
+
+  // Create a shared invitation code, or one personal link per email address (or a single
+  // unaddressed link). Links sent to an email address are mailed out.
+  async createInvitations(event, { kind, code, emails, maxUses, expiresAt } = {}, createdBy) {
+    if (!['code', 'link'].includes(kind)) {
+      throw this.createError("Invitation kind must be 'code' or 'link'");
+    }
+    const expires = expiresAt ? new Date(expiresAt) : undefined;
+    if (expires && isNaN(expires.getTime())) {
+      throw this.createError('Invalid expiry date');
+    }
+
+    if (kind === 'code') {
+      const invitationCode = code
+        ? String(code).trim().toUpperCase()
+        : crypto.randomBytes(4).toString('hex').toUpperCase();
+      if (!/^[A-Z0-9-]{4,32}$/.test(invitationCode)) {
+        throw this.createError('Invitation codes must be 4 to 32 letters, digits or dashes');
+      }
+      if (await EventInvitation.exists({ code: invitationCode })) {
+        throw this.createError('That invitation code is already in use', 409);
+      }
+
+      const invitation = await EventInvitation.create({
+        eventId: this.getAccessId(event),
+        kind,
+        code: invitationCode,
+        maxUses: maxUses ? parseInt(maxUses, 10) : null,
+        expiresAt: expires,
+        createdBy
+      });
+      return [invitation];
+    }
+
+    const recipients = Array.isArray(emails) && emails.length > 0 ? emails : [null];
+    const invitations = await EventInvitation.insertMany(recipients.map(email => ({
+      eventId: this.getAccessId(event),
+      kind,
+      code: crypto.randomBytes(16).toString('base64url'),
+      email: email || undefined,
+      expiresAt: expires,
+      createdBy
+    })));
+
+    await Promise.all(invitations.filter(invitation => invitation.email).map(invitation =>
+      this.sendInvitation(event, invitation)
+    ));
+    return invitations;
+  }
+
+  async sendInvitation(event, invitation) {
+    try {
+      await emailService.sendEventInvitationEmail({
+        email: invitation.email,
+        eventName: event.title,
+        inviteLink: this.getInviteLink(event, invitation),
+        expiresAt: invitation.expiresAt ? invitation.expiresAt.toLocaleString() : null
+      });
+    } catch (error) {
+      // The link still works and can be shared by hand
+      console.error('Error sending event invitation:', error);
+    }
+  }
+
+  async revokeInvitation(event, invitationId) {
+    const invitation = await EventInvitation.findOneAndUpdate(
+      { _id: invitationId, eventId: this.getAccessId(event), status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      throw this.createError('Invitation not found or already revoked', 404);
+    }
+    return invitation;
+  }
+}
+
+module.exports = new EventAccessService();
@@ -0,0 +1,525 @@
+const { finished } = require('stream/promises');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const CheckInScan = require('../models/CheckInScan');
+const Campaign = require('../models/Campaign');
+const ExportSchedule = require('../models/ExportSchedule');
+const ExportFile = require('../models/ExportFile');
+const currencyService = require('./currencyService');
+const registrationService = require('./registrationService');
+const { FORMATS } = require('./exports/writers');
+
+// Scheduled exports are saved in GridFS, which outlives restarts and deploys on hosts without a
+// persistent disk, and are kept for download this many days
+const EXPORTS_BUCKET = 'exports';
+const RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS, 10) || 30;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const columns = (pairs) => pairs.map(([key, header]) => ({ key, header }));
+const formatDate = (date) => (date ? new Date(date).toISOString() : '');
+const personName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+const percentage = (part, whole) => (whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0);
+
+// Registration details for a ticket's attendee. Tickets are read event by event, so only the
+// current event's attendees are kept in memory.
+const getAttendee = async (scope, ticket) => {
+  const eventId = ticket.eventId.toString();
+  if (scope.attendees?.eventId !== eventId) {
+    const event = await Event.findById(eventId).select('attendees._id attendees.name attendees.email attendees.answers');
+    scope.attendees = {
+      eventId,
+      byId: new Map((event?.attendees || []).map(attendee => [attendee._id.toString(), attendee]))
+    };
+  }
+  return ticket.attendeeId ? scope.attendees.byId.get(ticket.attendeeId.toString()) : null;
+};
+
+// Every dataset selects its rows by its own date: orders by payment, attendees by ticket
+// issue, check-ins by scan time and campaigns by creation.
+const DATASETS = {
+  orders: {
+    title: 'Orders',
+    columns: columns([
+      ['date', 'Date'], ['orderId', 'Order'], ['event', 'Event'], ['ticketType', 'Ticket Type'],
+      ['quantity', 'Quantity'], ['price', 'Price'], ['total', 'Total'], ['fees', 'Fees'], ['tax', 'Tax'],
+      ['refunded', 'Refunded'], ['customer', 'Customer'], ['currency', 'Currency'], ['status', 'Status'],
+      ['channel', 'Channel']
+    ]),
+    query: (scope) => Order.find({
+      eventId: { $in: scope.eventIds },
+      status: { $in: Order.PAID_STATUSES },
+      completedAt: scope.range
+    })
+      .sort({ completedAt: 1 })
+      .populate('userId', 'firstName lastName'),
+    // One row per ticket class in each order, in the order's own currency
+    rows: (order, scope) => {
+      const amount = (value) => currencyService.toMajorUnits(value || 0, order.currency);
+      return order.items.map(item => [
+        formatDate(order.completedAt).slice(0, 10),
+        order.orderId,
+        scope.eventTitles.get(order.eventId.toString()) || 'Unknown',
+        item.ticketClassName,
+        item.quantity,
+        amount(item.unitPrice),
+        amount(item.total),
+        amount(item.buyerFee),
+        amount(item.tax),
+        amount(item.refundedAmount),
+        order.buyer?.name || personName(order.userId) || 'Guest',
+        order.currency,
+        order.status,
+        order.channel
+      ]);
+    }
+  },
+  attendees: {
+    title: 'Attendees',
+    columns: columns([
+      ['event', 'Event'], ['ticketId', 'Ticket'], ['ticketType', 'Ticket Type'], ['seat', 'Seat'],
+      ['name', 'Name'], ['email', 'Email'], ['orderId', 'Order'], ['status', 'Status'],
+      ['checkedInAt', 'Checked In At'], ['answers', 'Registration Answers'], ['issuedAt', 'Issued At']
+    ]),
+    query: (scope) => Ticket.find({
+      eventId: { $in: scope.eventIds },
+      kind: 'admission',
+      createdAt: scope.range
+    })
+      .sort({ eventId: 1, createdAt: 1 })
+      .populate('orderId', 'orderId buyer'),
+    rows: async (ticket, scope) => {
+      const attendee = await getAttendee(scope, ticket);
+      return [[
+        scope.eventTitles.get(ticket.eventId.toString()) || 'Unknown',
+        ticket.ticketId,
+        ticket.ticketClassName,
+        ticket.seat || '',
+        ticket.holderName || attendee?.name || '',
+        attendee?.email || ticket.orderId?.buyer?.email || '',
+        ticket.orderId?.orderId || '',
+        ticket.status,
+        formatDate(ticket.checkedInAt),
+        (attendee?.answers || [])
+          .map(answer => `${answer.label}: ${registrationService.formatAnswer(answer)}`)
+          .join(' | '),
+        formatDate(ticket.createdAt)
+      ]];
+    }
+  },
+  checkins: {
+    title: 'Check-ins',
+    columns: columns([
+      ['scannedAt', 'Scanned At'], ['event', 'Event'], ['ticketId', 'Ticket'], ['result', 'Result'],
+      ['scanPoint', 'Scan Point'], ['source', 'Source'], ['deviceId', 'Device'], ['scannedBy', 'Scanned By']
+    ]),
+    query: (scope) => CheckInScan.find({
+      eventId: { $in: scope.eventIds },
+      scannedAt: scope.range
+    })
+      .sort({ scannedAt: 1 })
+      .populate('scannedBy', 'firstName lastName'),
+    rows: (scan, scope) => [[
+      formatDate(scan.scannedAt),
+      scope.eventTitles.get(scan.eventId.toString()) || 'Unknown',
+      scan.ticketId || '',
+      scan.result,
+      scan.kind,
+      scan.source,
+      scan.deviceId || '',
+      personName(scan.scannedBy)
+    ]]
+  },
+  campaigns: {
+    title: 'Campaigns',
+    columns: columns([
+      ['campaignId', 'Campaign'], ['name', 'Name'], ['type', 'Type'], ['status', 'Status'], ['event', 'Event'],
+      ['sent', 'Sent'], ['delivered', 'Delivered'], ['opened', 'Opened'], ['clicked', 'Clicked'],
+      ['unsubscribed', 'Unsubscribed'], ['bounced', 'Bounced'], ['openRate', 'Open Rate %'],
+      ['clickRate', 'Click Rate %'], ['createdAt', 'Created At']
+    ]),
+    query: (scope) => {
+      const query = { organizerId: scope.organizerId, createdAt: scope.range };
+      if (scope.eventId) query.eventId = scope.eventId;
+      return Campaign.find(query).sort({ createdAt: 1 });
+    },
+    rows: (campaign, scope) => {
+      const metrics = campaign.metrics || {};
+      return [[
+        campaign.campaignId,
+        campaign.name,
+        campaign.type,
+        campaign.status,
+        campaign.eventId ? scope.eventTitles.get(campaign.eventId.toString()) || '' : '',
+        metrics.sent || 0,
+        metrics.delivered || 0,
+        metrics.opened || 0,
+        metrics.clicked || 0,
+        metrics.unsubscribed || 0,
+        metrics.bounced || 0,
+        percentage(metrics.opened || 0, metrics.delivered || 0),
+        percentage(metrics.clicked || 0, metrics.opened || 0),
+        formatDate(campaign.createdAt)
+      ]];
+    }
+  }
+};
+
+class ExportService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  normalizeDatasets(datasets = 'orders') {
+    const keys = (Array.isArray(datasets) ? datasets : String(datasets).split(','))
+      .map(key => String(key).trim())
+      .filter(Boolean);
+    const unknown = keys.filter(key => !DATASETS[key]);
+    if (unknown.length) {
+      throw this.createError(`Unknown dataset ${unknown.join(', ')}; choose from ${Object.keys(DATASETS).join(', ')}`);
+    }
+    if (!keys.length) {
+      throw this.createError('Choose at least one dataset');
+    }
+    return [...new Set(keys)];
+  }
+
+  normalizeFormat(format = 'csv', datasets) {
+    if (!FORMATS[format]) {
+      throw this.createError(`Unknown format ${format}; choose from ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (format === 'csv' && datasets.length > 1) {
+      throw this.createError('A CSV export holds one dataset; use xlsx or ndjson to export several together');
+    }
+    return format;
+  }
+
+  // Export options from a request: datasets, format, an optional event, and either from/to
+  // dates or the last `timeRange` days
+  normalizeOptions({ datasets, format, eventId, from, to, timeRange = 30 } = {}) {
+    const keys = this.normalizeDatasets(datasets);
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - (parseInt(timeRange, 10) || 30) * 24 * 60 * 60 * 1000);
+    if (isNaN(start) || isNaN(end)) {
+      throw this.createError('Invalid date range');
+    }
+    if (start > end) {
+      throw this.createError('The start of the date range must come before its end');
+    }
+    if (eventId && !mongoose.Types.ObjectId.isValid(eventId)) {
+      throw this.createError('Invalid eventId');
+    }
+
+    return {
+      datasets: keys,
+      format: this.normalizeFormat(format, keys),
+      eventId: eventId || null,
+      from: start,
+      to: end
+    };
+  }
+
+  async getScope(organizerId, options) {
+    const query = { organizer: organizerId };
+    if (options.eventId) query._id = options.eventId;
+
+    const events = await Event.find(query).select('title');
+    if (options.eventId && events.length === 0) {
+      throw this.createError('Event not found', 404);
+    }
+
+    return {
+      organizerId,
+      eventId: options.eventId,
+      eventIds: events.map(event => event._id),
+      eventTitles: new Map(events.map(event => [event._id.toString(), event.title])),
+      range: { $gte: options.from, $lte: options.to }
+    };
+  }
+
+  getContentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  getFilename(options, date = new Date()) {
+    const stamp = date.toISOString().slice(0, 10).replace(/-/g, '');
+    return `analytics-${options.datasets.join('-')}-${stamp}.${FORMATS[options.format].extension}`;
+  }
+
+  // Stream the export into a writable stream, reading each dataset with a database cursor so
+  // large organizers never sit in memory whole. Returns the number of data rows written.
+  async streamExport(output, scope, options) {
+    const writer = new FORMATS[options.format].Writer(output);
+    let rows = 0;
+
+    for (const key of options.datasets) {
+      const dataset = DATASETS[key];
+      await writer.startDataset({ key, title: dataset.title, columns: dataset.columns });
+
+      const cursor = dataset.query(scope).cursor();
+      try {
+        for await (const doc of cursor) {
+          for (const row of await dataset.rows(doc, scope)) {
+            await writer.writeRow(row);
+            rows++;
+          }
+        }
+      } finally {
+        await cursor.close();
+      }
+
+      await writer.endDataset();
+    }
+
+    await writer.end();
+    return rows;
+  }
+
+  // ================================
+  // SCHEDULED EXPORTS
+  // ================================
+
+  getNextRun(frequency, from = new Date()) {
+    const next = new Date(from);
+    if (frequency === 'daily') next.setDate(next.getDate() + 1);
+    if (frequency === 'weekly') next.setDate(next.getDate() + 7);
+    if (frequency === 'monthly') next.setMonth(next.getMonth() + 1);
+    return next;
+  }
+
+  async normalizeSchedule(organizerId, input, current = {}) {
+    const datasets = this.normalizeDatasets(input.datasets ?? current.datasets);
+    const format = this.normalizeFormat(input.format ?? current.format ?? 'xlsx', datasets);
+    const frequency = input.frequency ?? current.frequency;
+    if (!FREQUENCIES.includes(frequency)) {
+      throw this.createError(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+
+    const rangeDays = parseInt(input.rangeDays ?? current.rangeDays ?? 30, 10);
+    if (!Number.isInteger(rangeDays) || rangeDays < 1 || rangeDays > 366) {
+      throw this.createError('rangeDays must be between 1 and 366');
+    }
+
+    const eventId = input.eventId !== undefined ? input.eventId || null : current.eventId || null;
+    if (eventId) {
+      if (!mongoose.Types.ObjectId.isValid(eventId) || !await Event.exists({ _id: eventId, organizer: organizerId })) {
+        throw this.createError('Event not found', 404);
+      }
+    }
+
+    const name = String(input.name ?? current.name ?? '').trim();
+    if (!name) {
+      throw this.createError('Schedule name is required');
+    }
+
+    return { name, datasets, format, frequency, rangeDays, eventId };
+  }
+
+  async createSchedule(organizerId, createdBy, input = {}) {
+    const fields = await this.normalizeSchedule(organizerId, input);
+    const firstRunAt = input.startAt ? new Date(input.startAt) : new Date();
+    if (isNaN(firstRunAt)) {
+      throw this.createError('Invalid startAt date');
+    }
+
+    return ExportSchedule.create({
+      ...fields,
+      organizerId,
+      createdBy,
+      nextRunAt: firstRunAt
+    });
+  }
+
+  async updateSchedule(schedule, input = {}) {
+    const fields = await this.normalizeSchedule(schedule.organizerId, input, schedule);
+    const frequencyChanged = fields.frequency !== schedule.frequency;
+
+    Object.assign(schedule, fields);
+    if (input.active !== undefined) schedule.active = Boolean(input.active);
+    if (frequencyChanged) {
+      schedule.nextRunAt = schedule.lastRunAt ? this.getNextRun(fields.frequency, schedule.lastRunAt) : new Date();
+    }
+    return schedule.save();
+  }
+
+  async deleteSchedule(schedule) {
+    await ExportSchedule.deleteOne({ _id: schedule._id });
+  }
+
+  async getSchedules(organizerId) {
+    return ExportSchedule.find({ organizerId }).populate('eventId', 'title').sort({ createdAt: -1 });
+  }
+
+  getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: EXPORTS_BUCKET });
+  }
+
+  async deleteStoredFile(storageId) {
+    try {
+      await this.getBucket().delete(storageId);
+    } catch (error) {
+      // Already gone, e.g. an upload that failed before anything was written
+      if (!error.message.startsWith('File not found')) throw error;
+    }
+  }
+
+  // Run an export into GridFS and record it for download
+  async saveExport(organizerId, options, scheduleId) {
+    const file = await ExportFile.create({
+      organizerId,
+      scheduleId,
+      datasets: options.datasets,
+      format: options.format,
+      eventId: options.eventId,
+      from: options.from,
+      to: options.to,
+      filename: this.getFilename(options)
+    });
+    let output;
+    try {
+      output = this.getBucket().openUploadStream(file.filename, {
+        contentType: FORMATS[options.format].contentType,
+        metadata: { organizerId, exportFileId: file._id }
+      });
+      const scope = await this.getScope(organizerId, options);
+
+      let rows;
+      try {
+        rows = await this.streamExport(output, scope, options);
+      } finally {
+        output.end();
+        await finished(output);
+      }
+
+      const completedAt = new Date();
+      return await ExportFile.findByIdAndUpdate(file._id, {
+        $set: {
+          status: 'ready',
+          storageId: output.id,
+          rows,
+          size: output.length,
+          completedAt,
+          expiresAt: this.getExpiry(completedAt)
+        }
+      }, { new: true });
+    } catch (error) {
+      if (output) await this.deleteStoredFile(output.id).catch(() => {});
+      // Failed runs stay listed for a while so the organizer sees what went wrong
+      const completedAt = new Date();
+      await ExportFile.updateOne({ _id: file._id }, {
+        $set: { status: 'failed', error: error.message, completedAt, expiresAt: this.getExpiry(completedAt) }
+      });
+      throw error;
+    }
+  }
+
+  getExpiry(from) {
+    return new Date(from.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  async runSchedule(schedule, now = new Date()) {
+    // Claim the run by moving the schedule forward so overlapping sweeps run it once
+    const claimed = await ExportSchedule.findOneAndUpdate(
+      { _id: schedule._id, active: true, nextRunAt: { $lte: now } },
+      { $set: { nextRunAt: this.getNextRun(schedule.frequency, now), lastRunAt: now } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const options = {
+      datasets: claimed.datasets,
+      format: claimed.format,
+      eventId: claimed.eventId,
+      from: new Date(now.getTime() - claimed.rangeDays * 24 * 60 * 60 * 1000),
+      to: now
+    };
+
+    try {
+      const file = await this.saveExport(claimed.organizerId, options, claimed._id);
+      await ExportSchedule.updateOne({ _id: claimed._id }, { $unset: { lastError: 1 } });
+      return file;
+    } catch (error) {
+      console.error(`Error running export schedule ${claimed._id}:`, error);
+      await ExportSchedule.updateOne({ _id: claimed._id }, { $set: { lastError: error.message } });
+      return null;
+    }
+  }
+
+  async runDueSchedules(now = new Date()) {
+    const due = await ExportSchedule.find({ active: true, nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(20);
+
+    let completed = 0;
+    for (const schedule of due) {
+      if (await this.runSchedule(schedule, now)) completed++;
+    }
+    return completed;
+  }
+
+  async removeExpiredFiles(now = new Date()) {
+    const expired = await ExportFile.find({ expiresAt: { $lt: now } }).select('+storageId');
+    for (const file of expired) {
+      if (file.storageId) {
+        await this.deleteStoredFile(file.storageId);
+      }
+      await ExportFile.deleteOne({ _id: file._id });
+    }
+    return expired.length;
+  }
+
+  async getFiles(organizerId, { scheduleId, page = 1, limit = 50 } = {}) {
+    const query = { organizerId };
+    if (scheduleId) query.scheduleId = scheduleId;
+
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+
+    const [files, total] = await Promise.all([
+      ExportFile.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip((pageNum - 1) * limitNum),
+      ExportFile.countDocuments(query)
+    ]);
+
+    return {
+      files,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  async getFile(fileId) {
+    const file = mongoose.Types.ObjectId.isValid(fileId)
+      ? await ExportFile.findById(fileId).select('+storageId')
+      : null;
+    if (!file) {
+      throw this.createError('Export not found', 404);
+    }
+    return file;
+  }
+
+  async openFile(file) {
+    if (file.status !== 'ready') {
+      throw this.createError(`Export is ${file.status}`, 409);
+    }
+
+    const bucket = this.getBucket();
+    const [stored] = await bucket.find({ _id: file.storageId }).limit(1).toArray();
+    if (!stored) {
+      throw this.createError('Export file is no longer available', 410);
+    }
+    return bucket.openDownloadStream(file.storageId);
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,170 @@
+const ZipWriter = require('./zipWriter');
+
+const { writeChunk } = ZipWriter;
+
+// Format writers share one interface: startDataset(dataset), writeRow(values), endDataset()
+// and end(). Datasets are { key, title, columns: [{ key, header }] } and rows
+// are arrays of values in column order. Writers never end the output stream themselves.
+
+// Text that spreadsheets would read as a formula, such as a buyer named "=HYPERLINK(...)"
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+class CsvWriter {
+  constructor(output) {
+    this.output = output;
+  }
+
+  async startDataset(dataset) {
+    await writeChunk(this.output, dataset.columns.map(column => csvCell(column.header)).join(',') + '\n');
+  }
+
+  async writeRow(values) {
+    await writeChunk(this.output, values.map(csvCell).join(',') + '\n');
+  }
+
+  async endDataset() {}
+
+  async end() {}
+}
+
+// One JSON object per line, tagged with its dataset so several can share a file
+class NdjsonWriter {
+  constructor(output) {
+    this.output = output;
+  }
+
+  async startDataset(dataset) {
+    this.dataset = dataset;
+  }
+
+  async writeRow(values) {
+    const record = { dataset: this.dataset.key };
+    this.dataset.columns.forEach((column, index) => {
+      record[column.key] = values[index] ?? null;
+    });
+    await writeChunk(this.output, JSON.stringify(record) + '\n');
+  }
+
+  async endDataset() {}
+
+  async end() {}
+}
+
+// Characters XML 1.0 cannot hold at all
+const INVALID_XML = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+const escapeXml = (value) => String(value)
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Excel workbook with one sheet per dataset. Text is written inline rather than through a
+// shared strings table so rows can be streamed as they come.
+class XlsxWriter {
+  constructor(output) {
+    this.zip = new ZipWriter(output);
+    this.sheets = [];
+  }
+
+  async startDataset(dataset) {
+    this.sheets.push(dataset.title.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+    this.rowNumber = 0;
+    this.sheet = await this.zip.startEntry(`xl/worksheets/sheet${this.sheets.length}.xml`);
+    await this.sheet.write(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    );
+    await this.writeRow(dataset.columns.map(column => column.header));
+  }
+
+  async writeRow(values) {
+    this.rowNumber++;
+    const cells = values.map((value, index) => {
+      const ref = `${columnName(index)}${this.rowNumber}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+      const text = value instanceof Date ? value.toISOString() : value;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    await this.sheet.write(`<row r="${this.rowNumber}">${cells.join('')}</row>`);
+  }
+
+  async endDataset() {
+    await this.sheet.write('</sheetData></worksheet>');
+    await this.sheet.end();
+  }
+
+  async end() {
+    const sheets = this.sheets.length ? this.sheets : ['Export'];
+    if (!this.sheets.length) {
+      // A workbook needs at least one sheet
+      await this.zip.addEntry('xl/worksheets/sheet1.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData/></worksheet>');
+    }
+
+    await this.zip.addEntry('[Content_Types].xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ` +
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+      '</Types>');
+    await this.zip.addEntry('_rels/.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>');
+    await this.zip.addEntry('xl/workbook.xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      sheets.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+      '</sheets></workbook>');
+    await this.zip.addEntry('xl/_rels/workbook.xml.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((_, index) => `<Relationship Id="rId${index + 1}" ` +
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+        `Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+      '</Relationships>');
+
+    await this.zip.finish();
+  }
+}
+
+const FORMATS = {
+  csv: { Writer: CsvWriter, extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { Writer: NdjsonWriter, extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: {
+    Writer: XlsxWriter,
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+module.exports = { FORMATS };
@@ -0,0 +1,162 @@
+const zlib = require('zlib');
+
+// Streaming ZIP writer: entries are deflated straight into the output, with sizes and
+// checksums written after each entry's data, so nothing is buffered whole. No ZIP64, so
+// archives and entries stay under 4 GB.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, as stored in ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Data descriptor follows the entry (bit 3); names are UTF-8 (bit 11)
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+
+// Write to a stream, waiting for it to drain when its buffer is full. Fails if the stream
+// closes first, such as when a client disconnects mid-download.
+const writeChunk = (output, chunk) => new Promise((resolve, reject) => {
+  if (output.destroyed) return reject(new Error('Output closed'));
+  if (output.write(chunk)) return resolve();
+
+  const onDrain = () => {
+    output.removeListener('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    output.removeListener('drain', onDrain);
+    reject(new Error('Output closed'));
+  };
+  output.once('drain', onDrain);
+  output.once('close', onClose);
+});
+
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    await writeChunk(this.output, buffer);
+  }
+
+  // Open an entry; write its content with entry.write() and finish it with entry.end()
+  async startEntry(name) {
+    const entry = {
+      name: Buffer.from(name, 'utf8'),
+      offset: this.offset,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+      ...dosDateTime(new Date())
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt16LE(entry.name.length, 26);
+    await this.write(Buffer.concat([header, entry.name]));
+
+    const deflate = zlib.createDeflateRaw();
+    const done = new Promise((resolve, reject) => {
+      deflate.on('data', chunk => {
+        entry.compressedSize += chunk.length;
+        this.offset += chunk.length;
+        deflate.pause();
+        writeChunk(this.output, chunk)
+          .then(() => deflate.resume())
+          .catch(error => deflate.destroy(error));
+      });
+      deflate.on('end', resolve);
+      deflate.on('error', reject);
+    });
+    // A failed output also fails the next write, so end() may never be reached
+    done.catch(() => {});
+
+    return {
+      write: async (content) => {
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        await writeChunk(deflate, buffer);
+      },
+      end: async () => {
+        deflate.end();
+        await done;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.write(descriptor);
+        this.entries.push(entry);
+      }
+    };
+  }
+
+  async addEntry(name, content) {
+    const entry = await this.startEntry(name);
+    await entry.write(content);
+    await entry.end();
+  }
+
+  // Write the central directory; the caller ends the output stream
+  async finish() {
+    const directoryOffset = this.offset;
+    const records = this.entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(FLAGS, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.name]);
+    });
+    const directory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await this.write(Buffer.concat([directory, end]));
+  }
+}
+
+ZipWriter.writeChunk = writeChunk;
+
+module.exports = ZipWriter;
@@ -0,0 +1,134 @@
+// A fee setting from the environment. Zero is a valid setting; the default only applies when
+// the variable is unset or not a non-negative number.
+const readFeeSetting = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Platform fee charged on paid tickets: a percentage of the ticket price plus a fixed
+// amount per ticket in minor units. Free tickets are never charged a fee.
+const PLATFORM_FEE_PERCENT = readFeeSetting('PLATFORM_FEE_PERCENT', 3.5);
+const PLATFORM_FEE_FIXED = Math.round(readFeeSetting('PLATFORM_FEE_FIXED', 99));
+
+// Share of the platform fee paid by the buyer for each absorption type
+const BUYER_FEE_SHARE = {
+  absorb_fee: 0,
+  pass_fee: 1,
+  split_fee: 0.5
+};
+
+class FeeService {
+  getFeeRates() {
+    return { percent: PLATFORM_FEE_PERCENT, fixed: PLATFORM_FEE_FIXED };
+  }
+
+  getBuyerShare(ticketClass) {
+    const share = BUYER_FEE_SHARE[ticketClass?.fees?.absorptionType];
+    return share === undefined ? BUYER_FEE_SHARE.pass_fee : share;
+  }
+
+  calculatePlatformFee(amount, quantity) {
+    if (amount <= 0) return 0;
+    return Math.min(Math.round(amount * PLATFORM_FEE_PERCENT / 100) + PLATFORM_FEE_FIXED * quantity, amount);
+  }
+
+  // Fees for one order line. `amount` is the line's ticket price after discounts.
+  // With fees.includeFee the listed price already contains the buyer's share of the fee,
+  // so the ticket's face value is backed out of it instead of adding the fee on top.
+  calculateLineFees(ticketClass, amount, quantity) {
+    if (amount <= 0) {
+      return { platformFee: 0, buyerFee: 0, buyerTotal: 0, organizerNet: 0 };
+    }
+
+    const buyerShare = this.getBuyerShare(ticketClass);
+
+    if (ticketClass?.fees?.includeFee && buyerShare > 0) {
+      const faceValue = Math.round(
+        (amount - buyerShare * PLATFORM_FEE_FIXED * quantity) / (1 + buyerShare * PLATFORM_FEE_PERCENT / 100)
+      );
+      const platformFee = this.calculatePlatformFee(Math.max(faceValue, 0), quantity);
+      const buyerFee = Math.min(Math.max(amount - faceValue, 0), platformFee);
+      return {
+        platformFee,
+        buyerFee,
+        buyerTotal: amount,
+        organizerNet: amount - platformFee
+      };
+    }
+
+    const platformFee = this.calculatePlatformFee(amount, quantity);
+    const buyerFee = Math.round(platformFee * buyerShare);
+    return {
+      platformFee,
+      buyerFee,
+      buyerTotal: amount + buyerFee,
+      organizerNet: amount - (platformFee - buyerFee)
+    };
+  }
+
+  // Add fee fields to priced order lines in place and return the totals.
+  // With includeFee the buyer's share is already part of the line total, so it is moved
+  // out of `total` into `buyerFee`; `total` always holds the organizer-facing ticket price.
+  applyFees(event, items) {
+    const totals = { platformFee: 0, buyerFee: 0, buyerTotal: 0, organizerNet: 0 };
+
+    items.forEach(item => {
+      const ticketClass = event.getTicketClass(item.ticketClassId);
+      const fees = this.calculateLineFees(ticketClass, item.total, item.quantity);
+
+      item.total = fees.buyerTotal - fees.buyerFee;
+      item.buyerFee = fees.buyerFee;
+      item.platformFee = fees.platformFee;
+
+      totals.platformFee += fees.platformFee;
+      totals.buyerFee += fees.buyerFee;
+      totals.buyerTotal += fees.buyerTotal;
+      totals.organizerNet += fees.organizerNet;
+    });
+
+    return totals;
+  }
+
+  // What the organizer keeps from an order once refunds are taken into account, before
+  // tax is remitted. Platform fees and tax on refunded amounts are returned in proportion.
+  getOrganizerNet(order) {
+    const paid = order.totalAmount || 0;
+    if (paid === 0) return 0;
+
+    const kept = paid - (order.refundedAmount || 0);
+    const platformFee = Math.round((order.fees?.platform || 0) * kept / paid);
+    const tax = Math.round((order.taxTotal || 0) * kept / paid);
+    return kept - platformFee - tax;
+  }
+
+  // Totals per currency for a set of orders, used for payouts and reporting
+  summarizeOrders(orders) {
+    const byCurrency = {};
+
+    orders.forEach(order => {
+      const currency = order.currency || 'USD';
+      const summary = byCurrency[currency] || (byCurrency[currency] = {
+        currency,
+        gross: 0,
+        refunded: 0,
+        platformFee: 0,
+        tax: 0,
+        organizerNet: 0
+      });
+
+      const paid = order.totalAmount || 0;
+      const kept = paid - (order.refundedAmount || 0);
+      summary.gross += paid;
+      summary.refunded += order.refundedAmount || 0;
+      summary.platformFee += paid > 0 ? Math.round((order.fees?.platform || 0) * kept / paid) : 0;
+      summary.tax += paid > 0 ? Math.round((order.taxTotal || 0) * kept / paid) : 0;
+      summary.organizerNet += this.getOrganizerNet(order);
+    });
+
+    return Object.values(byCurrency);
+  }
+}
+
+module.exports = new FeeService();
@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Payout = require('../models/Payout');
+
+// Days after an event ends before its sales move from the pending to the available balance
+const CLEARING_DAYS = parseInt(process.env.FINANCE_CLEARING_DAYS, 10) || 3;
+
+class FinanceService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Record a ledger transaction once per source; returns null if it was already recorded
+  async record(transaction) {
+    try {
+      return await LedgerTransaction.create(transaction);
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  async getClearingDate(eventId, from = new Date()) {
+    const event = await Event.findById(eventId).select('dateTime');
+    const end = event?.dateTime?.end || event?.dateTime?.start;
+    const clearsFrom = end && end > from ? end : from;
+    return new Date(clearsFrom.getTime() + CLEARING_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Buyer payment split between the organizer and the platform's fee. Taxes are part of the
+  // organizer's share, since the organizer is the seller who remits them.
+  async recordSale(order) {
+    if (!order.totalAmount) return null;
+    const platformFee = order.fees?.platform || 0;
+
+    if (order.channel === 'atd') {
+      // The organizer took the money at the door, so the platform's fee comes off their balance
+      if (!platformFee) return null;
+      return this.record({
+        organizerId: order.organizerId,
+        kind: 'door_sale',
+        sourceKey: `order:${order._id}`,
+        currency: order.currency,
+        entries: [
+          { account: 'organizer', amount: -platformFee },
+          { account: 'platform_fees', amount: platformFee }
+        ],
+        eventId: order.eventId,
+        orderId: order._id,
+        memo: `Platform fee on box office order ${order.orderId}`
+      });
+    }
+
+    return this.record({
+      organizerId: order.organizerId,
+      kind: 'sale',
+      sourceKey: `order:${order._id}`,
+      currency: order.currency,
+      entries: [
+        { account: 'buyer_funds', amount: -order.totalAmount },
+        { account: 'platform_fees', amount: platformFee },
+        { account: 'organizer', amount: order.totalAmount - platformFee }
+      ],
+      availableAt: await this.getClearingDate(order.eventId, order.completedAt || new Date()),
+      eventId: order.eventId,
+      orderId: order._id,
+      memo: `Order ${order.orderId}`
+    });
+  }
+
+  // Refunds come out of the organizer's balance; the platform keeps its fee. Money handed
+  // back at the door never passed through the platform.
+  async recordRefund(order, refund) {
+    if (order.channel === 'atd' || !refund.amount) return null;
+
+    return this.record({
+      organizerId: order.organizerId,
+      kind: 'refund',
+      sourceKey: `refund:${refund._id}`,
+      currency: refund.currency || order.currency,
+      entries: [
+        { account: 'organizer', amount: -refund.amount },
+        { account: 'buyer_funds', amount: refund.amount }
+      ],
+      eventId: order.eventId,
+      orderId: order._id,
+      refundId: refund._id,
+      memo: `Refund ${refund.refundId} on order ${order.orderId}`
+    });
+  }
+
+  async recordPayout(payout) {
+    return this.record({
+      organizerId: payout.organizerId,
+      kind: 'payout',
+      sourceKey: `payout:${payout._id}`,
+      currency: payout.currency,
+      entries: [
+        { account: 'organizer', amount: -payout.amount },
+        { account: 'payouts', amount: payout.amount }
+      ],
+      payoutId: payout._id,
+      memo: `Payout ${payout.payoutId}`
+    });
+  }
+
+  // Put the money back in the organizer's balance when a payout is cancelled, rejected or fails
+  async recordPayoutReversal(payout) {
+    return this.record({
+      organizerId: payout.organizerId,
+      kind: 'payout_reversal',
+      sourceKey: `payout:${payout._id}:reversal`,
+      currency: payout.currency,
+      entries: [
+        { account: 'organizer', amount: payout.amount },
+        { account: 'payouts', amount: -payout.amount }
+      ],
+      payoutId: payout._id,
+      memo: `Payout ${payout.payoutId} ${payout.status}`
+    });
+  }
+
+  // A disputed amount is held out of the organizer's balance while the card issuer decides.
+  // Winning releases the hold; losing sends the held amount back to the buyer.
+  async recordDisputeHold(dispute) {
+    return this.recordDispute(dispute, 'dispute_hold', [
+      { account: 'organizer', amount: -dispute.amount },
+      { account: 'disputes', amount: dispute.amount }
+    ], 'held');
+  }
+
+  async recordDisputeRelease(dispute) {
+    return this.recordDispute(dispute, 'dispute_release', [
+      { account: 'disputes', amount: -dispute.amount },
+      { account: 'organizer', amount: dispute.amount }
+    ], 'won');
+  }
+
+  async recordDisputeLoss(dispute) {
+    return this.recordDispute(dispute, 'dispute_loss', [
+      { account: 'disputes', amount: -dispute.amount },
+      { account: 'buyer_funds', amount: dispute.amount }
+    ], 'lost');
+  }
+
+  async recordDispute(dispute, kind, entries, outcome) {
+    if (!dispute.amount) return null;
+
+    return this.record({
+      organizerId: dispute.organizerId,
+      kind,
+      sourceKey: `dispute:${dispute._id}:${kind}`,
+      currency: dispute.currency,
+      entries,
+      eventId: dispute.eventId,
+      orderId: dispute.orderId,
+      disputeId: dispute._id,
+      memo: `Dispute ${dispute.disputeId} ${outcome}`
+    });
+  }
+
+  // Manual credit (positive) or debit (negative) to an organizer's balance
+  async recordAdjustment({ organizerId, amount, currency, memo, createdBy }) {
+    const adjustment = parseInt(amount, 10);
+    if (!organizerId || !mongoose.Types.ObjectId.isValid(organizerId)) {
+      throw this.createError('A valid organizerId is required');
+    }
+    if (!Number.isInteger(adjustment) || adjustment === 0) {
+      throw this.createError('Adjustment amount must be a non-zero number of minor units');
+    }
+    if (!currency) {
+      throw this.createError('Currency is required');
+    }
+    if (!memo) {
+      throw this.createError('A memo explaining the adjustment is required');
+    }
+
+    return this.record({
+      organizerId,
+      kind: 'adjustment',
+      sourceKey: `adjustment:${new mongoose.Types.ObjectId()}`,
+      currency: String(currency).toUpperCase(),
+      entries: [
+        { account: 'organizer', amount: adjustment },
+        { account: 'adjustments', amount: -adjustment }
+      ],
+      memo,
+      createdBy
+    });
+  }
+
+  // Available and pending balance per currency
+  async getBalances(organizerId, now = new Date()) {
+    const totals = await LedgerTransaction.aggregate([
+      { $match: { organizerId: new mongoose.Types.ObjectId(organizerId) } },
+      {
+        $group: {
+          _id: '$currency',
+          available: { $sum: { $cond: [{ $lte: ['$availableAt', now] }, '$organizerAmount', 0] } },
+          pending: { $sum: { $cond: [{ $gt: ['$availableAt', now] }, '$organizerAmount', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return totals.map(total => ({
+      currency: total._id,
+      available: total.available,
+      pending: total.pending
+    }));
+  }
+
+  async getAvailableBalance(organizerId, currency) {
+    const balance = (await this.getBalances(organizerId)).find(b => b.currency === currency);
+    return balance ? balance.available : 0;
+  }
+
+  async getLedger(organizerId, { currency, kind, page = 1, limit = 50 } = {}) {
+    const query = { organizerId };
+    if (currency) query.currency = String(currency).toUpperCase();
+    if (kind) query.kind = kind;
+
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+
+    const [transactions, total] = await Promise.all([
+      LedgerTransaction.find(query)
+        .populate('eventId', 'title')
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip((pageNum - 1) * limitNum),
+      LedgerTransaction.countDocuments(query)
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  // An organizer asks to be paid out of their available balance. The amount leaves the
+  // balance straight away and comes back if the request is cancelled, rejected or fails.
+  async requestPayout(organizerId, { amount, currency = 'USD', destination, note } = {}, requestedBy) {
+    const payoutAmount = parseInt(amount, 10);
+    if (!Number.isInteger(payoutAmount) || payoutAmount < 1) {
+      throw this.createError('Payout amount must be a positive number of minor units');
+    }
+    const payoutCurrency = String(currency).toUpperCase();
+
+    if (await this.getAvailableBalance(organizerId, payoutCurrency) < payoutAmount) {
+      throw this.createError('Payout amount exceeds the available balance');
+    }
+
+    const payout = await Payout.create({
+      organizerId,
+      amount: payoutAmount,
+      currency: payoutCurrency,
+      destination,
+      note,
+      status: 'requested',
+      requestedBy
+    });
+    await this.recordPayout(payout);
+
+    // Two requests can pass the check above together; the one that overdraws backs out
+    if (await this.getAvailableBalance(organizerId, payoutCurrency) < 0) {
+      await this.closePayout(payout, 'cancelled');
+      throw this.createError('Payout amount exceeds the available balance', 409);
+    }
+    return payout;
+  }
+
+  // Close a payout request that was never sent and return its amount to the balance
+  async closePayout(payout, status, { reviewedBy, reason } = {}) {
+    const fields = { status };
+    if (status === 'cancelled') fields.cancelledAt = new Date();
+    if (status === 'rejected') {
+      fields.reviewedBy = reviewedBy;
+      fields.reviewedAt = new Date();
+      fields.failureReason = reason;
+    }
+
+    const closed = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: 'requested' },
+      { $set: fields },
+      { new: true }
+    );
+    if (!closed) {
+      throw this.createError('Payout is no longer requested', 409);
+    }
+
+    await this.recordPayoutReversal(closed);
+    return closed;
+  }
+
+  async getPayouts(organizerId, { status, page = 1, limit = 50 } = {}) {
+    const query = { organizerId };
+    if (status) query.status = status;
+
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip((pageNum - 1) * limitNum),
+      Payout.countDocuments(query)
+    ]);
+
+    return {
+      payouts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+}
+
+module.exports = new FinanceService();
@@ -0,0 +1,375 @@
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const currencyService = require('./currencyService');
+const PdfDocument = require('./invoices/pdfDocument');
+
+const DEFAULT_FOOTER = 'Powered by CROWD - Create memorable experiences';
+const BILL_TO_FIELDS = { name: 200, company: 200, address: 500, taxId: 50, email: 200 };
+
+// A claim on an order left behind by a request that failed midway can be taken over after this
+const INVOICE_CLAIM_TIMEOUT = 60 * 1000;
+
+const STATUS_LABELS = {
+  completed: 'Paid',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded'
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+class InvoiceService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  getSettings(organizer) {
+    const settings = organizer?.invoiceSettings || {};
+    return {
+      prefix: settings.prefix ?? 'INV-',
+      nextNumber: settings.nextNumber || 1,
+      padding: settings.padding || 5,
+      address: settings.address || '',
+      taxId: settings.taxId || '',
+      footer: settings.footer || '',
+      attachReceipts: settings.attachReceipts !== false
+    };
+  }
+
+  async updateSettings(organizerId, updates = {}) {
+    const organizer = await User.findById(organizerId).select('invoiceSettings');
+    if (!organizer) {
+      throw this.createError('Organizer not found', 404);
+    }
+    const current = this.getSettings(organizer);
+    const $set = {};
+
+    if (updates.prefix !== undefined) {
+      const prefix = String(updates.prefix).trim();
+      if (prefix.length > 20 || /[^A-Za-z0-9\-_/.#]/.test(prefix)) {
+        throw this.createError('Invoice prefix can have up to 20 letters, digits and - _ / . #');
+      }
+      $set['invoiceSettings.prefix'] = prefix;
+    }
+    if (updates.nextNumber !== undefined) {
+      // Moving the counter back could hand out a number that was already used
+      const nextNumber = parseInt(updates.nextNumber, 10);
+      if (!Number.isInteger(nextNumber) || nextNumber < current.nextNumber) {
+        throw this.createError(`Next invoice number must be at least ${current.nextNumber}`);
+      }
+      $set['invoiceSettings.nextNumber'] = nextNumber;
+    }
+    if (updates.padding !== undefined) {
+      const padding = parseInt(updates.padding, 10);
+      if (!Number.isInteger(padding) || padding < 1 || padding > 12) {
+        throw this.createError('Invoice number padding must be between 1 and 12 digits');
+      }
+      $set['invoiceSettings.padding'] = padding;
+    }
+    ['address', 'taxId', 'footer'].forEach(field => {
+      if (updates[field] !== undefined) $set[`invoiceSettings.${field}`] = String(updates[field] || '').trim();
+    });
+    if (updates.attachReceipts !== undefined) {
+      $set['invoiceSettings.attachReceipts'] = Boolean(updates.attachReceipts);
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      organizerId,
+      { $set },
+      { new: true, runValidators: true, select: 'invoiceSettings' }
+    );
+    return this.getSettings(updated);
+  }
+
+  normalizeBillTo(billTo = {}) {
+    const normalized = {};
+    Object.entries(BILL_TO_FIELDS).forEach(([field, maxLength]) => {
+      const value = typeof billTo[field] === 'string' ? billTo[field].trim() : '';
+      if (value.length > maxLength) {
+        throw this.createError(`Billing ${field} can be at most ${maxLength} characters`);
+      }
+      if (value) normalized[field] = value;
+    });
+    return normalized;
+  }
+
+  assertPaid(order) {
+    if (!Order.PAID_STATUSES.includes(order.status)) {
+      throw this.createError('Invoices and receipts are only available for paid orders');
+    }
+  }
+
+  // Take the organizer's next invoice number
+  async nextInvoiceNumber(organizerId) {
+    await User.updateOne(
+      { _id: organizerId, 'invoiceSettings.nextNumber': { $exists: false } },
+      { $set: { 'invoiceSettings.nextNumber': 1 } }
+    );
+    const organizer = await User.findByIdAndUpdate(
+      organizerId,
+      { $inc: { 'invoiceSettings.nextNumber': 1 } },
+      { new: true, select: 'invoiceSettings' }
+    );
+    if (!organizer) {
+      throw this.createError('Organizer not found', 404);
+    }
+
+    const settings = this.getSettings(organizer);
+    return settings.prefix + String(settings.nextNumber - 1).padStart(settings.padding, '0');
+  }
+
+  // Give a paid order its invoice number. An order is invoiced once; its number and billing
+  // details never change afterwards. The order is claimed before a number is taken, so
+  // concurrent requests cannot leave gaps in the organizer's numbering.
+  async issueInvoice(order, billTo) {
+    this.assertPaid(order);
+    if (order.invoice?.number) {
+      throw this.createError(`Invoice ${order.invoice.number} was already issued for this order`, 409);
+    }
+
+    const normalized = this.normalizeBillTo(billTo);
+    const claimedAt = new Date();
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'invoice.number': { $exists: false },
+        $or: [
+          { 'invoice.claimedAt': { $exists: false } },
+          { 'invoice.claimedAt': { $lt: new Date(claimedAt.getTime() - INVOICE_CLAIM_TIMEOUT) } }
+        ]
+      },
+      { $set: { invoice: { claimedAt, billTo: normalized } } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw this.createError('An invoice is already being issued for this order', 409);
+    }
+
+    let number;
+    try {
+      number = await this.nextInvoiceNumber(order.organizerId);
+    } catch (error) {
+      await Order.updateOne({ _id: order._id, 'invoice.claimedAt': claimedAt }, { $unset: { invoice: 1 } });
+      throw error;
+    }
+
+    const issued = await Order.findOneAndUpdate(
+      { _id: order._id, 'invoice.claimedAt': claimedAt },
+      {
+        $set: { 'invoice.number': number, 'invoice.issuedAt': new Date() },
+        $unset: { 'invoice.claimedAt': 1 }
+      },
+      { new: true }
+    );
+    if (!issued) {
+      // The claim timed out and another request took it over; the number taken here goes unused
+      throw this.createError('An invoice is already being issued for this order', 409);
+    }
+    return issued;
+  }
+
+
+  // Everything printed on an invoice or receipt
+  async getDocument(order, type = 'receipt') {
+    this.assertPaid(order);
+    const isInvoice = type === 'invoice';
+
+    const [event, organizer] = await Promise.all([
+      Event.findById(order.eventId).select('title dateTime'),
+      User.findById(order.organizerId).select('firstName lastName email organizerProfile invoiceSettings')
+    ]);
+    const settings = this.getSettings(organizer);
+    const profile = organizer?.organizerProfile || {};
+
+    const billTo = (isInvoice && order.invoice?.billTo) || {};
+    const buyerName = billTo.name || order.buyer?.name;
+    const buyerLines = [
+      billTo.company ? buyerName : null,
+      ...(billTo.address ? billTo.address.split('\n') : []),
+      billTo.taxId ? `Tax ID: ${billTo.taxId}` : null,
+      billTo.email || order.buyer?.email
+    ].filter(Boolean);
+
+    const lines = order.items.map(item => {
+      const details = [
+        item.seats?.length ? `Seats ${item.seats.map(seat => seat.label).join(', ')}` : null,
+        item.pledgeInterval ? `${item.pledgeInterval} pledge` : null,
+        item.refundedQuantity ? `${item.refundedQuantity} refunded` : null
+      ].filter(Boolean);
+      // Lines show the net price before discount, as priced at checkout. A listed price that
+      // included tax or the buyer fee would otherwise count them twice in the totals below.
+      const amount = item.total + (item.discount || 0);
+      return {
+        description: `${item.ticketClassName}${details.length ? ` (${details.join('; ')})` : ''}`,
+        quantity: item.quantity,
+        unitPrice: amount === item.unitPrice * item.quantity ? item.unitPrice : Math.round(amount / item.quantity),
+        amount
+      };
+    });
+    const lineDiscounts = order.items.reduce((sum, item) => sum + (item.discount || 0), 0);
+
+    return {
+      type,
+      title: isInvoice ? 'Invoice' : 'Receipt',
+      number: isInvoice ? order.invoice.number : 'RC-' + order.orderId.replace(/^ORD-/, ''),
+      issuedAt: isInvoice ? order.invoice.issuedAt : new Date(),
+      orderId: order.orderId,
+      paidAt: order.completedAt,
+      status: STATUS_LABELS[order.status],
+      seller: {
+        name: profile.companyName || profile.organizationName || profile.name ||
+          (organizer ? `${organizer.firstName} ${organizer.lastName}` : 'Organizer'),
+        lines: [
+          ...(settings.address ? settings.address.split('\n') : []),
+          settings.taxId ? `Tax ID: ${settings.taxId}` : null,
+          profile.website,
+          organizer?.email
+        ].filter(Boolean)
+      },
+      billTo: {
+        name: billTo.company || buyerName || 'Customer',
+        lines: buyerLines
+      },
+      event: {
+        title: event?.title || null,
+        date: event?.dateTime?.start || null
+      },
+      currency: order.currency,
+      lines,
+      discount: lineDiscounts ? { code: order.discount?.code || null, amount: lineDiscounts } : null,
+      fees: order.fees?.buyer || 0,
+      taxes: (order.taxes || []).map(tax => ({
+        label: `${tax.name}${tax.rate !== undefined ? ` (${tax.rate}%)` : ''}`,
+        amount: tax.amount
+      })),
+      taxInclusive: order.taxInclusive,
+      total: order.totalAmount,
+      refunded: order.refundedAmount || 0,
+      footer: settings.footer || DEFAULT_FOOTER
+    };
+  }
+
+  renderPdf(document) {
+    const pdf = new PdfDocument();
+    const money = (amount) => currencyService.formatAmount(amount, document.currency);
+    const left = 50;
+    const right = pdf.width - 50;
+    const bottom = pdf.height - 90;
+
+    // Header: document title and number, seller on the right
+    pdf.text(document.title.toUpperCase(), left, 70, { size: 22, bold: true });
+    pdf.text(`${document.title} ${document.number}`, left, 90, { size: 10, gray: 0.3 });
+    pdf.text(document.seller.name, right, 62, { size: 12, bold: true, align: 'right' });
+    document.seller.lines.forEach((line, index) => {
+      pdf.text(line, right, 78 + index * 12, { size: 9, align: 'right', gray: 0.3 });
+    });
+
+    // Details on the left, billed party on the right
+    let y = Math.max(140, 90 + document.seller.lines.length * 12 + 30);
+    const details = [
+      ['Date issued', formatDate(document.issuedAt)],
+      ['Order', document.orderId],
+      ['Date paid', formatDate(document.paidAt)],
+      ['Status', document.status],
+      ['Event', document.event.title],
+      ['Event date', formatDate(document.event.date)]
+    ].filter(([, value]) => value);
+    details.forEach(([label, value], index) => {
+      pdf.text(label, left, y + index * 14, { size: 9, bold: true });
+      pdf.text(value, left + 75, y + index * 14, { size: 9 });
+    });
+
+    const billToX = 340;
+    pdf.text(document.type === 'invoice' ? 'Bill to' : 'Paid by', billToX, y, { size: 9, bold: true });
+    pdf.text(document.billTo.name, billToX, y + 14, { size: 10, bold: true });
+    document.billTo.lines.forEach((line, index) => {
+      pdf.text(line, billToX, y + 28 + index * 12, { size: 9 });
+    });
+
+    y += Math.max(details.length * 14, 28 + document.billTo.lines.length * 12) + 30;
+
+    // Line items
+    const columns = { quantity: 360, unitPrice: 455, amount: right };
+    const tableHeader = () => {
+      pdf.text('Description', left, y, { size: 9, bold: true });
+      pdf.text('Qty', columns.quantity, y, { size: 9, bold: true, align: 'right' });
+      pdf.text('Unit price', columns.unitPrice, y, { size: 9, bold: true, align: 'right' });
+      pdf.text('Amount', columns.amount, y, { size: 9, bold: true, align: 'right' });
+      pdf.line(left, y + 6, right, y + 6);
+      y += 20;
+    };
+    tableHeader();
+
+    document.lines.forEach(line => {
+      const description = pdf.wrap(line.description, columns.quantity - left - 40, 9);
+      if (y + description.length * 12 > bottom) {
+        pdf.addPage();
+        y = 60;
+        tableHeader();
+      }
+      description.forEach((text, index) => pdf.text(text, left, y + index * 12, { size: 9 }));
+      pdf.text(String(line.quantity), columns.quantity, y, { size: 9, align: 'right' });
+      pdf.text(money(line.unitPrice), columns.unitPrice, y, { size: 9, align: 'right' });
+      pdf.text(money(line.amount), columns.amount, y, { size: 9, align: 'right' });
+      y += description.length * 12 + 6;
+    });
+    pdf.line(left, y - 2, right, y - 2);
+    y += 14;
+
+    // Totals
+    const totals = [['Subtotal', document.lines.reduce((sum, line) => sum + line.amount, 0)]];
+    if (document.discount) {
+      totals.push([`Discount${document.discount.code ? ` (${document.discount.code})` : ''}`, -document.discount.amount]);
+    }
+    if (document.fees) totals.push(['Service fees', document.fees]);
+    document.taxes.forEach(tax => totals.push([tax.label, tax.amount]));
+    totals.push(['Total', document.total, true]);
+    if (document.refunded) {
+      totals.push(['Refunded', -document.refunded]);
+      totals.push(['Net paid', document.total - document.refunded, true]);
+    }
+
+    if (y + totals.length * 16 > bottom) {
+      pdf.addPage();
+      y = 60;
+    }
+    totals.forEach(([label, amount, bold]) => {
+      pdf.text(label, columns.unitPrice, y, { size: 10, bold, align: 'right' });
+      pdf.text(money(amount), columns.amount, y, { size: 10, bold, align: 'right' });
+      y += 16;
+    });
+    if (document.taxInclusive && document.taxes.length) {
+      pdf.text('Ticket prices included the taxes shown; line amounts are before tax.', columns.amount, y + 4, { size: 8, align: 'right', gray: 0.4 });
+    }
+
+    // Footer on the last page
+    pdf.wrap(document.footer, right - left, 8).slice(0, 6).forEach((line, index) => {
+      pdf.text(line, left, bottom + 30 + index * 10, { size: 8, gray: 0.4 });
+    });
+
+    return pdf.toBuffer();
+  }
+
+  async renderReceipt(order) {
+    return this.renderPdf(await this.getDocument(order, 'receipt'));
+  }
+
+  // Only an issued invoice can be downloaded; issuing takes a number and fixes the billing details
+  async renderInvoice(order) {
+    if (!order.invoice?.number) {
+      throw this.createError('No invoice has been issued for this order yet', 404);
+    }
+    return this.renderPdf(await this.getDocument(order, 'invoice'));
+  }
+
+  // Whether the organizer wants receipts attached to confirmation emails
+  async shouldAttachReceipt(order) {
+    if (!order.totalAmount || !Order.PAID_STATUSES.includes(order.status)) return false;
+    const organizer = await User.findById(order.organizerId).select('invoiceSettings');
+    return this.getSettings(organizer).attachReceipts;
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,149 @@
+// Minimal PDF writer for text documents such as invoices and receipts: pages of text in the
+// standard Helvetica fonts plus straight lines. Text is encoded as WinAnsi, so characters
+// outside Latin-1 (other than the euro sign) print as '?'.
+
+// Glyph widths in 1/1000 em for character codes 32-126, from the Adobe font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi byte for a character; Latin-1 maps to itself
+const toWinAnsi = (char) => {
+  const code = char.charCodeAt(0);
+  if (char === '€') return 0x80;
+  if (code === 0x09) return 0x20;
+  if (code < 0x20 || (code >= 0x7f && code < 0xa0) || code > 0xff) return 0x3f;
+  return code;
+};
+
+// PDF string literal, with anything outside printable ASCII written as an octal escape
+const encodeText = (text) => Array.from(String(text)).map(char => {
+  const byte = toWinAnsi(char);
+  if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return `\\${String.fromCharCode(byte)}`;
+  if (byte > 0x7e) return `\\${byte.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(byte);
+}).join('');
+
+const format = (number) => Number(number.toFixed(2)).toString();
+
+class PdfDocument {
+  // US Letter in points by default; y coordinates passed to drawing methods run top-down
+  constructor({ width = 612, height = 792 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  widthOf(text, size = 10, bold = false) {
+    const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+    return Array.from(String(text)).reduce((sum, char) => {
+      const byte = toWinAnsi(char);
+      return sum + (byte >= 32 && byte <= 126 ? widths[byte - 32] : DEFAULT_WIDTH);
+    }, 0) * size / 1000;
+  }
+
+  // Split text into lines no wider than maxWidth, breaking between words where possible
+  wrap(text, maxWidth, size = 10, bold = false) {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (!line || this.widthOf(candidate, size, bold) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+        lines.push(line);
+        line = word;
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  text(text, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+    if (text === undefined || text === null || text === '') return this;
+
+    let left = x;
+    if (align === 'right') left = x - this.widthOf(text, size, bold);
+    if (align === 'center') left = x - this.widthOf(text, size, bold) / 2;
+
+    this.page.push(
+      `BT ${format(gray)} g /${bold ? 'F2' : 'F1'} ${format(size)} Tf ` +
+      `${format(left)} ${format(this.height - y)} Td (${encodeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, gray = 0.7 } = {}) {
+    this.page.push(
+      `${format(gray)} G ${format(width)} w ${format(x1)} ${format(this.height - y1)} m ` +
+      `${format(x2)} ${format(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = this.pages.map(commands => {
+      const content = commands.join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,613 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Payout = require('../models/Payout');
+const Dispute = require('../models/Dispute');
+const PaymentEvent = require('../models/PaymentEvent');
+const DonationPledge = require('../models/DonationPledge');
+const checkoutService = require('./checkoutService');
+const financeService = require('./financeService');
+const disputeService = require('./disputeService');
+const donationService = require('./donationService');
+const StripeDriver = require('./payments/stripeDriver');
+const LocalDriver = require('./payments/localDriver');
+
+// Every driver offers createCustomer, createCharge, refundCharge, createPayout, submitDisputeEvidence and
+// closeDispute, and turns its signed webhooks into provider-neutral events: charge.succeeded,
+// charge.failed, refund.succeeded, refund.failed, payout.paid, payout.failed and
+// dispute.created/updated/closed.
+class PaymentService {
+  constructor() {
+    this.drivers = {
+      stripe: new StripeDriver({
+        secretKey: process.env.STRIPE_SECRET_KEY,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+      }),
+      // Without a configured secret the local driver accepts no webhooks at all
+      local: new LocalDriver({
+        webhookSecret: process.env.LOCAL_PAYMENT_WEBHOOK_SECRET
+      })
+    };
+
+    // Production never falls back to the local driver, which hands out tickets without payment
+    if (!process.env.PAYMENT_PROVIDER && !process.env.STRIPE_SECRET_KEY && this.isProduction()) {
+      throw new Error('No payment provider configured: set PAYMENT_PROVIDER or STRIPE_SECRET_KEY');
+    }
+    this.provider = process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : 'local');
+    if (!this.drivers[this.provider]) {
+      throw new Error(`Unknown payment provider ${this.provider}`);
+    }
+  }
+
+  isProduction() {
+    return process.env.NODE_ENV === 'production';
+  }
+
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // The local driver never moves real money, so production only accepts it when chosen outright
+  isEnabled(name) {
+    if (!this.drivers[name]) return false;
+    return name !== 'local' || this.provider === 'local' || !this.isProduction();
+  }
+
+  getDriver(name = this.provider) {
+    if (!this.isEnabled(name)) {
+      throw this.createError(`Payment provider ${name} is not available`, 503);
+    }
+    return this.drivers[name];
+  }
+
+  // Start paying for a pending order. Retrying returns the same charge, so buyers can reload
+  // the payment page without being charged twice.
+  async startPayment(order) {
+    if (order.isHoldExpired()) {
+      await checkoutService.expireOrder(order);
+      throw this.createError('Ticket hold has expired, please start a new order', 410);
+    }
+    if (order.status !== 'pending') {
+      throw this.createError(`Order is ${order.status}`);
+    }
+    if (order.totalAmount === 0) {
+      throw this.createError('This order is free and can be confirmed without payment');
+    }
+
+    const driver = this.getDriver();
+
+    // Recurring pledges are charged again later, so their payment method is saved to a customer
+    const recurring = order.items.some(item => item.pledgeInterval);
+    let customerId = order.payment?.customerId;
+    if (recurring && !customerId) {
+      const customer = await driver.createCustomer({
+        email: order.buyer?.email,
+        name: order.buyer?.name,
+        metadata: { orderId: order.orderId },
+        idempotencyKey: `customer-${order._id}`
+      });
+      customerId = customer.id;
+    }
+
+    const charge = await driver.createCharge({
+      amount: order.totalAmount,
+      currency: order.currency,
+      description: `Order ${order.orderId}`,
+      metadata: { orderId: order.orderId },
+      idempotencyKey: `order-${order._id}`,
+      customerId,
+      savePaymentMethod: recurring
+    });
+
+    const $set = {
+      'payment.provider': driver.name,
+      'payment.paymentId': charge.id,
+      'payment.status': 'pending',
+      'payment.startedAt': new Date()
+    };
+    if (customerId) $set['payment.customerId'] = customerId;
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending' },
+      { $set },
+      { new: true }
+    );
+    if (!updated) {
+      throw this.createError('Order is no longer pending', 409);
+    }
+
+    return {
+      provider: driver.name,
+      paymentId: charge.id,
+      clientSecret: charge.clientSecret,
+      amount: order.totalAmount,
+      currency: order.currency
+    };
+  }
+
+  // Verify and apply a webhook. Each provider event is applied once; a replay of an event
+  // that was already processed is acknowledged without doing anything.
+  async handleWebhook(providerName, rawBody, headers) {
+    if (!this.isEnabled(providerName)) {
+      throw this.createError('Unknown payment provider', 404);
+    }
+    if (!rawBody) {
+      throw this.createError('Missing webhook body');
+    }
+
+    let event;
+    try {
+      event = this.drivers[providerName].parseWebhook(rawBody.toString('utf8'), headers);
+    } catch (error) {
+      throw this.createError('Malformed webhook body');
+    }
+    if (!event) {
+      throw this.createError('Invalid webhook signature');
+    }
+
+    return this.processEvent(providerName, event);
+  }
+
+  async processEvent(providerName, event) {
+    let record;
+    try {
+      record = await PaymentEvent.create({
+        provider: providerName,
+        eventId: event.id,
+        type: event.type,
+        objectId: event.objectId
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Seen before: only an event that failed to apply is tried again
+      record = await PaymentEvent.findOneAndUpdate(
+        { provider: providerName, eventId: event.id, status: 'failed' },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+      );
+      if (!record) return { type: event.type, duplicate: true };
+    }
+
+    try {
+      await this.applyEvent(providerName, event);
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      throw error;
+    }
+
+    record.status = 'processed';
+    record.processedAt = new Date();
+    await record.save();
+    return { type: event.type, duplicate: false };
+  }
+
+  async applyEvent(provider, event) {
+    switch (event.type) {
+      case 'charge.succeeded':
+        return this.completeCharge(provider, event);
+      case 'charge.failed':
+        return this.failCharge(provider, event);
+      case 'refund.succeeded':
+        return this.updateRefund(provider, event, 'completed');
+      case 'refund.failed':
+        return this.updateRefund(provider, event, 'failed');
+      case 'payout.paid':
+        return this.updatePayout(provider, event, 'paid');
+      case 'payout.failed':
+        return this.updatePayout(provider, event, 'failed');
+      case 'dispute.created':
+      case 'dispute.updated':
+      case 'dispute.closed':
+        return this.updateDispute(provider, event);
+      default:
+        // Other provider events are recorded but need no action
+        return null;
+    }
+  }
+
+  async findChargeOrder(provider, event) {
+    const order = await Order.findOne({ 'payment.provider': provider, 'payment.paymentId': event.objectId });
+    if (order || !event.metadata?.orderId) return order;
+    return Order.findOne({ orderId: event.metadata.orderId });
+  }
+
+  // Payment went through: complete the order and issue its tickets
+  async completeCharge(provider, event) {
+    const order = await this.findChargeOrder(provider, event);
+    if (!order) return null;
+
+    if (event.amount !== undefined && event.amount !== order.totalAmount) {
+      throw this.createError(`Payment of ${event.amount} does not match order ${order.orderId} total of ${order.totalAmount}`);
+    }
+
+    const paid = {
+      'payment.provider': provider,
+      'payment.paymentId': event.objectId,
+      'payment.status': 'completed',
+      'payment.paidAt': new Date()
+    };
+    // The saved payment method is what later pledge charges are made with
+    if (event.paymentMethod?.customerId) paid['payment.customerId'] = event.paymentMethod.customerId;
+    if (event.paymentMethod?.paymentMethodId) paid['payment.paymentMethodId'] = event.paymentMethod.paymentMethodId;
+
+    if (order.status === 'pending' && order.pledgeId) {
+      const completed = await donationService.completePledgeCharge(order, paid);
+      if (completed) return completed;
+    } else if (order.status === 'pending') {
+      await Order.updateOne({ _id: order._id, status: 'pending' }, { $set: paid });
+      try {
+        // The buyer has paid, so a hold that ran out while the payment was processing still counts
+        return await checkoutService.confirmOrder(order, { paid: true });
+      } catch (error) {
+        // Lost a race with the hold sweep; the order is handled below as no longer pending
+        if (!error.status) throw error;
+      }
+    }
+
+    const current = await Order.findById(order._id);
+    if (Order.PAID_STATUSES.includes(current.status)) return current;
+
+    // Paid for an order that expired, failed or was cancelled meanwhile: give the money back
+    return this.refundUnfulfilledCharge(current, provider, event);
+  }
+
+  async refundUnfulfilledCharge(order, provider, event) {
+    const result = await this.getDriver(provider).refundCharge({
+      paymentId: event.objectId,
+      amount: event.amount ?? order.totalAmount,
+      metadata: { orderId: order.orderId },
+      idempotencyKey: `unfulfilled-${order._id}`
+    });
+    console.warn(`Refunded payment ${event.objectId} for ${order.status} order ${order.orderId}`);
+
+    return Order.findByIdAndUpdate(
+      order._id,
+      {
+        $set: {
+          'payment.provider': provider,
+          'payment.paymentId': event.objectId,
+          'payment.status': 'refunded',
+          'payment.failureReason': `Order was ${order.status} when payment arrived; refund ${result.id}`
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Payment was declined: the order fails and its tickets go back on sale
+  async failCharge(provider, event) {
+    const order = await this.findChargeOrder(provider, event);
+    if (!order || order.status !== 'pending') return null;
+
+    const fields = {
+      'payment.provider': provider,
+      'payment.paymentId': event.objectId,
+      'payment.status': 'failed',
+      'payment.failureReason': event.failureReason || 'Payment failed'
+    };
+    // A pledge charge holds no tickets to put back on sale
+    if (order.pledgeId) return donationService.failPledgeCharge(order, fields);
+
+    return checkoutService.releaseOrder(order, 'failed', 'failedAt', { fields });
+  }
+
+  // Charge a pledge's saved payment method for its next interval. The donation order stays
+  // pending until the provider confirms the charge with charge.succeeded.
+  async chargePledge(pledge, now = new Date()) {
+    const order = await donationService.createPledgeOrder(pledge, now);
+    if (!order) return null;
+
+    const saved = pledge.payment || {};
+    try {
+      if (!saved.provider || !saved.customerId) {
+        throw this.createError('Pledge has no saved payment method');
+      }
+      const driver = this.getDriver(saved.provider);
+      const charge = await driver.createCharge({
+        amount: order.totalAmount,
+        currency: order.currency,
+        description: `Order ${order.orderId}`,
+        metadata: { orderId: order.orderId, pledgeId: String(pledge._id) },
+        idempotencyKey: `order-${order._id}`,
+        customerId: saved.customerId,
+        paymentMethodId: saved.paymentMethodId,
+        offSession: true
+      });
+
+      return await Order.findOneAndUpdate(
+        { _id: order._id },
+        {
+          $set: {
+            'payment.provider': driver.name,
+            'payment.paymentId': charge.id,
+            'payment.customerId': saved.customerId,
+            'payment.paymentMethodId': saved.paymentMethodId,
+            'payment.status': 'pending',
+            'payment.startedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      await donationService.failPledgeCharge(order, {
+        'payment.provider': saved.provider,
+        'payment.status': 'failed',
+        'payment.failureReason': error.message
+      });
+      throw error;
+    }
+  }
+
+  // Start charges for pledges that have come due
+  async chargeDuePledges(limit = 200) {
+    const now = new Date();
+    const duePledges = await DonationPledge.find({
+      status: 'active',
+      nextChargeAt: { $lte: now }
+    }).limit(limit);
+
+    let started = 0;
+    for (const pledge of duePledges) {
+      try {
+        if (await this.chargePledge(pledge, now)) {
+          started++;
+        }
+      } catch (error) {
+        console.error(`Error charging pledge ${pledge.pledgeId}:`, error);
+      }
+    }
+    return started;
+  }
+
+  async updateRefund(provider, event, status) {
+    const $set = { 'payment.status': status };
+    if (status === 'failed') $set['payment.failureReason'] = event.failureReason || 'Refund failed';
+
+    return Refund.findOneAndUpdate(
+      { 'payment.provider': provider, 'payment.refundId': event.objectId, 'payment.status': { $ne: status } },
+      { $set },
+      { new: true }
+    );
+  }
+
+  async updatePayout(provider, event, status) {
+    const now = new Date();
+    const payout = await Payout.findOneAndUpdate(
+      { provider, providerPayoutId: event.objectId, status: { $ne: status } },
+      {
+        $set: status === 'paid'
+          ? { status, paidAt: now }
+          : { status, failedAt: now, failureReason: event.failureReason || 'Payout failed' }
+      },
+      { new: true }
+    );
+    if (payout && status === 'failed') {
+      await financeService.recordPayoutReversal(payout);
+    }
+    return payout;
+  }
+
+  async updateDispute(provider, event) {
+    const details = event.dispute || {};
+    const dispute = await Dispute.findOne({ provider, providerDisputeId: event.objectId });
+    if (dispute) {
+      return disputeService.syncDispute(dispute, details);
+    }
+
+    const order = await this.findChargeOrder(provider, {
+      objectId: details.paymentId,
+      metadata: event.metadata
+    });
+    if (!order) return null;
+
+    return disputeService.openDispute(order, {
+      provider,
+      providerDisputeId: event.objectId,
+      amount: event.amount,
+      currency: event.currency,
+      reason: details.reason,
+      status: details.status,
+      evidenceDueBy: details.evidenceDueBy
+    });
+  }
+
+  // Send the organizer's evidence to the provider; the card issuer then reviews the dispute
+  async submitDisputeEvidence(dispute, evidence, submittedBy) {
+    const normalized = disputeService.normalizeEvidence(dispute, evidence);
+
+    await this.getDriver(dispute.provider).submitDisputeEvidence({
+      disputeId: dispute.providerDisputeId,
+      evidence: normalized
+    });
+
+    return disputeService.transition(dispute, 'under_review', {
+      changedBy: submittedBy,
+      note: 'Evidence submitted',
+      fields: {
+        evidence: { ...normalized, submittedBy, submittedAt: new Date() }
+      }
+    });
+  }
+
+  // Concede a dispute without contesting it; the buyer keeps the disputed amount
+  async acceptDispute(dispute, acceptedBy) {
+    if (dispute.status !== 'needs_response') {
+      throw this.createError(`Dispute is ${dispute.status} and can no longer be accepted`, 409);
+    }
+
+    await this.getDriver(dispute.provider).closeDispute({ disputeId: dispute.providerDisputeId });
+
+    return disputeService.transition(dispute, 'lost', {
+      changedBy: acceptedBy,
+      note: 'Accepted by organizer'
+    });
+  }
+
+  // Return a refund's amount through the provider the order was paid with. Orders paid in
+  // person or free of charge have nothing to return. Failures are reported on the refund
+  // rather than thrown, since the tickets have already been refunded.
+  async refundPayment(order, refund) {
+    if (order.payment?.status !== 'completed' || !order.payment.paymentId || refund.amount <= 0) {
+      return null;
+    }
+
+    const provider = order.payment.provider;
+    try {
+      const result = await this.getDriver(provider).refundCharge({
+        paymentId: order.payment.paymentId,
+        amount: refund.amount,
+        metadata: { orderId: order.orderId, refundId: refund.refundId },
+        idempotencyKey: `refund-${refund._id}`
+      });
+      return { provider, refundId: result.id, status: result.status };
+    } catch (error) {
+      // The buyer has not got their money back, so the refund must not go ahead
+      console.error('Error refunding payment:', error);
+      throw this.createError(`The payment provider could not refund this payment: ${error.message}`, 502);
+    }
+  }
+
+  // Pay an organizer directly, without a request from them. The ledger is debited like any payout.
+  async createPayout({ organizerId, amount, currency = 'USD', destination, note }) {
+    const payoutAmount = parseInt(amount, 10);
+    if (!organizerId) {
+      throw this.createError('organizerId is required');
+    }
+    if (!Number.isInteger(payoutAmount) || payoutAmount < 1) {
+      throw this.createError('Payout amount must be a positive number of minor units');
+    }
+
+    const payout = await Payout.create({
+      organizerId,
+      amount: payoutAmount,
+      currency: String(currency).toUpperCase(),
+      destination,
+      note
+    });
+    await financeService.recordPayout(payout);
+    return this.sendPayout(payout);
+  }
+
+  // Approve an organizer's payout request and send it
+  async approvePayout(payout, reviewedBy) {
+    const approved = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: 'requested' },
+      { $set: { status: 'pending', reviewedBy, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!approved) {
+      throw this.createError(`Payout is ${payout.status}, not requested`, 409);
+    }
+    return this.sendPayout(approved);
+  }
+
+  // Send a pending payout through the provider. A payout that cannot be sent fails and its
+  // amount goes back to the organizer's balance.
+  async sendPayout(payout) {
+    try {
+      const driver = this.getDriver();
+      payout.provider = driver.name;
+      if (driver.name !== 'local' && !payout.destination) {
+        throw this.createError('A destination account is required');
+      }
+
+      const result = await driver.createPayout({
+        amount: payout.amount,
+        currency: payout.currency,
+        destination: payout.destination,
+        metadata: { payoutId: payout.payoutId },
+        idempotencyKey: `payout-${payout._id}`
+      });
+      payout.providerPayoutId = result.id;
+      payout.status = result.status;
+      if (result.status === 'paid') payout.paidAt = new Date();
+    } catch (error) {
+      console.error('Error sending payout:', error);
+      payout.status = 'failed';
+      payout.failureReason = error.message;
+      payout.failedAt = new Date();
+    }
+
+    await payout.save();
+    if (payout.status === 'failed') {
+      await financeService.recordPayoutReversal(payout);
+    }
+    return payout;
+  }
+
+  // Simulations stand in for the provider, so they never run in production
+  assertCanSimulate() {
+    if (this.isProduction()) {
+      throw this.createError('Simulations are not available in production', 404);
+    }
+  }
+
+  // Development only: apply the event a real provider would send
+  async simulateCharge(order, outcome) {
+    this.assertCanSimulate();
+    if (this.provider !== 'local') {
+      throw this.createError('Payments can only be simulated with the local provider', 404);
+    }
+    if (order.payment?.provider !== 'local' || !order.payment.paymentId) {
+      throw this.createError('Start payment for this order first');
+    }
+
+    const event = this.drivers.local.buildEvent(
+      outcome === 'succeed' ? 'charge.succeeded' : 'charge.failed',
+      {
+        objectId: order.payment.paymentId,
+        amount: order.totalAmount,
+        currency: order.currency,
+        metadata: { orderId: order.orderId },
+        failureReason: outcome === 'succeed' ? undefined : 'Card declined (simulated)'
+      }
+    );
+    return this.processEvent('local', event);
+  }
+
+  // Development only: have the buyer's card issuer open a dispute against a paid order
+  async simulateDispute(order, reason = 'fraudulent') {
+    this.assertCanSimulate();
+    if (this.provider !== 'local') {
+      throw this.createError('Disputes can only be simulated with the local provider', 404);
+    }
+    if (order.payment?.provider !== 'local' || order.payment.status !== 'completed') {
+      throw this.createError('Only orders paid with the local provider can be disputed');
+    }
+
+    const event = this.drivers.local.buildEvent('dispute.created', {
+      objectId: `dp_local_${order._id}`,
+      amount: order.totalAmount - (order.refundedAmount || 0),
+      currency: order.currency,
+      metadata: { orderId: order.orderId },
+      dispute: {
+        paymentId: order.payment.paymentId,
+        reason,
+        status: 'needs_response',
+        evidenceDueBy: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      }
+    });
+    return this.processEvent('local', event);
+  }
+
+  // Development only: have the card issuer decide a dispute
+  async simulateDisputeOutcome(dispute, outcome) {
+    this.assertCanSimulate();
+    if (this.provider !== 'local' || dispute.provider !== 'local') {
+      throw this.createError('Disputes can only be simulated with the local provider', 404);
+    }
+
+    const event = this.drivers.local.buildEvent('dispute.closed', {
+      objectId: dispute.providerDisputeId,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      dispute: { status: outcome }
+    });
+    return this.processEvent('local', event);
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const webhookSignature = require('./webhookSignature');
+
+// Stand-in provider for development: nothing leaves the server. Charges and disputes wait
+// for a simulated event; refunds, payouts and evidence settle immediately. Webhooks are only
+// accepted when a secret is configured.
+
+// Ids are derived from the idempotency key so retried calls return the same object, as a
+// real provider would
+const makeId = (prefix, idempotencyKey) => {
+  const seed = idempotencyKey || crypto.randomBytes(16).toString('hex');
+  return `${prefix}_local_${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 24)}`;
+};
+
+class LocalDriver {
+  constructor({ webhookSecret } = {}) {
+    this.name = 'local';
+    this.webhookSecret = webhookSecret;
+  }
+
+  async createCustomer({ idempotencyKey }) {
+    return { id: makeId('cus', idempotencyKey) };
+  }
+
+  async createCharge({ idempotencyKey }) {
+    const id = makeId('pi', idempotencyKey);
+    return { id, status: 'pending', clientSecret: `${id}_secret` };
+  }
+
+  async refundCharge({ idempotencyKey }) {
+    return { id: makeId('re', idempotencyKey), status: 'completed' };
+  }
+
+  async createPayout({ idempotencyKey }) {
+    return { id: makeId('po', idempotencyKey), status: 'paid' };
+  }
+
+  async submitDisputeEvidence() {
+    return { status: 'under_review' };
+  }
+
+  async closeDispute() {
+    return { status: 'lost' };
+  }
+
+  // An event as parseWebhook would return it, for simulations
+  buildEvent(type, { objectId, amount, currency, metadata, failureReason, dispute } = {}) {
+    return {
+      id: `evt_local_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      objectId,
+      amount,
+      currency,
+      metadata: metadata || {},
+      failureReason,
+      dispute
+    };
+  }
+
+  parseWebhook(rawBody, headers) {
+    if (!webhookSignature.verify(rawBody, headers['x-local-signature'], this.webhookSecret)) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody);
+    return { id: event.id, type: event.type, ...event.data };
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,217 @@
+const https = require('https');
+const querystring = require('querystring');
+const webhookSignature = require('./webhookSignature');
+
+// Stripe event types mapped to the provider-neutral types handled by paymentService
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'charge.succeeded',
+  'payment_intent.payment_failed': 'charge.failed',
+  'payment_intent.canceled': 'charge.failed',
+  'refund.failed': 'refund.failed',
+  'transfer.reversed': 'payout.failed',
+  'charge.dispute.created': 'dispute.created',
+  'charge.dispute.updated': 'dispute.updated',
+  'charge.dispute.closed': 'dispute.closed'
+};
+
+const CHARGE_STATUSES = {
+  succeeded: 'completed',
+  canceled: 'failed'
+};
+
+const REFUND_STATUSES = {
+  succeeded: 'completed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Inquiries (warning_*) are tracked like full disputes; one closed without a chargeback is won
+const DISPUTE_STATUSES = {
+  warning_needs_response: 'needs_response',
+  needs_response: 'needs_response',
+  warning_under_review: 'under_review',
+  under_review: 'under_review',
+  warning_closed: 'won',
+  won: 'won',
+  lost: 'lost'
+};
+
+// Flatten nested objects into Stripe's form encoding, e.g. metadata[orderId]=...
+const encodeForm = (data, prefix) => {
+  const fields = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      Object.assign(fields, encodeForm(value, name));
+    } else {
+      fields[name] = String(value);
+    }
+  });
+  return fields;
+};
+
+class StripeDriver {
+  constructor({ secretKey, webhookSecret } = {}) {
+    this.name = 'stripe';
+    this.secretKey = secretKey;
+    this.webhookSecret = webhookSecret;
+  }
+
+  createError(message, status = 502) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  request(method, path, data, idempotencyKey) {
+    if (!this.secretKey) {
+      return Promise.reject(this.createError('Stripe is not configured', 503));
+    }
+
+    const body = data ? querystring.stringify(encodeForm(data)) : '';
+    const headers = {
+      Authorization: `Bearer ${this.secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(body)
+    };
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    return new Promise((resolve, reject) => {
+      const req = https.request({ hostname: 'api.stripe.com', path: `/v1${path}`, method, headers }, res => {
+        let raw = '';
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = JSON.parse(raw);
+          } catch (error) {
+            return reject(this.createError('Unexpected response from Stripe'));
+          }
+          if (res.statusCode >= 400) {
+            return reject(this.createError(parsed.error?.message || 'Stripe request failed'));
+          }
+          resolve(parsed);
+        });
+      });
+      req.on('error', () => reject(this.createError('Could not reach Stripe')));
+      req.setTimeout(30000, () => req.destroy(new Error('timeout')));
+      req.end(body);
+    });
+  }
+
+  async createCustomer({ email, name, metadata, idempotencyKey }) {
+    const customer = await this.request('POST', '/customers', { email, name, metadata }, idempotencyKey);
+    return { id: customer.id };
+  }
+
+  // Amounts are in minor units, as Stripe expects. savePaymentMethod keeps the buyer's payment
+  // method on the customer; offSession charges that saved method without the buyer present.
+  async createCharge({ amount, currency, description, metadata, idempotencyKey, customerId, savePaymentMethod, paymentMethodId, offSession }) {
+    const data = {
+      amount,
+      currency: currency.toLowerCase(),
+      description,
+      metadata,
+      customer: customerId
+    };
+    if (offSession) {
+      if (!paymentMethodId) {
+        throw this.createError('No saved payment method to charge', 400);
+      }
+      Object.assign(data, { payment_method: paymentMethodId, off_session: true, confirm: true });
+    } else {
+      data.automatic_payment_methods = { enabled: true };
+      if (savePaymentMethod) data.setup_future_usage = 'off_session';
+    }
+
+    const intent = await this.request('POST', '/payment_intents', data, idempotencyKey);
+
+    return {
+      id: intent.id,
+      status: CHARGE_STATUSES[intent.status] || 'pending',
+      clientSecret: intent.client_secret
+    };
+  }
+
+  async refundCharge({ paymentId, amount, metadata, idempotencyKey }) {
+    const refund = await this.request('POST', '/refunds', {
+      payment_intent: paymentId,
+      amount,
+      metadata
+    }, idempotencyKey);
+
+    return { id: refund.id, status: REFUND_STATUSES[refund.status] || 'pending' };
+  }
+
+  // Payouts go to the organizer's connected account and settle straight away
+  async createPayout({ amount, currency, destination, metadata, idempotencyKey }) {
+    const transfer = await this.request('POST', '/transfers', {
+      amount,
+      currency: currency.toLowerCase(),
+      destination,
+      metadata
+    }, idempotencyKey);
+
+    return { id: transfer.id, status: 'paid' };
+  }
+
+  async submitDisputeEvidence({ disputeId, evidence }) {
+    const text = [evidence.text, ...evidence.files].filter(Boolean).join('\n\n');
+    const dispute = await this.request('POST', `/disputes/${disputeId}`, {
+      evidence: { uncategorized_text: text },
+      submit: true
+    });
+
+    return { status: DISPUTE_STATUSES[dispute.status] || 'under_review' };
+  }
+
+  // Accept the dispute: the disputed amount stays with the buyer
+  async closeDispute({ disputeId }) {
+    const dispute = await this.request('POST', `/disputes/${disputeId}/close`);
+    return { status: DISPUTE_STATUSES[dispute.status] || 'lost' };
+  }
+
+  // Check the Stripe-Signature header and turn the event into the provider-neutral shape.
+  // Returns null for a bad signature.
+  parseWebhook(rawBody, headers) {
+    if (!webhookSignature.verify(rawBody, headers['stripe-signature'], this.webhookSecret)) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody);
+    const object = event.data?.object || {};
+    let type = EVENT_TYPES[event.type] || event.type;
+    if (event.type === 'refund.updated' && REFUND_STATUSES[object.status]) {
+      type = `refund.${REFUND_STATUSES[object.status] === 'completed' ? 'succeeded' : 'failed'}`;
+    }
+
+    const parsed = {
+      id: event.id,
+      type,
+      objectId: object.id,
+      amount: object.amount_received ?? object.amount,
+      currency: object.currency ? object.currency.toUpperCase() : undefined,
+      metadata: object.metadata || {},
+      failureReason: object.last_payment_error?.message || object.failure_reason || object.cancellation_reason
+    };
+    if (type.startsWith('charge.')) {
+      parsed.paymentMethod = {
+        customerId: object.customer || undefined,
+        paymentMethodId: object.payment_method || undefined
+      };
+    }
+    if (type.startsWith('dispute.')) {
+      const dueBy = object.evidence_details?.due_by;
+      parsed.dispute = {
+        paymentId: object.payment_intent,
+        reason: object.reason,
+        status: DISPUTE_STATUSES[object.status],
+        evidenceDueBy: dueBy ? new Date(dueBy * 1000) : undefined
+      };
+    }
+    return parsed;
+  }
+}
+
+module.exports = StripeDriver;
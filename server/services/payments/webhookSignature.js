@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Webhooks are signed the way Stripe signs them: a header of the form "t=<unix time>,v1=<hex>"
+// where the hex is an HMAC-SHA256 of "<unix time>.<raw body>" using the endpoint secret.
+
+// How old a signed webhook can be before it is rejected as a replay
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const computeSignature = (payload, secret, timestamp) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+
+const sign = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+
+// True when the header carries a valid, recent signature for the payload
+const verify = (payload, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) => {
+  if (!payload || !header || !secret) return false;
+
+  const parts = String(header).split(',').map(part => part.split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1], 10);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!Number.isInteger(timestamp) || signatures.length === 0) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  return signatures.some(signature => {
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+};
+
+module.exports = { sign, verify };
@@ -0,0 +1,395 @@
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Analytics = require('../models/Analytics');
+const ticketService = require('./ticketService');
+const seatingService = require('./seatingService');
+const paymentService = require('./paymentService');
+const financeService = require('./financeService');
+const donationService = require('./donationService');
+const currencyService = require('./currencyService');
+
+// A refund left processing this long is taken to be interrupted and can be resumed
+const RESUME_AFTER = 5 * 60 * 1000;
+
+class RefundService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Build the refund lines and amount for a request against an order.
+  // No items and no amount means a full refund of everything still refundable.
+  buildRefund(order, { items, amount } = {}) {
+    if (!Order.PAID_STATUSES.includes(order.status) || order.status === 'refunded') {
+      throw this.createError(`Cannot refund an order that is ${order.status}`);
+    }
+
+    // Free orders have no amount to refund but their tickets can still be returned
+    const refundable = Math.max(order.totalAmount - (order.refundedAmount || 0), 0);
+    if (refundable <= 0 && order.activeTicketCount === 0) {
+      throw this.createError('Order has nothing left to refund');
+    }
+
+    if (Array.isArray(items) && items.length > 0) {
+      let lineAmount = 0;
+      const refundItems = items.map(({ ticketClassId, quantity }) => {
+        const line = order.items.find(item => item.ticketClassId === ticketClassId);
+        const qty = parseInt(quantity, 10);
+        if (!line) {
+          throw this.createError(`Ticket class ${ticketClassId} is not part of this order`);
+        }
+        if (!Number.isInteger(qty) || qty < 1 || qty > line.quantity - (line.refundedQuantity || 0)) {
+          throw this.createError(`Invalid refund quantity for ${line.ticketClassName}`);
+        }
+
+        // Refund what the buyer actually paid per ticket on this line, fees and tax included
+        lineAmount += Math.round(this.getLinePaid(line) / line.quantity * qty);
+        return { ticketClassId, ticketClassName: line.ticketClassName, quantity: qty };
+      });
+
+      const refundAmount = Math.min(lineAmount, refundable);
+      const isFull = refundAmount >= refundable &&
+        order.activeTicketCount === refundItems.reduce((sum, item) => sum + item.quantity, 0);
+      return { type: isFull ? 'full' : 'partial', items: refundItems, amount: refundAmount };
+    }
+
+    if (amount !== undefined && amount !== null) {
+      const refundAmount = parseInt(amount, 10);
+      if (!Number.isInteger(refundAmount) || refundAmount < 1 || refundAmount > refundable) {
+        throw this.createError(`Refund amount must be between 1 and ${refundable}`);
+      }
+      // Amount-only refunds keep every ticket valid
+      return { type: 'partial', items: [], amount: refundAmount };
+    }
+
+    if (order.activeTicketCount === 0) {
+      // Every ticket was already returned; refund what is left of the money
+      return { type: 'full', items: [], amount: refundable };
+    }
+
+    const remainingItems = order.items
+      .filter(item => item.quantity - (item.refundedQuantity || 0) > 0)
+      .map(item => ({
+        ticketClassId: item.ticketClassId,
+        ticketClassName: item.ticketClassName,
+        quantity: item.quantity - (item.refundedQuantity || 0)
+      }));
+    return { type: 'full', items: remainingItems, amount: refundable };
+  }
+
+  async requestRefund(order, { items, reason } = {}) {
+    const event = await Event.findById(order.eventId);
+    if (!event) {
+      throw this.createError('Event not found', 404);
+    }
+
+    if (!event.acceptsRefundRequests()) {
+      throw this.createError(event.refundPolicy?.type === 'no_refunds'
+        ? 'This event does not offer refunds'
+        : 'The refund window for this event has closed');
+    }
+
+    const existing = await Refund.findOne({ orderId: order._id, status: 'requested' });
+    if (existing) {
+      throw this.createError('A refund request for this order is already pending', 409);
+    }
+
+    const { type, items: refundItems, amount } = this.buildRefund(order, { items });
+
+    const refund = new Refund({
+      orderId: order._id,
+      eventId: order.eventId,
+      userId: order.userId,
+      organizerId: order.organizerId,
+      type,
+      items: refundItems,
+      amount,
+      currency: order.currency,
+      reason,
+      initiatedBy: 'attendee'
+    });
+
+    await refund.save();
+    return refund;
+  }
+
+  // Organizer-issued refund, processed immediately
+  async issueRefund(order, { items, amount, reason, reviewedBy } = {}) {
+    const { type, items: refundItems, amount: refundAmount } = this.buildRefund(order, { items, amount });
+
+    const refund = new Refund({
+      orderId: order._id,
+      eventId: order.eventId,
+      userId: order.userId,
+      organizerId: order.organizerId,
+      type,
+      items: refundItems,
+      amount: refundAmount,
+      currency: order.currency,
+      reason,
+      initiatedBy: 'organizer',
+      reviewedBy,
+      reviewedAt: new Date(),
+      status: 'processing',
+      progress: { startedAt: new Date() }
+    });
+
+    // Saved as processing, never as a request, so it cannot be approved a second time
+    await refund.save();
+    try {
+      return await this.processRefund(refund);
+    } catch (error) {
+      // Nothing has changed until the money is returned. After that the refund stays
+      // processing and is finished with resumeRefund.
+      if (!refund.progress?.moneyReturnedAt) {
+        await Refund.updateOne({ _id: refund._id, status: 'processing' }, { $set: { status: 'failed' } });
+      }
+      throw error;
+    }
+  }
+
+  // Claim the request before processing so two approvals (or an approval racing a decline)
+  // cannot refund it twice
+  async claimRequest(refund, $set) {
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'requested' },
+      { $set },
+      { new: true }
+    );
+    if (!claimed) {
+      const current = await Refund.findById(refund._id).select('status');
+      throw this.createError(`Refund request is already ${current?.status || 'gone'}`, 409);
+    }
+    return claimed;
+  }
+
+  async approveRefund(refund, { reviewedBy, organizerNote } = {}) {
+    const claimed = await this.claimRequest(refund, {
+      status: 'processing',
+      reviewedBy,
+      reviewedAt: new Date(),
+      organizerNote,
+      'progress.startedAt': new Date()
+    });
+
+    try {
+      return await this.processRefund(claimed);
+    } catch (error) {
+      // Until the money is returned nothing has changed, so the request goes back to the
+      // organizer's queue. After that it stays processing and is finished with resumeRefund.
+      if (!claimed.progress?.moneyReturnedAt) {
+        await Refund.updateOne({ _id: claimed._id, status: 'processing' }, { $set: { status: 'requested' } });
+      }
+      throw error;
+    }
+  }
+
+  // Finish a refund an earlier attempt left processing, e.g. after a database error or a
+  // restart. Steps already taken are skipped, and the provider refund is idempotent.
+  async resumeRefund(refund) {
+    const now = new Date();
+    const claimed = await Refund.findOneAndUpdate(
+      {
+        _id: refund._id,
+        status: 'processing',
+        'progress.startedAt': { $lt: new Date(now.getTime() - RESUME_AFTER) }
+      },
+      { $set: { 'progress.startedAt': now } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw this.createError(refund.status === 'processing'
+        ? 'This refund is still being processed, please try again in a few minutes'
+        : `Refund is already ${refund.status}`, 409);
+    }
+    return this.processRefund(claimed);
+  }
+
+  async declineRefund(refund, { reviewedBy, organizerNote } = {}) {
+    return this.claimRequest(refund, {
+      status: 'declined',
+      reviewedBy,
+      reviewedAt: new Date(),
+      organizerNote
+    });
+  }
+
+  // Each step is recorded on the refund once taken, so an interrupted refund can be resumed
+  // without repeating what it already did
+  async processRefund(refund) {
+    if (!refund.progress?.moneyReturnedAt) {
+      const order = await Order.findById(refund.orderId);
+      if (!order) {
+        throw this.createError('Order not found', 404);
+      }
+
+      // Re-validate against the current order, which may have changed since the request
+      const { type, items, amount } = this.buildRefund(order, {
+        items: refund.items.length > 0 ? refund.items : undefined,
+        amount: refund.items.length > 0 ? undefined : refund.amount
+      });
+      refund.type = type;
+      refund.items = items;
+      refund.amount = amount;
+
+      // Money goes back first: if the provider refuses, nothing has changed yet
+      const payment = await paymentService.refundPayment(order, refund);
+      if (payment) refund.payment = payment;
+      refund.set('progress.moneyReturnedAt', new Date());
+      await refund.save();
+    }
+
+    let order;
+    if (!refund.progress.orderUpdatedAt) {
+      order = await this.applyToOrder(refund.orderId, refund.items, refund.amount);
+      refund.set('progress.orderUpdatedAt', new Date());
+      await refund.save();
+    } else {
+      order = await Order.findById(refund.orderId);
+    }
+
+    // Pledge charges are donations only and never held tickets
+    if (refund.items.length > 0 && !order.pledgeId && !refund.progress.ticketsReturnedAt) {
+      // The attendees are picked once, so a resumed refund returns the same tickets
+      if (refund.progress.attendeeIds.length === 0) {
+        refund.set('progress.attendeeIds', await this.findAttendeesToRefund(order, refund.items));
+        await refund.save();
+      }
+      const attendeeIds = refund.progress.attendeeIds;
+      await Event.refundTickets(order.eventId, refund.items, attendeeIds);
+      await ticketService.voidTickets(attendeeIds);
+      await seatingService.releaseAttendeeSeats(attendeeIds);
+      await ticketService.voidAddOns(order._id, refund.items.filter(refunded =>
+        order.items.some(line => line.ticketClassId === refunded.ticketClassId && line.isAddOn)
+      ));
+      refund.set('progress.ticketsReturnedAt', new Date());
+      await refund.save();
+    }
+
+    // Both are safe to repeat: the ledger records a refund once
+    await financeService.recordRefund(order, refund);
+    if (order.status === 'refunded') {
+      await donationService.cancelOrderPledges(order);
+    }
+
+    const processed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'processing' },
+      { $set: { status: 'processed', processedAt: new Date() } },
+      { new: true }
+    );
+    if (!processed) return Refund.findById(refund._id);
+
+    await this.trackRefund(order, processed);
+    return processed;
+  }
+
+  // Record a refund on its order. The money has already gone back to the buyer, so an
+  // update that conflicts with another request is retried against the current order.
+  async applyToOrder(orderId, items, amount, attempts = 3) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const order = await Order.findById(orderId);
+      const updatedItems = order.items.map(item => {
+        const line = item.toObject();
+        const refunded = items.find(r => r.ticketClassId === item.ticketClassId);
+        if (refunded) {
+          line.refundedQuantity = (line.refundedQuantity || 0) + refunded.quantity;
+        }
+        return line;
+      });
+      this.allocateRefundAmount(updatedItems, items, amount);
+
+      const refundedAmount = (order.refundedAmount || 0) + amount;
+      const fullyRefunded = refundedAmount >= order.totalAmount &&
+        updatedItems.every(item => item.refundedQuantity >= item.quantity);
+
+      // Optimistic update: fails if another refund changed the order in the meantime
+      const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, refundedAmount: order.refundedAmount || 0, status: order.status },
+        {
+          $set: {
+            items: updatedItems,
+            refundedAmount,
+            status: fullyRefunded ? 'refunded' : 'partially_refunded',
+            refundedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+      if (updatedOrder) return updatedOrder;
+    }
+    throw new Error(`Order ${orderId} kept changing while a refund was recorded on it`);
+  }
+
+  getLinePaid(line) {
+    return line.total + (line.buyerFee || 0) + (line.tax || 0);
+  }
+
+  // Spread the refunded amount over order lines so revenue by ticket class stays accurate
+  allocateRefundAmount(lines, refundItems, amount) {
+    let remaining = amount;
+
+    refundItems.forEach(refunded => {
+      const line = lines.find(l => l.ticketClassId === refunded.ticketClassId);
+      const share = Math.min(Math.round(this.getLinePaid(line) / line.quantity * refunded.quantity), remaining);
+      line.refundedAmount = (line.refundedAmount || 0) + share;
+      remaining -= share;
+    });
+
+    // Amount-only refunds (and rounding leftovers) go to lines with net revenue left
+    lines.forEach(line => {
+      if (remaining <= 0) return;
+      const available = this.getLinePaid(line) - (line.refundedAmount || 0);
+      const share = Math.min(available, remaining);
+      line.refundedAmount = (line.refundedAmount || 0) + share;
+      remaining -= share;
+    });
+  }
+
+  // Pick the attendee entries of this order that are still active for each refunded class
+  async findAttendeesToRefund(order, items) {
+    const event = await Event.findById(order.eventId).select('attendees');
+    if (!event) return [];
+
+    const attendeeIds = [];
+    items.forEach(({ ticketClassId, quantity }) => {
+      event.attendees
+        .filter(attendee =>
+          attendee.orderId && attendee.orderId.equals(order._id) &&
+          attendee.ticketClassId === ticketClassId &&
+          attendee.paymentStatus !== 'refunded'
+        )
+        .slice(0, quantity)
+        .forEach(attendee => attendeeIds.push(attendee._id));
+    });
+    return attendeeIds;
+  }
+
+  async trackRefund(order, refund) {
+    try {
+      const analytics = new Analytics({
+        eventId: order.eventId,
+        userId: order.userId,
+        sessionId: refund.refundId,
+        action: 'refund_ticket',
+        metadata: {
+          amount: currencyService.toMajorUnits(refund.amount, refund.currency),
+          currency: refund.currency,
+          additionalData: {
+            orderId: order.orderId,
+            refundId: refund.refundId,
+            type: refund.type,
+            quantity: refund.items.reduce((sum, item) => sum + item.quantity, 0)
+          }
+        }
+      });
+      await analytics.save();
+    } catch (error) {
+      // Analytics must never fail a processed refund
+      console.error('Error tracking refund:', error);
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,231 @@
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+
+const QUESTION_TYPES = ['text', 'select', 'checkbox', 'file'];
+
+const MAX_TEXT_LENGTH = 2000;
+
+class RegistrationService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Questions asked of an attendee holding the given ticket class, in display order
+  getQuestions(event, ticketClassId) {
+    return (event.registrationQuestions || [])
+      .filter(question => !question.ticketClassIds?.length || question.ticketClassIds.includes(ticketClassId))
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+  }
+
+  // Validate a question definition sent by the organizer
+  normalizeQuestion(data = {}, event) {
+    const label = typeof data.label === 'string' ? data.label.trim() : '';
+    if (!label) {
+      throw this.createError('Question label is required');
+    }
+    if (!QUESTION_TYPES.includes(data.type)) {
+      throw this.createError(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    const options = Array.isArray(data.options)
+      ? [...new Set(data.options.map(option => String(option).trim()).filter(Boolean))]
+      : [];
+    if (data.type === 'select' && options.length < 2) {
+      throw this.createError('Select questions need at least two options');
+    }
+
+    const ticketClassIds = Array.isArray(data.ticketClassIds) ? data.ticketClassIds.map(String) : [];
+    const unknown = ticketClassIds.filter(id => !event.getTicketClass(id));
+    if (unknown.length > 0) {
+      throw this.createError(`Ticket class not found: ${unknown.join(', ')}`);
+    }
+
+    return {
+      label,
+      type: data.type,
+      options: ['select', 'checkbox'].includes(data.type) ? options : [],
+      required: Boolean(data.required),
+      ticketClassIds,
+      order: Number.isFinite(Number(data.order)) ? Number(data.order) : 0
+    };
+  }
+
+  isBlank(value) {
+    return value === undefined || value === null || value === '' || value === false ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  // Check an answer against its question; returns the value to store, or undefined if unanswered
+  normalizeAnswer(question, value) {
+    if (this.isBlank(value)) return undefined;
+
+    switch (question.type) {
+      case 'text': {
+        const text = String(value).trim();
+        if (text.length > MAX_TEXT_LENGTH) {
+          throw this.createError(`${question.label} must be ${MAX_TEXT_LENGTH} characters or fewer`);
+        }
+        return text || undefined;
+      }
+      case 'select': {
+        const choice = String(value);
+        if (!question.options.includes(choice)) {
+          throw this.createError(`${question.label} must be one of: ${question.options.join(', ')}`);
+        }
+        return choice;
+      }
+      case 'checkbox': {
+        // A single checkbox is a yes/no; with options it is a multiple choice
+        if (!question.options?.length) {
+          return value === true || value === 'true' ? true : undefined;
+        }
+        const choices = (Array.isArray(value) ? value : [value]).map(String);
+        const invalid = choices.filter(choice => !question.options.includes(choice));
+        if (invalid.length > 0) {
+          throw this.createError(`${question.label} has invalid choices: ${invalid.join(', ')}`);
+        }
+        return [...new Set(choices)];
+      }
+      case 'file': {
+        // Files are uploaded separately; the answer refers to the uploaded file
+        const file = typeof value === 'string' ? { url: value } : value;
+        if (!file || typeof file.url !== 'string' || !/^https?:\/\//i.test(file.url)) {
+          throw this.createError(`${question.label} must be an uploaded file`);
+        }
+        return {
+          url: file.url,
+          name: file.name ? String(file.name) : undefined,
+          mimeType: file.mimeType ? String(file.mimeType) : undefined,
+          size: Number.isFinite(Number(file.size)) ? Number(file.size) : undefined
+        };
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  // Build the registration form for each admission ticket in an order. Forms are matched to
+  // tickets by ticket class, in order. Required questions must be answered on every form
+  // unless requireAnswers is off (e.g. staff selling at the door).
+  buildAttendees(event, orderItems, attendees = [], { requireAnswers = true } = {}) {
+    if (!Array.isArray(attendees)) {
+      throw this.createError('Attendees must be a list');
+    }
+
+    const forms = [];
+    for (const item of orderItems.filter(orderItem => !orderItem.isAddOn)) {
+      const submitted = attendees.filter(attendee => attendee?.ticketClassId === item.ticketClassId);
+      if (submitted.length > item.quantity) {
+        throw this.createError(`More attendees than ${item.ticketClassName} tickets in the order`);
+      }
+
+      const questions = this.getQuestions(event, item.ticketClassId);
+      for (let i = 0; i < item.quantity; i++) {
+        const attendee = submitted[i] || {};
+        const given = attendee.answers || {};
+        const answers = [];
+
+        for (const question of questions) {
+          const value = this.normalizeAnswer(question, given[question.id]);
+          if (value === undefined) {
+            if (question.required && requireAnswers) {
+              throw this.createError(`${question.label} is required for each ${item.ticketClassName} attendee`);
+            }
+            continue;
+          }
+          answers.push({ questionId: question.id, label: question.label, type: question.type, value });
+        }
+
+        forms.push({
+          ticketClassId: item.ticketClassId,
+          name: attendee.name ? String(attendee.name).trim() : undefined,
+          email: attendee.email ? String(attendee.email).trim().toLowerCase() : undefined,
+          answers
+        });
+      }
+    }
+
+    const known = new Set(orderItems.map(item => item.ticketClassId));
+    const unknown = attendees.find(attendee => !known.has(attendee?.ticketClassId));
+    if (unknown) {
+      throw this.createError('Each attendee must hold a ticket class in the order');
+    }
+
+    return forms;
+  }
+
+  // How an answer reads in an export cell
+  formatAnswer(answer) {
+    if (!answer) return '';
+    if (Array.isArray(answer.value)) return answer.value.join('; ');
+    if (typeof answer.value === 'boolean') return answer.value ? 'Yes' : 'No';
+    if (answer.value && typeof answer.value === 'object') return answer.value.url || '';
+    return String(answer.value);
+  }
+
+  // One row per attendee with a column per question. Questions that were removed but still
+  // have answers keep their column, under the label they were asked with.
+  async getAttendeeExport(event) {
+    const attendees = event.attendees || [];
+    const orderIds = [...new Set(attendees.map(attendee => attendee.orderId?.toString()).filter(Boolean))];
+    const userIds = [...new Set(attendees.map(attendee => attendee.user?.toString()).filter(Boolean))];
+
+    const [orders, users, tickets] = await Promise.all([
+      Order.find({ _id: { $in: orderIds } }).select('orderId buyer'),
+      User.find({ _id: { $in: userIds } }).select('firstName lastName email'),
+      Ticket.find({ eventId: event._id, kind: { $ne: 'addon' } }).select('ticketId attendeeId status checkedInAt')
+    ]);
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const ticketsByAttendee = new Map(tickets.map(ticket => [ticket.attendeeId?.toString(), ticket]));
+
+    const columns = (event.registrationQuestions || [])
+      .slice()
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map(question => ({ id: question.id, label: question.label }));
+    attendees.forEach(attendee => (attendee.answers || []).forEach(answer => {
+      if (!columns.some(column => column.id === answer.questionId)) {
+        columns.push({ id: answer.questionId, label: answer.label });
+      }
+    }));
+
+    const headers = ['Name', 'Email', 'Ticket Type', 'Order', 'Registered', 'Payment Status', 'Ticket ID', 'Checked In',
+      ...columns.map(column => column.label)];
+
+    const rows = attendees.map(attendee => {
+      const order = ordersById.get(attendee.orderId?.toString());
+      const user = usersById.get(attendee.user?.toString());
+      const ticket = ticketsByAttendee.get(attendee._id.toString());
+      const answers = new Map((attendee.answers || []).map(answer => [answer.questionId, answer]));
+
+      return [
+        attendee.name || order?.buyer?.name || (user ? `${user.firstName} ${user.lastName}` : ''),
+        attendee.email || order?.buyer?.email || user?.email || '',
+        attendee.ticketType || '',
+        order?.orderId || '',
+        attendee.registrationDate ? new Date(attendee.registrationDate).toISOString() : '',
+        attendee.paymentStatus || '',
+        ticket?.ticketId || '',
+        ticket?.checkedInAt ? new Date(ticket.checkedInAt).toISOString() : '',
+        ...columns.map(column => this.formatAnswer(answers.get(column.id)))
+      ];
+    });
+
+    return { headers, rows };
+  }
+
+  // Answers starting like a formula are prefixed with ' so spreadsheets show them as text
+  toCsv({ headers, rows }) {
+    const cell = (value) => {
+      let text = String(value ?? '');
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return `"${text.replace(/"/g, '""')}"`;
+    };
+    return [headers, ...rows].map(row => row.map(cell).join(',')).join('\n');
+  }
+}
+
+module.exports = new RegistrationService();
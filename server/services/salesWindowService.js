@@ -0,0 +1,90 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+class SalesWindowService {
+  // Ticket classes whose stored sales state no longer matches their sales dates
+  getStaleClassQuery(now) {
+    const startPassed = { $or: [{ 'sales.start': null }, { 'sales.start': { $lte: now } }] };
+    const endPending = { $or: [{ 'sales.end': null }, { 'sales.end': { $gte: now } }] };
+
+    return {
+      $or: [
+        { 'sales.start': { $gt: now }, 'sales.state': { $ne: 'upcoming' } },
+        { 'sales.end': { $lt: now }, 'sales.state': { $ne: 'ended' } },
+        { $and: [startPassed, endPending, { 'sales.state': { $ne: 'on_sale' } }] }
+      ]
+    };
+  }
+
+  // Move each ticket class to the sales state its dates call for. Returns the classes whose
+  // window opened or closed; a class seen for the first time is recorded without a change.
+  async updateEventStates(event, now = new Date()) {
+    const changes = { opened: [], closed: [] };
+
+    for (const ticketClass of event.pricing?.ticketClasses || []) {
+      const previous = ticketClass.sales?.state || null;
+      const state = event.getSalesWindowState(ticketClass, now);
+      if (state === previous) continue;
+
+      // Conditional on the previous state so concurrent runs report each change once
+      const result = await Event.updateOne(
+        { _id: event._id },
+        {
+          $set: {
+            'pricing.ticketClasses.$[tc].sales.state': state,
+            'pricing.ticketClasses.$[tc].sales.stateChangedAt': now
+          }
+        },
+        { arrayFilters: [{ 'tc.id': ticketClass.id, 'tc.sales.state': previous }] }
+      );
+      if (result.modifiedCount === 0 || !previous) continue;
+
+      if (state === 'on_sale') changes.opened.push(ticketClass.name);
+      if (state === 'ended') changes.closed.push(ticketClass.name);
+    }
+
+    return changes;
+  }
+
+  async notifyOrganizer(event, changes) {
+    try {
+      const organizer = await User.findById(event.organizer).select('firstName email');
+      if (!organizer?.email) return;
+
+      await emailService.sendSalesWindowEmail({
+        email: organizer.email,
+        userName: organizer.firstName || 'there',
+        eventName: event.title,
+        opened: changes.opened,
+        closed: changes.closed,
+        dashboardLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}`
+      });
+    } catch (error) {
+      // The new sales state stands even if the email could not be delivered
+      console.error('Error notifying organizer of sales window change:', error);
+    }
+  }
+
+  // Flip ticket classes whose sales window opened or closed and tell their organizers;
+  // returns the number of ticket classes that opened or closed
+  async processSalesWindows(now = new Date()) {
+    const events = await Event.find({
+      status: 'published',
+      'pricing.ticketClasses': { $elemMatch: this.getStaleClassQuery(now) }
+    }).select('title organizer pricing.ticketClasses');
+
+    let changed = 0;
+    for (const event of events) {
+      const changes = await this.updateEventStates(event, now);
+      const count = changes.opened.length + changes.closed.length;
+      if (count > 0) {
+        changed += count;
+        await this.notifyOrganizer(event, changes);
+      }
+    }
+    return changed;
+  }
+}
+
+module.exports = new SalesWindowService();
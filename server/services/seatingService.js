@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Seat = require('../models/Seat');
+
+// Most seats a single row can be laid out with
+const MAX_SEATS_PER_ROW = 500;
+
+class SeatingService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  seatKey(seat) {
+    return `${seat.section}\u0000${seat.row}\u0000${seat.number}`;
+  }
+
+  // Flatten a chart of sections and rows into seats. A row lists its seats, or gives a seat
+  // count to number them 1..n. Ticket classes can be set on the section, row or seat.
+  buildSeats(event, sections) {
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw this.createError('A seating chart needs at least one section');
+    }
+
+    const seats = [];
+    const keys = new Set();
+    sections.forEach(section => {
+      const sectionName = String(section?.name || '').trim();
+      if (!sectionName) {
+        throw this.createError('Each section needs a name');
+      }
+      if (!Array.isArray(section.rows) || section.rows.length === 0) {
+        throw this.createError(`Section ${sectionName} needs at least one row`);
+      }
+
+      section.rows.forEach(row => {
+        const rowLabel = String(row?.label || '').trim();
+        if (!rowLabel) {
+          throw this.createError(`Each row in section ${sectionName} needs a label`);
+        }
+
+        let rowSeats = row.seats;
+        if (Number.isInteger(rowSeats)) {
+          if (rowSeats < 1 || rowSeats > MAX_SEATS_PER_ROW) {
+            throw this.createError(`Row ${rowLabel} in section ${sectionName} must have 1 to ${MAX_SEATS_PER_ROW} seats`);
+          }
+          rowSeats = Array.from({ length: rowSeats }, (_, i) => ({ number: String(i + 1) }));
+        }
+        if (!Array.isArray(rowSeats) || rowSeats.length === 0 || rowSeats.length > MAX_SEATS_PER_ROW) {
+          throw this.createError(`Row ${rowLabel} in section ${sectionName} must have 1 to ${MAX_SEATS_PER_ROW} seats`);
+        }
+
+        rowSeats.forEach(seat => {
+          const number = String(seat?.number ?? '').trim();
+          const ticketClassId = seat.ticketClassId || row.ticketClassId || section.ticketClassId;
+          if (!number) {
+            throw this.createError(`Each seat in row ${rowLabel} of section ${sectionName} needs a number`);
+          }
+
+          const ticketClass = event.getTicketClass(ticketClassId);
+          if (!ticketClass) {
+            throw this.createError(`Seat ${number} in row ${rowLabel} of section ${sectionName} needs a ticket class`);
+          }
+          if (event.isAddOn(ticketClass)) {
+            throw this.createError(`${ticketClass.name} is an add-on and cannot be seated`);
+          }
+
+          const built = {
+            section: sectionName,
+            row: rowLabel,
+            number,
+            ticketClassId,
+            accessible: Boolean(seat.accessible),
+            sortOrder: seats.length
+          };
+          const key = this.seatKey(built);
+          if (keys.has(key)) {
+            throw this.createError(`Seat ${number} appears twice in row ${rowLabel} of section ${sectionName}`);
+          }
+          keys.add(key);
+          seats.push(built);
+        });
+      });
+    });
+
+    return seats;
+  }
+
+  // Replace an event's seating chart. Seats that are held or sold must stay in the chart
+  // with their ticket class; everything else is rebuilt.
+  async saveSeatMap(event, sections) {
+    if (event.location?.type !== 'venue') {
+      throw this.createError('Seating charts are only available for venue events');
+    }
+
+    const seats = this.buildSeats(event, sections);
+    const wanted = new Map(seats.map(seat => [this.seatKey(seat), seat]));
+    const existing = await Seat.find({ eventId: event._id });
+
+    for (const seat of existing.filter(s => ['held', 'sold'].includes(s.status))) {
+      const replacement = wanted.get(this.seatKey(seat));
+      if (!replacement) {
+        throw this.createError(`${seat.label} is ${seat.status} and cannot be removed`, 409);
+      }
+      if (replacement.ticketClassId !== seat.ticketClassId) {
+        throw this.createError(`${seat.label} is ${seat.status} and cannot change ticket class`, 409);
+      }
+    }
+
+    const existingKeys = new Set(existing.map(seat => this.seatKey(seat)));
+    const removed = existing.filter(seat => !wanted.has(this.seatKey(seat)));
+
+    const operations = [
+      ...removed.map(seat => ({
+        // Only if the seat is still free, in case it was held since it was read
+        deleteOne: { filter: { _id: seat._id, status: { $in: ['available', 'blocked'] } } }
+      })),
+      ...seats.filter(seat => existingKeys.has(this.seatKey(seat))).map(seat => ({
+        updateOne: {
+          filter: { eventId: event._id, section: seat.section, row: seat.row, number: seat.number },
+          update: { $set: { ticketClassId: seat.ticketClassId, accessible: seat.accessible, sortOrder: seat.sortOrder } }
+        }
+      })),
+      ...seats.filter(seat => !existingKeys.has(this.seatKey(seat))).map(seat => ({
+        insertOne: { document: { ...seat, eventId: event._id } }
+      }))
+    ];
+    if (operations.length > 0) {
+      await Seat.bulkWrite(operations, { ordered: false });
+    }
+
+    await this.syncTicketClasses(event);
+    return this.getSeatMap(event, { staff: true });
+  }
+
+  // Give another event the same chart, such as a new occurrence of a series. Blocked seats
+  // stay blocked; holds and sales are not copied.
+  async copySeatMap(fromEvent, toEvent) {
+    const seats = await Seat.find({ eventId: fromEvent._id }).sort({ sortOrder: 1 }).lean();
+    if (seats.length === 0) return null;
+
+    await Seat.insertMany(seats.map(seat => ({
+      eventId: toEvent._id,
+      section: seat.section,
+      row: seat.row,
+      number: seat.number,
+      ticketClassId: seat.ticketClassId,
+      accessible: seat.accessible,
+      sortOrder: seat.sortOrder,
+      ...(seat.status === 'blocked'
+        ? { status: 'blocked', blockedReason: seat.blockedReason, blockedBy: seat.blockedBy, blockedAt: seat.blockedAt }
+        : { status: 'available' })
+    })));
+    return this.syncTicketClasses(toEvent);
+  }
+
+  // Seated ticket classes sell exactly the seats mapped to them, less any that are blocked.
+  // Classes that lost all their seats go back to general admission with their current quantity.
+  async syncTicketClasses(event) {
+    const counts = await Seat.aggregate([
+      { $match: { eventId: event._id } },
+      {
+        $group: {
+          _id: '$ticketClassId',
+          sellable: { $sum: { $cond: [{ $eq: ['$status', 'blocked'] }, 0, 1] } }
+        }
+      }
+    ]);
+    const sellable = new Map(counts.map(count => [count._id, count.sellable]));
+
+    const $set = {};
+    const arrayFilters = [];
+    (event.pricing?.ticketClasses || []).forEach((ticketClass, i) => {
+      const filter = `tc${i}`;
+      if (sellable.has(ticketClass.id)) {
+        $set[`pricing.ticketClasses.$[${filter}].reservedSeating`] = true;
+        $set[`pricing.ticketClasses.$[${filter}].quantity.total`] = sellable.get(ticketClass.id);
+      } else if (ticketClass.reservedSeating) {
+        $set[`pricing.ticketClasses.$[${filter}].reservedSeating`] = false;
+      } else {
+        return;
+      }
+      arrayFilters.push({ [`${filter}.id`]: ticketClass.id });
+    });
+
+    if (arrayFilters.length > 0) {
+      await Event.updateOne({ _id: event._id }, { $set }, { arrayFilters });
+    }
+    return Event.syncInventoryInfo(event._id);
+  }
+
+  // The chart grouped into sections and rows. Buyers only see whether a seat can be picked;
+  // staff see why it cannot.
+  async getSeatMap(event, { staff = false } = {}) {
+    const seats = await Seat.find({ eventId: event._id }).sort({ sortOrder: 1 });
+    const classNames = new Map((event.pricing?.ticketClasses || []).map(tc => [tc.id, tc.name]));
+
+    const sections = [];
+    seats.forEach(seat => {
+      let section = sections.find(s => s.name === seat.section);
+      if (!section) {
+        section = { name: seat.section, rows: [] };
+        sections.push(section);
+      }
+      let row = section.rows.find(r => r.label === seat.row);
+      if (!row) {
+        row = { label: seat.row, seats: [] };
+        section.rows.push(row);
+      }
+
+      row.seats.push({
+        id: seat._id,
+        number: seat.number,
+        label: seat.label,
+        ticketClassId: seat.ticketClassId,
+        ticketClassName: classNames.get(seat.ticketClassId),
+        accessible: seat.accessible,
+        status: staff || seat.status === 'available' ? seat.status : 'unavailable',
+        ...(staff ? { orderId: seat.orderId, blockedReason: seat.blockedReason } : {})
+      });
+    });
+
+    const summary = { available: 0, held: 0, sold: 0, blocked: 0 };
+    seats.forEach(seat => { summary[seat.status]++; });
+
+    return {
+      sections,
+      total: seats.length,
+      available: summary.available,
+      ...(staff ? { summary } : {})
+    };
+  }
+
+  // Seats picked for one ticket class in an order, checked against the chart
+  async validateSeats(event, ticketClass, seatIds) {
+    if (!Array.isArray(seatIds) || seatIds.length === 0) {
+      throw this.createError(`Choose seats for ${ticketClass.name}`);
+    }
+    if (new Set(seatIds).size !== seatIds.length) {
+      throw this.createError('The same seat was chosen more than once');
+    }
+    if (!seatIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw this.createError('Seat not found', 404);
+    }
+
+    const seats = await Seat.find({ _id: { $in: seatIds }, eventId: event._id });
+    if (seats.length !== seatIds.length) {
+      throw this.createError('Seat not found', 404);
+    }
+
+    const wrongClass = seats.find(seat => seat.ticketClassId !== ticketClass.id);
+    if (wrongClass) {
+      throw this.createError(`${wrongClass.label} is not a ${ticketClass.name} seat`);
+    }
+    const taken = seats.find(seat => seat.status !== 'available');
+    if (taken) {
+      throw this.createError(`${taken.label} is not available`, 409);
+    }
+
+    // Keep the buyer's order so tickets line up with the seats they picked
+    return seatIds.map(id => seats.find(seat => seat._id.toString() === id));
+  }
+
+  // Hold every seat in the order or none of them
+  async holdSeats(orderId, orderItems) {
+    const seatIds = orderItems.flatMap(item => (item.seats || []).map(seat => seat.seatId));
+    if (seatIds.length === 0) return true;
+
+    const result = await Seat.updateMany(
+      { _id: { $in: seatIds }, status: 'available' },
+      { $set: { status: 'held', orderId } }
+    );
+    if (result.modifiedCount === seatIds.length) return true;
+
+    await this.releaseSeats(orderId);
+    return false;
+  }
+
+  // Free the seats an open order was holding
+  async releaseSeats(orderId) {
+    return Seat.updateMany(
+      { orderId, status: 'held' },
+      { $set: { status: 'available' }, $unset: { orderId: 1 } }
+    );
+  }
+
+  // Mark held seats sold to the attendees they were assigned to
+  async sellSeats(orderId, attendees) {
+    const operations = attendees.filter(attendee => attendee.seatId).map(attendee => ({
+      updateOne: {
+        filter: { _id: attendee.seatId, orderId, status: 'held' },
+        update: { $set: { status: 'sold', attendeeId: attendee._id } }
+      }
+    }));
+    if (operations.length === 0) return null;
+    return Seat.bulkWrite(operations);
+  }
+
+  // Put refunded attendees' seats back on sale
+  async releaseAttendeeSeats(attendeeIds) {
+    if (!attendeeIds || attendeeIds.length === 0) return null;
+    return Seat.updateMany(
+      { attendeeId: { $in: attendeeIds }, status: 'sold' },
+      { $set: { status: 'available' }, $unset: { orderId: 1, attendeeId: 1 } }
+    );
+  }
+
+  assertSeatIds(seatIds) {
+    if (!Array.isArray(seatIds) || seatIds.length === 0) {
+      throw this.createError('seatIds are required');
+    }
+    if (!seatIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw this.createError('Seat not found', 404);
+    }
+  }
+
+  // Take available seats off sale, e.g. for the sound desk or obstructed views
+  async blockSeats(event, seatIds, { reason, blockedBy } = {}) {
+    this.assertSeatIds(seatIds);
+
+    const result = await Seat.updateMany(
+      { _id: { $in: seatIds }, eventId: event._id, status: 'available' },
+      { $set: { status: 'blocked', blockedReason: reason, blockedBy, blockedAt: new Date() } }
+    );
+    await this.syncTicketClasses(event);
+    return result.modifiedCount;
+  }
+
+  async unblockSeats(event, seatIds) {
+    this.assertSeatIds(seatIds);
+
+    const result = await Seat.updateMany(
+      { _id: { $in: seatIds }, eventId: event._id, status: 'blocked' },
+      { $set: { status: 'available' }, $unset: { blockedReason: 1, blockedBy: 1, blockedAt: 1 } }
+    );
+    await this.syncTicketClasses(event);
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SeatingService();
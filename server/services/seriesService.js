@@ -0,0 +1,428 @@
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Seat = require('../models/Seat');
+const seatingService = require('./seatingService');
+
+// Most occurrences one series can generate
+const MAX_OCCURRENCES = parseInt(process.env.SERIES_MAX_OCCURRENCES, 10) || 200;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'custom'];
+const EDIT_SCOPES = ['this', 'following', 'all'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Ticket setup is managed event by event, since each occurrence keeps its own sold and
+// reserved counts. A series edit that changes it is rejected rather than partly applied.
+const TICKET_SETUP_FIELDS = ['pricing', 'inventoryTiers', 'ticketGroups', 'registrationQuestions', 'capacity'];
+
+// Fields that belong to each occurrence and are never copied by a series edit
+const OCCURRENCE_FIELDS = [
+  '_id', '__v', 'organizer', 'series', 'attendees', 'likes', 'views', 'shares', 'inventoryInfo',
+  ...TICKET_SETUP_FIELDS, 'createdAt', 'updatedAt'
+];
+
+// Occurrences keep the template's local start time in the event's timezone, across daylight
+// saving changes. Wall times are handled as Dates whose UTC fields hold the local time.
+const toWallTime = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second,
+    date.getUTCMilliseconds()));
+};
+
+const fromWallTime = (wall, timeZone) => {
+  const guess = new Date(wall.getTime() - (toWallTime(wall, timeZone) - wall));
+  return new Date(wall.getTime() - (toWallTime(guess, timeZone) - guess));
+};
+
+const addDays = (wall, days) => new Date(wall.getTime() + days * DAY);
+
+const shiftDate = (date, shift) => (date ? new Date(new Date(date).getTime() + shift) : date);
+
+// Agenda schedules are dated; an occurrence's agenda falls on its own dates
+const shiftAgenda = (agenda, shift) => agenda && {
+  ...agenda,
+  schedules: (agenda.schedules || []).map(schedule => ({ ...schedule, date: shiftDate(schedule.date, shift) }))
+};
+
+class SeriesService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  getSeriesId(event) {
+    if (event.isSeriesParent()) return event._id;
+    return event.series?.parentId || null;
+  }
+
+  normalizeRecurrence(event, input = {}) {
+    const timeZone = event.dateTime?.timezone || 'UTC';
+    const start = event.dateTime?.start;
+    if (!start) {
+      throw this.createError('Set the event date before making it a series');
+    }
+    try {
+      toWallTime(start, timeZone);
+    } catch (error) {
+      throw this.createError(`Invalid timezone ${timeZone}`);
+    }
+
+    if (!FREQUENCIES.includes(input.frequency)) {
+      throw this.createError(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (input.frequency === 'custom') {
+      const dates = (Array.isArray(input.dates) ? input.dates : []).map(date => new Date(date));
+      if (dates.some(date => isNaN(date))) {
+        throw this.createError('Custom dates must be valid dates');
+      }
+      const unique = [...new Set(dates.map(date => date.getTime()))].sort((a, b) => a - b);
+      if (unique.length === 0 || unique.length > MAX_OCCURRENCES) {
+        throw this.createError(`A custom series needs 1 to ${MAX_OCCURRENCES} dates`);
+      }
+      return { frequency: 'custom', dates: unique.map(time => new Date(time)) };
+    }
+
+    const interval = input.interval === undefined ? 1 : parseInt(input.interval, 10);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+      throw this.createError('interval must be between 1 and 99');
+    }
+
+    const rule = { frequency: input.frequency, interval };
+    if (input.count !== undefined && input.count !== null) {
+      rule.count = parseInt(input.count, 10);
+      if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+        throw this.createError(`count must be between 1 and ${MAX_OCCURRENCES}`);
+      }
+    }
+    if (input.until) {
+      rule.until = new Date(input.until);
+      if (isNaN(rule.until) || rule.until < start) {
+        throw this.createError('until must be a date after the first occurrence');
+      }
+    }
+    if (!rule.count && !rule.until) {
+      throw this.createError('A recurring series needs an end: set count or until');
+    }
+
+    if (rule.frequency === 'weekly') {
+      const days = input.daysOfWeek === undefined
+        ? [toWallTime(start, timeZone).getUTCDay()]
+        : (Array.isArray(input.daysOfWeek) ? input.daysOfWeek : [input.daysOfWeek]).map(day => parseInt(day, 10));
+      if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw this.createError('daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)');
+      }
+      rule.daysOfWeek = [...new Set(days)].sort((a, b) => a - b);
+    }
+    if (rule.frequency === 'monthly') {
+      rule.monthlyBy = input.monthlyBy || 'dayOfMonth';
+      if (!['dayOfMonth', 'weekday'].includes(rule.monthlyBy)) {
+        throw this.createError('monthlyBy must be dayOfMonth or weekday');
+      }
+    }
+
+    return rule;
+  }
+
+  // Local start times the rule gives in one period (day, week or month) of the series
+  getPeriodStarts(anchor, rule, period) {
+    if (rule.frequency === 'daily') {
+      return [addDays(anchor, period * rule.interval)];
+    }
+
+    if (rule.frequency === 'weekly') {
+      const weekStart = addDays(anchor, period * rule.interval * 7 - anchor.getUTCDay());
+      return rule.daysOfWeek.map(day => addDays(weekStart, day));
+    }
+
+    const month = new Date(anchor);
+    month.setUTCDate(1);
+    month.setUTCMonth(anchor.getUTCMonth() + period * rule.interval);
+    const daysInMonth = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)).getUTCDate();
+
+    if (rule.monthlyBy === 'weekday') {
+      // The same weekday in the same week of the month; a fifth weekday becomes the last one
+      const week = Math.ceil(anchor.getUTCDate() / 7);
+      let day = 1 + ((anchor.getUTCDay() - month.getUTCDay() + 7) % 7) + (week - 1) * 7;
+      if (day > daysInMonth) day -= 7;
+      return [addDays(month, day - 1)];
+    }
+
+    // Months without the day, such as the 31st, are skipped
+    return anchor.getUTCDate() <= daysInMonth ? [addDays(month, anchor.getUTCDate() - 1)] : [];
+  }
+
+  getOccurrenceStarts(event, rule = event.series.recurrence) {
+    if (rule.frequency === 'custom') {
+      return [...rule.dates].map(date => new Date(date)).sort((a, b) => a - b);
+    }
+
+    const timeZone = event.dateTime.timezone || 'UTC';
+    const first = event.dateTime.start;
+    const anchor = toWallTime(first, timeZone);
+    const limit = rule.count || MAX_OCCURRENCES + 1;
+    const starts = [];
+
+    for (let period = 0; starts.length < limit; period++) {
+      const periodStarts = this.getPeriodStarts(anchor, rule, period)
+        .map(wall => fromWallTime(wall, timeZone))
+        .filter(start => start >= first);
+      if (rule.until && periodStarts.some(start => start > rule.until)) {
+        starts.push(...periodStarts.filter(start => start <= rule.until));
+        break;
+      }
+      starts.push(...periodStarts);
+    }
+
+    if (starts.length > MAX_OCCURRENCES) {
+      throw this.createError(`A series can have at most ${MAX_OCCURRENCES} occurrences; set an earlier until date`);
+    }
+    return starts.slice(0, limit);
+  }
+
+  // A new occurrence copies the parent's details, ticket classes, lineup and agenda, with
+  // every date moved to the occurrence's start and no tickets sold
+  buildOccurrence(parent, start) {
+    const shift = start.getTime() - parent.dateTime.start.getTime();
+    const data = parent.toObject({ depopulate: true });
+    ['_id', '__v', 'createdAt', 'updatedAt', 'attendees', 'likes', 'inventoryInfo'].forEach(key => {
+      delete data[key];
+    });
+
+    data.series = { parentId: parent._id, occurrenceStart: start };
+    data.dateTime = {
+      ...data.dateTime,
+      start,
+      end: shiftDate(data.dateTime.end, shift)
+    };
+    data.views = 0;
+    data.shares = 0;
+    data.created = new Date();
+    data.changed = new Date();
+
+    if (data.pricing?.ticketClasses) {
+      data.pricing.ticketClasses = data.pricing.ticketClasses.map(ticketClass => ({
+        ...ticketClass,
+        quantity: { ...ticketClass.quantity, sold: 0, reserved: 0 },
+        sales: {
+          ...ticketClass.sales,
+          start: shiftDate(ticketClass.sales?.start, shift),
+          end: shiftDate(ticketClass.sales?.end, shift),
+          state: undefined,
+          stateChangedAt: undefined
+        },
+        visibility: {
+          ...ticketClass.visibility,
+          autoHideBefore: shiftDate(ticketClass.visibility?.autoHideBefore, shift),
+          autoHideAfter: shiftDate(ticketClass.visibility?.autoHideAfter, shift)
+        }
+      }));
+    }
+    data.agenda = shiftAgenda(data.agenda, shift);
+
+    return data;
+  }
+
+  // Make an event a series, or change its rule. Occurrences the rule no longer gives are
+  // deleted unless they have orders; those are kept for the organizer to cancel.
+  async setRecurrence(event, input) {
+    if (event.isOccurrence()) {
+      throw this.createError('This event is an occurrence of a series; change the series instead');
+    }
+    if (!event.isSeriesParent() && await Order.exists({ eventId: event._id })) {
+      throw this.createError('An event with orders cannot become a series; copy it instead', 409);
+    }
+
+    const rule = this.normalizeRecurrence(event, input);
+    // Check the rule produces a valid series before saving it
+    this.getOccurrenceStarts(event, rule);
+
+    event.set('series.recurrence', rule);
+    await event.save();
+
+    return { parent: event, ...await this.syncOccurrences(event) };
+  }
+
+  async syncOccurrences(parent) {
+    const starts = this.getOccurrenceStarts(parent);
+    const wanted = new Set(starts.map(start => start.getTime()));
+    const existing = await Event.find({ 'series.parentId': parent._id });
+    const existingStarts = new Set(existing.map(occurrence => occurrence.series.occurrenceStart.getTime()));
+
+    const created = [];
+    for (const start of starts.filter(start => !existingStarts.has(start.getTime()))) {
+      const occurrence = new Event(this.buildOccurrence(parent, start));
+      try {
+        await occurrence.save();
+      } catch (error) {
+        // Created by an overlapping sync
+        if (error.code === 11000) continue;
+        throw error;
+      }
+      await seatingService.copySeatMap(parent, occurrence);
+      created.push(occurrence);
+    }
+
+    const removed = [];
+    const kept = [];
+    for (const occurrence of existing.filter(o => !wanted.has(o.series.occurrenceStart.getTime()))) {
+      if (await Order.exists({ eventId: occurrence._id })) {
+        kept.push(occurrence);
+        continue;
+      }
+      await Seat.deleteMany({ eventId: occurrence._id });
+      await Event.deleteOne({ _id: occurrence._id });
+      removed.push(occurrence);
+    }
+
+    return { created, removed, kept };
+  }
+
+  // Buyers only see occurrences that are open or past; organizers see them all
+  async getOccurrences(event, { staff = false, upcoming = false } = {}) {
+    const seriesId = this.getSeriesId(event);
+    if (!seriesId) {
+      throw this.createError('This event is not part of a series');
+    }
+
+    const query = { 'series.parentId': seriesId };
+    if (!staff) query.status = { $nin: ['draft', 'canceled'] };
+    if (upcoming) query['dateTime.end'] = { $gte: new Date() };
+
+    return Event.find(query)
+      .select('title dateTime status series.parentId series.occurrenceStart inventoryInfo')
+      .sort({ 'dateTime.start': 1 });
+  }
+
+  // Edits to a parent apply to the whole series unless scoped to the template alone
+  getEditScope(event, scope) {
+    if (!event.isSeriesParent() && !event.isOccurrence()) return 'this';
+
+    const editScope = scope || (event.isSeriesParent() ? 'all' : 'this');
+    if (!EDIT_SCOPES.includes(editScope)) {
+      throw this.createError(`scope must be one of ${EDIT_SCOPES.join(', ')}`);
+    }
+    return event.isSeriesParent() && editScope === 'following' ? 'all' : editScope;
+  }
+
+  assertEditableInScope(updateData, scope) {
+    if (scope === 'this') return;
+    const fields = TICKET_SETUP_FIELDS.filter(field =>
+      Object.keys(updateData).some(key => key.split('.')[0] === field));
+    if (fields.length > 0) {
+      throw this.createError(`${fields.join(', ')} can only be changed one event at a time; edit them with scope=this`);
+    }
+  }
+
+  // The events an edit reaches, including the edited one
+  getScopeFilter(event, scope) {
+    const seriesId = this.getSeriesId(event);
+    if (scope === 'following') {
+      return { 'series.parentId': seriesId, 'dateTime.start': { $gte: event.dateTime.start } };
+    }
+    return { $or: [{ _id: seriesId }, { 'series.parentId': seriesId }] };
+  }
+
+  // Copy an edit made to one event across its series. `event` is the edited event as it was
+  // before the edit; dates move every event by the same amount rather than onto one date.
+  async applyEdit(event, updateData, scope) {
+    if (scope === 'this') return 0;
+
+    const scopeFilter = this.getScopeFilter(event, scope);
+    const others = { ...scopeFilter, _id: { $ne: event._id } };
+    const updated = await Event.countDocuments(others);
+    if (updated === 0) return 0;
+
+    const fields = Object.fromEntries(Object.entries(updateData)
+      .filter(([key]) => !OCCURRENCE_FIELDS.includes(key.split('.')[0])));
+    const { dateTime, agenda, publishedAt, ...shared } = fields;
+    if (dateTime?.timezone) shared['dateTime.timezone'] = dateTime.timezone;
+
+    if (publishedAt) {
+      await Event.updateMany({ ...others, status: { $ne: 'published' } }, { $set: { publishedAt } });
+    }
+    if (Object.keys(shared).length > 0) {
+      await Event.updateMany(others, { $set: shared }, { runValidators: true });
+    }
+
+    const startShift = dateTime?.start ? new Date(dateTime.start) - event.dateTime.start : 0;
+    const endShift = dateTime?.end ? new Date(dateTime.end) - event.dateTime.end : 0;
+    if (startShift || endShift) {
+      await this.moveEvents(event, scope, startShift, endShift);
+    }
+
+    if (agenda) {
+      const anchor = dateTime?.start ? new Date(dateTime.start) : event.dateTime.start;
+      const targets = await Event.find(others).select('dateTime.start');
+      await Event.bulkWrite(targets.map(target => ({
+        updateOne: {
+          filter: { _id: target._id },
+          update: { $set: { agenda: shiftAgenda(agenda, target.dateTime.start - anchor) } }
+        }
+      })));
+    }
+
+    return updated;
+  }
+
+  // Move the events an edit reaches, one event at a time. Occurrence starts are unique within a
+  // series, so occurrences move starting from the far end of the shift: each takes its new
+  // slot only after the occurrence holding it has moved on.
+  async moveEvents(event, scope, startShift, endShift) {
+    const moveSeries = scope === 'all' && startShift !== 0;
+    const sortKey = target => (target.series?.occurrenceStart || target.dateTime.start).getTime();
+    const targets = (await Event.find(this.getScopeFilter(event, scope)).select('dateTime series pricing.ticketClasses'))
+      .sort((a, b) => (startShift > 0 ? sortKey(b) - sortKey(a) : sortKey(a) - sortKey(b)));
+
+    for (const target of targets) {
+      const $set = {};
+      // The edited event already has its new dates
+      if (!target._id.equals(event._id)) {
+        $set['dateTime.start'] = shiftDate(target.dateTime.start, startShift);
+        $set['dateTime.end'] = shiftDate(target.dateTime.end, endShift);
+      }
+      if (moveSeries && target.series?.occurrenceStart) {
+        $set['series.occurrenceStart'] = shiftDate(target.series.occurrenceStart, startShift);
+      }
+      // Sales windows move with the event, as they do when an occurrence is built
+      if (startShift) {
+        (target.pricing?.ticketClasses || []).forEach((ticketClass, index) => {
+          ['sales.start', 'sales.end', 'visibility.autoHideBefore', 'visibility.autoHideAfter'].forEach(path => {
+            const value = ticketClass.get(path);
+            if (value) $set[`pricing.ticketClasses.${index}.${path}`] = shiftDate(value, startShift);
+          });
+        });
+      }
+      if (Object.keys($set).length > 0) {
+        await Event.updateOne({ _id: target._id }, { $set });
+      }
+    }
+
+    if (moveSeries) {
+      // The rule's own dates move too, or the next sync would put the occurrences back
+      const parent = await Event.findById(this.getSeriesId(event)).select('series');
+      const recurrence = parent?.series?.recurrence;
+      const $set = {};
+      if (recurrence?.dates?.length) {
+        $set['series.recurrence.dates'] = recurrence.dates.map(date => shiftDate(date, startShift));
+      }
+      if (recurrence?.until) {
+        $set['series.recurrence.until'] = shiftDate(recurrence.until, startShift);
+      }
+      if (Object.keys($set).length > 0) {
+        await Event.updateOne({ _id: parent._id }, { $set });
+      }
+    }
+  }
+}
+
+module.exports = new SeriesService();
@@ -147,6 +147,13 @@ class SMSService {
     };
   }
 
+  getWaitlistOfferSMS(data) {
+    const { userName, eventName, claimLink, expiresAt } = data;
+    return {
+      message: `Hi ${userName}! Tickets for ${eventName} are being held for you until ${expiresAt}. Claim them here: ${claimLink} 🎟️`
+    };
+  }
+
   async sendThankYouSMS(recipientData) {
     const template = this.getThankYouSMS(recipientData);
     return await this.sendSMS({
@@ -187,6 +194,14 @@ class SMSService {
     });
   }
 
+  async sendWaitlistOfferSMS(recipientData) {
+    const template = this.getWaitlistOfferSMS(recipientData);
+    return await this.sendSMS({
+      to: recipientData.phone,
+      message: template.message
+    });
+  }
+
   // Utility methods
   validatePhoneNumber(phoneNumber) {
     const phoneRegex = /^\+[1-9]\d{1,14}$/;
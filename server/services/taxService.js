@@ -0,0 +1,147 @@
+const TaxRule = require('../models/TaxRule');
+
+class TaxService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Country and region an event's sales are taxed in
+  getJurisdiction(event) {
+    const region = event.checkout_settings?.region || event.location?.venue?.address?.state;
+    return {
+      country: (event.checkout_settings?.country || 'US').toUpperCase(),
+      region: region ? region.toUpperCase() : null
+    };
+  }
+
+  isInclusive(event) {
+    return event.checkout_settings?.taxDisplay === 'inclusive';
+  }
+
+  // Active rules for a country, including those for the given region
+  async getRules({ country, region }) {
+    const regions = region ? [null, '', region] : [null, ''];
+    return TaxRule.find({ country, region: { $in: regions }, active: true }).sort({ region: 1, name: 1 });
+  }
+
+  // Work out tax on priced order lines in place and return the order's tax lines.
+  // `total` ends up excluding tax either way: with inclusive pricing the tax is backed
+  // out of the listed price, otherwise it is added on top. Donations are not taxed.
+  applyTaxes(event, items, rules) {
+    const inclusive = this.isInclusive(event);
+    const taxes = rules.map(rule => ({
+      taxRuleId: rule._id,
+      name: rule.name,
+      type: rule.type,
+      rate: rule.rate,
+      country: rule.country,
+      region: rule.region || null,
+      taxableAmount: 0,
+      amount: 0
+    }));
+    const totalRate = rules.reduce((sum, rule) => sum + rule.rate, 0);
+
+    items.forEach(item => {
+      item.tax = 0;
+      if (item.isDonation || item.total <= 0 || totalRate === 0) return;
+
+      const taxable = inclusive ? Math.round(item.total / (1 + totalRate / 100)) : item.total;
+      const lineTax = inclusive ? item.total - taxable : null;
+
+      let allocated = 0;
+      taxes.forEach((tax, index) => {
+        let amount;
+        if (!inclusive) {
+          amount = Math.round(taxable * tax.rate / 100);
+        } else if (index === taxes.length - 1) {
+          // The last rule takes the rounding remainder so the lines add up to the tax backed out
+          amount = lineTax - allocated;
+        } else {
+          amount = Math.round(lineTax * tax.rate / totalRate);
+        }
+        allocated += amount;
+        tax.taxableAmount += taxable;
+        tax.amount += amount;
+      });
+
+      item.total = taxable;
+      item.tax = allocated;
+    });
+
+    const applied = taxes.filter(tax => tax.taxableAmount > 0);
+    return {
+      inclusive,
+      taxes: applied,
+      total: applied.reduce((sum, tax) => sum + tax.amount, 0)
+    };
+  }
+
+  // Tax collected per currency and tax rule, net of refunds, for filing.
+  // Refunded tax is taken in proportion to the refunded share of each order.
+  summarizeOrders(orders) {
+    const byJurisdiction = new Map();
+
+    orders.forEach(order => {
+      const paid = order.totalAmount || 0;
+      const refundedShare = paid > 0 ? Math.min((order.refundedAmount || 0) / paid, 1) : 0;
+
+      (order.taxes || []).forEach(tax => {
+        const currency = order.currency || 'USD';
+        const key = [currency, tax.country, tax.region || '', tax.name, tax.rate].join('|');
+        const summary = byJurisdiction.get(key) || {
+          currency,
+          country: tax.country,
+          region: tax.region || null,
+          name: tax.name,
+          type: tax.type,
+          rate: tax.rate,
+          orders: 0,
+          taxableAmount: 0,
+          collected: 0,
+          refunded: 0,
+          netTax: 0
+        };
+
+        const refunded = Math.round(tax.amount * refundedShare);
+        summary.orders++;
+        summary.taxableAmount += tax.taxableAmount - Math.round(tax.taxableAmount * refundedShare);
+        summary.collected += tax.amount;
+        summary.refunded += refunded;
+        summary.netTax += tax.amount - refunded;
+        byJurisdiction.set(key, summary);
+      });
+    });
+
+    return Array.from(byJurisdiction.values());
+  }
+
+  normalizeRule(data) {
+    const rule = {};
+    if (data.country !== undefined) rule.country = String(data.country).trim().toUpperCase();
+    if (data.region !== undefined) rule.region = data.region ? String(data.region).trim().toUpperCase() : null;
+    ['name', 'type', 'rate', 'active'].forEach(field => {
+      if (data[field] !== undefined) rule[field] = data[field];
+    });
+    return rule;
+  }
+
+  async createRule(data, updatedBy) {
+    return TaxRule.create({ ...this.normalizeRule(data), updatedBy });
+  }
+
+  async updateRule(ruleId, data, updatedBy) {
+    const rule = await TaxRule.findByIdAndUpdate(
+      ruleId,
+      { $set: { ...this.normalizeRule(data), updatedBy } },
+      { new: true, runValidators: true }
+    );
+    if (!rule) {
+      throw this.createError('Tax rule not found', 404);
+    }
+    return rule;
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const CheckInScan = require('../models/CheckInScan');
+const Analytics = require('../models/Analytics');
+
+const TICKET_SIGNING_SECRET = process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET || 'crowd-app-ticket-secret-key-2025-fallback';
+
+// QR payloads look like CRWD1.<ticketId>.<eventId>.<signature>
+const PAYLOAD_PREFIX = 'CRWD1';
+
+// Largest number of offline scans accepted in one sync request
+const MAX_SYNC_BATCH = 1000;
+
+class TicketService {
+  createError(message, status = 400, reason) {
+    const error = new Error(message);
+    error.status = status;
+    error.reason = reason;
+    return error;
+  }
+
+  sign(ticketId, eventId) {
+    return crypto
+      .createHmac('sha256', TICKET_SIGNING_SECRET)
+      .update(`${ticketId}.${eventId}`)
+      .digest('base64url');
+  }
+
+  getPayload(ticket) {
+    const eventId = ticket.eventId._id || ticket.eventId;
+    return [PAYLOAD_PREFIX, ticket.ticketId, eventId, this.sign(ticket.ticketId, eventId)].join('.');
+  }
+
+  // Returns { ticketId, eventId } for an authentic payload, null otherwise
+  verifyPayload(payload) {
+    const parts = typeof payload === 'string' ? payload.trim().split('.') : [];
+    if (parts.length !== 4 || parts[0] !== PAYLOAD_PREFIX) return null;
+
+    const [, ticketId, eventId, signature] = parts;
+    const expected = Buffer.from(this.sign(ticketId, eventId));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+    return { ticketId, eventId };
+  }
+
+  async getQRCode(ticket) {
+    return QRCode.toDataURL(this.getPayload(ticket), {
+      width: 300,
+      margin: 2
+    });
+  }
+
+  // Ticket with its signed payload and QR image, for the ticket holder
+  async toTicketData(ticket) {
+    return {
+      ...ticket.toObject(),
+      payload: this.getPayload(ticket),
+      qrCode: await this.getQRCode(ticket)
+    };
+  }
+
+  // One ticket per attendee entry created for a completed order
+  async issueTickets(order, attendees) {
+    const tickets = attendees.map(attendee => ({
+      eventId: order.eventId,
+      orderId: order._id,
+      userId: order.userId,
+      attendeeId: attendee._id,
+      ticketClassId: attendee.ticketClassId,
+      ticketClassName: attendee.ticketType,
+      holderName: attendee.name || order.buyer?.name,
+      seat: attendee.seat
+    }));
+    return Ticket.insertMany(tickets);
+  }
+
+  // One voucher per add-on unit, redeemed at the add-on scan point
+  async issueAddOns(order) {
+    const vouchers = [];
+    order.items.filter(item => item.isAddOn).forEach(item => {
+      for (let i = 0; i < item.quantity; i++) {
+        vouchers.push({
+          eventId: order.eventId,
+          orderId: order._id,
+          userId: order.userId,
+          kind: 'addon',
+          ticketClassId: item.ticketClassId,
+          ticketClassName: item.ticketClassName,
+          holderName: order.buyer?.name
+        });
+      }
+    });
+    if (vouchers.length === 0) return [];
+    return Ticket.insertMany(vouchers);
+  }
+
+  // Void refunded add-on vouchers, unredeemed ones first
+  async voidAddOns(orderId, items) {
+    for (const { ticketClassId, quantity } of items) {
+      const vouchers = await Ticket.find({ orderId, ticketClassId, kind: 'addon', status: { $ne: 'void' } })
+        .sort({ status: -1, createdAt: -1 })
+        .limit(quantity)
+        .select('_id');
+      if (vouchers.length === 0) continue;
+
+      await Ticket.updateMany(
+        { _id: { $in: vouchers.map(voucher => voucher._id) } },
+        { $set: { status: 'void', voidedAt: new Date() } }
+      );
+    }
+  }
+
+  async voidTickets(attendeeIds) {
+    if (attendeeIds.length === 0) return;
+
+    await Ticket.updateMany(
+      { attendeeId: { $in: attendeeIds }, status: 'valid' },
+      { $set: { status: 'void', voidedAt: new Date() } }
+    );
+  }
+
+  hashPayload(payload) {
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  signData(data) {
+    return crypto
+      .createHmac('sha256', TICKET_SIGNING_SECRET)
+      .update(JSON.stringify(data))
+      .digest('base64url');
+  }
+
+  // Ticket list for offline scanners. Entries carry a hash of each QR payload rather than
+  // the payload itself, so a leaked manifest cannot be turned into working tickets.
+  async buildManifest(eventId, { since } = {}) {
+    const query = { eventId };
+    if (since) query.updatedAt = { $gt: since };
+
+    const tickets = await Ticket.find(query)
+      .populate('userId', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    const manifest = {
+      eventId: eventId.toString(),
+      generatedAt: new Date().toISOString(),
+      since: since ? since.toISOString() : null,
+      tickets: tickets.map(ticket => ({
+        ticketId: ticket.ticketId,
+        payloadHash: this.hashPayload(this.getPayload(ticket)),
+        kind: ticket.kind,
+        ticketClassId: ticket.ticketClassId,
+        ticketClassName: ticket.ticketClassName,
+        holderName: ticket.holderName ||
+          (ticket.userId ? `${ticket.userId.firstName} ${ticket.userId.lastName}` : null),
+        status: ticket.status,
+        checkedInAt: ticket.checkedInAt || null
+      }))
+    };
+
+    return { ...manifest, signature: this.signData(manifest) };
+  }
+
+  // Admit a ticket scanned at the given time. When two scanners admit the same ticket,
+  // the earliest scan wins and the other one is reported as a duplicate.
+  // kind 'addon' redeems add-on vouchers instead, which are marked checked_in when redeemed.
+  async admitTicket(eventId, ticketId, { scannedAt, scannedBy, deviceId, kind = 'admission' }) {
+    const kindQuery = kind === 'addon' ? 'addon' : { $ne: 'addon' };
+    const ticket = await Ticket.findOneAndUpdate(
+      { ticketId, eventId, kind: kindQuery, status: 'valid' },
+      { $set: { status: 'checked_in', checkedInAt: scannedAt, checkedInBy: scannedBy, checkInDeviceId: deviceId } },
+      { new: true }
+    );
+    if (ticket) {
+      return { result: 'accepted', ticket, firstAdmission: true };
+    }
+
+    const existing = await Ticket.findOne({ ticketId, eventId });
+    if (!existing) {
+      return { result: 'not_found' };
+    }
+    if (existing.kind !== kind) {
+      return { result: 'wrong_scan_point', ticket: existing };
+    }
+    if (existing.status === 'void') {
+      return { result: 'void', ticket: existing };
+    }
+
+    // The same scan uploaded again, e.g. a retried sync
+    if (existing.checkInDeviceId === deviceId && existing.checkedInAt.getTime() === scannedAt.getTime()) {
+      return { result: 'accepted', ticket: existing, replay: true };
+    }
+
+    const previous = { checkedInAt: existing.checkedInAt, deviceId: existing.checkInDeviceId };
+    if (scannedAt < existing.checkedInAt) {
+      const earlier = await Ticket.findOneAndUpdate(
+        { _id: existing._id, status: 'checked_in', checkedInAt: existing.checkedInAt },
+        { $set: { checkedInAt: scannedAt, checkedInBy: scannedBy, checkInDeviceId: deviceId } },
+        { new: true }
+      );
+      if (earlier) {
+        await CheckInScan.updateMany(
+          { eventId, ticketId, result: 'accepted' },
+          { $set: { result: 'already_checked_in', conflict: { checkedInAt: scannedAt, deviceId } } }
+        );
+        return { result: 'accepted', ticket: earlier, conflict: previous };
+      }
+    }
+
+    return { result: 'already_checked_in', ticket: existing, conflict: previous };
+  }
+
+  // Resolve a scanned payload against an event; errors are reported as scan results
+  async processScan(eventId, payload, { scannedAt, scannedBy, deviceId, kind }) {
+    const verified = this.verifyPayload(payload);
+    if (!verified) {
+      return { result: 'invalid_signature' };
+    }
+    if (verified.eventId !== eventId.toString()) {
+      return { result: 'wrong_event', ticketId: verified.ticketId };
+    }
+
+    const outcome = await this.admitTicket(eventId, verified.ticketId, { scannedAt, scannedBy, deviceId, kind });
+    return { ...outcome, ticketId: verified.ticketId };
+  }
+
+  // kind 'addon' redeems add-on vouchers at their own scan point
+  async checkIn(eventId, payload, { scannedBy, deviceId, kind = 'admission' } = {}) {
+    const scannedAt = new Date();
+    const outcome = await this.processScan(eventId, payload, { scannedAt, scannedBy, deviceId, kind });
+
+    await this.recordScans(eventId, [{ ...outcome, scannedAt }], { scannedBy, deviceId, source: 'online', kind });
+
+    switch (outcome.result) {
+      case 'accepted':
+        if (outcome.firstAdmission && kind === 'admission') await this.trackCheckIn(outcome.ticket, scannedBy);
+        return outcome.ticket;
+      case 'invalid_signature':
+        throw this.createError('Invalid ticket', 400, outcome.result);
+      case 'wrong_event':
+        throw this.createError('Ticket is for a different event', 409, outcome.result);
+      case 'not_found':
+        throw this.createError('Ticket not found', 404, outcome.result);
+      case 'wrong_scan_point':
+        throw this.createError(
+          kind === 'addon' ? 'This is an admission ticket, not an add-on' : 'Add-ons are redeemed at their own scan point',
+          409,
+          outcome.result
+        );
+      case 'already_checked_in': {
+        const message = kind === 'addon' ? 'Add-on has already been redeemed' : 'Ticket has already been checked in';
+        const error = this.createError(message, 409, outcome.result);
+        error.checkedInAt = outcome.conflict.checkedInAt;
+        throw error;
+      }
+      default:
+        throw this.createError('Ticket is no longer valid', 409, outcome.result);
+    }
+  }
+
+  // Apply a batch of scans made offline, oldest first, and report how each one was resolved
+  async syncCheckIns(eventId, scans, { scannedBy, deviceId } = {}) {
+    if (!Array.isArray(scans) || scans.length === 0) {
+      throw this.createError('At least one scan is required');
+    }
+    if (scans.length > MAX_SYNC_BATCH) {
+      throw this.createError(`A sync batch can contain at most ${MAX_SYNC_BATCH} scans`);
+    }
+
+    const now = new Date();
+    const ordered = scans
+      .map(scan => {
+        const scannedAt = new Date(scan.scannedAt);
+        // Scanner clocks drift; never accept a scan time in the future
+        return {
+          payload: scan.payload,
+          scannedAt: isNaN(scannedAt.getTime()) || scannedAt > now ? now : scannedAt
+        };
+      })
+      .sort((a, b) => a.scannedAt - b.scannedAt);
+
+    const results = [];
+    for (const scan of ordered) {
+      const outcome = await this.processScan(eventId, scan.payload, {
+        scannedAt: scan.scannedAt,
+        scannedBy,
+        deviceId
+      });
+      if (outcome.firstAdmission) {
+        await this.trackCheckIn(outcome.ticket, scannedBy, { deviceId, offline: true });
+      }
+      results.push({ ...outcome, scannedAt: scan.scannedAt });
+    }
+
+    await this.recordScans(eventId, results.filter(result => !result.replay), {
+      scannedBy,
+      deviceId,
+      source: 'offline'
+    });
+
+    return {
+      accepted: results.filter(r => r.result === 'accepted').length,
+      conflicts: results.filter(r => r.result === 'already_checked_in' || r.conflict).length,
+      rejected: results.filter(r => !['accepted', 'already_checked_in'].includes(r.result)).length,
+      results: results.map(r => ({
+        ticketId: r.ticketId || null,
+        scannedAt: r.scannedAt,
+        result: r.result,
+        conflict: r.conflict || null
+      }))
+    };
+  }
+
+  async recordScans(eventId, outcomes, { scannedBy, deviceId, source, kind = 'admission' }) {
+    if (outcomes.length === 0) return;
+
+    try {
+      await CheckInScan.insertMany(outcomes.map(outcome => ({
+        eventId,
+        ticketId: outcome.ticketId,
+        scannedBy,
+        deviceId,
+        kind,
+        source,
+        scannedAt: outcome.scannedAt,
+        result: outcome.result,
+        conflict: outcome.result === 'already_checked_in' ? outcome.conflict : undefined
+      })));
+    } catch (error) {
+      // The scan log is for reporting; admissions already happened
+      console.error('Error recording check-in scans:', error);
+    }
+  }
+
+  async trackCheckIn(ticket, scannedBy, { deviceId, offline = false } = {}) {
+    try {
+      const analytics = new Analytics({
+        eventId: ticket.eventId,
+        userId: ticket.userId,
+        sessionId: ticket.ticketId,
+        action: 'check_in',
+        metadata: {
+          additionalData: {
+            ticketId: ticket.ticketId,
+            ticketClassId: ticket.ticketClassId,
+            scannedBy,
+            deviceId,
+            offline
+          }
+        }
+      });
+      await analytics.save();
+    } catch (error) {
+      // Analytics must never block entry
+      console.error('Error tracking check-in:', error);
+    }
+  }
+}
+
+module.exports = new TicketService();
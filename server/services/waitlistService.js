@@ -0,0 +1,313 @@
+const { v4: uuidv4 } = require('uuid');
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const checkoutService = require('./checkoutService');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+
+// Minutes a waitlist offer holds its seats, unless the event overrides it
+const DEFAULT_CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 60;
+
+class WaitlistService {
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  getClaimMinutes(event) {
+    return event.checkout_settings?.waitlistClaimMinutes || DEFAULT_CLAIM_MINUTES;
+  }
+
+  // The whole event, or the given ticket class, has nothing left to sell
+  isSoldOut(event, ticketClassId) {
+    if (event.inventoryInfo?.soldOut) return true;
+
+    // Only admission classes sold online count; the waitlist is an online sales channel
+    const ticketClasses = ticketClassId
+      ? [event.getTicketClass(ticketClassId)].filter(Boolean)
+      : (event.pricing?.ticketClasses || [])
+        .filter(ticketClass => event.isSoldOnline(ticketClass) && !event.isAddOn(ticketClass));
+    return ticketClasses.length > 0 &&
+      ticketClasses.every(ticketClass => event.getRemainingTickets(ticketClass.id) === 0);
+  }
+
+  async joinWaitlist(event, user, { ticketClassId, quantity = 1, notifyBy = 'email', phone } = {}) {
+    if (!event.settings?.allowWaitlist) {
+      throw this.createError('This event does not have a waitlist');
+    }
+
+    const qty = parseInt(quantity, 10);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw this.createError('Quantity must be a positive number');
+    }
+
+    if (ticketClassId) {
+      const ticketClass = event.getTicketClass(ticketClassId);
+      if (!ticketClass) {
+        throw this.createError(`Ticket class ${ticketClassId} not found`, 404);
+      }
+      if (event.isAddOn(ticketClass)) {
+        throw this.createError('Add-ons cannot be waitlisted');
+      }
+      if (ticketClass.reservedSeating) {
+        throw this.createError('Reserved seating cannot be waitlisted');
+      }
+      // Same quantity and sales window rules as checkout, without the inventory check
+      checkoutService.validateTicketClassPurchase(event, ticketClass, qty, new Date(), false);
+    }
+
+    if (!this.isSoldOut(event, ticketClassId)) {
+      throw this.createError('Tickets are still available, no need to join the waitlist');
+    }
+
+    if (notifyBy === 'sms' && !smsService.validatePhoneNumber(phone || '')) {
+      throw this.createError('A phone number in E.164 format (+1234567890) is required for SMS notifications');
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      eventId: event._id,
+      userId: user.id,
+      ticketClassId: ticketClassId || null,
+      status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+    });
+    if (existing) {
+      throw this.createError('You are already on the waitlist for these tickets', 409);
+    }
+
+    const entry = new WaitlistEntry({
+      eventId: event._id,
+      userId: user.id,
+      ticketClassId: ticketClassId || null,
+      quantity: qty,
+      name: `${user.firstName} ${user.lastName}`,
+      email: user.email,
+      phone,
+      notifyBy
+    });
+
+    await entry.save();
+    return entry;
+  }
+
+  // 1-based place in line among entries still waiting
+  async getPosition(entry) {
+    if (entry.status !== 'waiting') return null;
+
+    const ahead = await WaitlistEntry.countDocuments({
+      eventId: entry.eventId,
+      status: 'waiting',
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  async leaveWaitlist(entry) {
+    if (!WaitlistEntry.ACTIVE_STATUSES.includes(entry.status)) {
+      throw this.createError(`Waitlist entry is already ${entry.status}`);
+    }
+
+    const cancelled = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: entry.status },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw this.createError('Waitlist entry was updated by another request, please retry', 409);
+    }
+
+    // Hand back the seats an open offer was holding
+    if (entry.status === 'offered') {
+      await Event.releaseTickets(entry.eventId, [this.getOfferItem(entry)]);
+    }
+    return cancelled;
+  }
+
+  getOfferItem(entry) {
+    return { ticketClassId: entry.offer.ticketClassId, quantity: entry.offer.quantity };
+  }
+
+  // First ticket class that can seat this entry, skipping classes someone earlier is still waiting on
+  pickTicketClass(event, entry, blockedClassIds, now = new Date()) {
+    const candidates = entry.ticketClassId
+      ? [event.getTicketClass(entry.ticketClassId)]
+      : (event.pricing?.ticketClasses || []);
+
+    return candidates.find(ticketClass => {
+      if (!ticketClass || blockedClassIds.has(ticketClass.id)) return false;
+      if (!event.isSoldOnline(ticketClass) || event.isTicketClassHidden(ticketClass, now)) return false;
+      if (event.isAddOn(ticketClass) || ticketClass.reservedSeating) return false;
+      if (event.getSalesWindowState(ticketClass, now) === 'ended') return false;
+
+      const remaining = event.getRemainingTickets(ticketClass.id);
+      return remaining === null || remaining >= entry.quantity;
+    });
+  }
+
+  // Offer freed-up seats to waiting entries in the order they joined; returns the number of offers made
+  async offerAvailableSeats(eventId) {
+    let event = await Event.findById(eventId);
+    if (!event || !event.settings?.allowWaitlist || !checkoutService.isOpenForSales(event)) {
+      return 0;
+    }
+
+    const entries = await WaitlistEntry.find({ eventId, status: 'waiting' }).sort({ createdAt: 1 });
+    const blockedClassIds = new Set();
+    let offered = 0;
+
+    for (const entry of entries) {
+      const ticketClass = this.pickTicketClass(event, entry, blockedClassIds);
+      if (!ticketClass) {
+        // Keep later entries from jumping ahead of this one for the same class
+        if (entry.ticketClassId) blockedClassIds.add(entry.ticketClassId);
+        continue;
+      }
+
+      const item = { ticketClassId: ticketClass.id, quantity: entry.quantity };
+      const reserved = await Event.reserveTickets(event._id, [item]);
+      if (!reserved) {
+        blockedClassIds.add(ticketClass.id);
+        continue;
+      }
+      event = reserved;
+
+      const now = new Date();
+      const offeredEntry = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offer: {
+              token: uuidv4(),
+              ticketClassId: ticketClass.id,
+              ticketClassName: ticketClass.name,
+              quantity: entry.quantity,
+              offeredAt: now,
+              expiresAt: new Date(now.getTime() + this.getClaimMinutes(event) * 60 * 1000)
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!offeredEntry) {
+        // The entry left the waitlist in the meantime
+        event = await Event.releaseTickets(event._id, [item]);
+        continue;
+      }
+
+      await this.sendOffer(offeredEntry, event);
+      offered++;
+    }
+
+    return offered;
+  }
+
+  async sendOffer(entry, event) {
+    const claimLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}/waitlist/claim?token=${entry.offer.token}`;
+    const recipientData = {
+      userName: entry.name,
+      email: entry.email,
+      phone: entry.phone,
+      eventName: event.title,
+      ticketClassName: entry.offer.ticketClassName,
+      quantity: entry.offer.quantity,
+      claimLink,
+      expiresAt: entry.offer.expiresAt.toLocaleString()
+    };
+
+    try {
+      if (entry.notifyBy === 'sms' && entry.phone) {
+        await smsService.sendWaitlistOfferSMS(recipientData);
+      } else {
+        await emailService.sendWaitlistOfferEmail(recipientData);
+      }
+    } catch (error) {
+      // The seats stay held; the attendee can still claim from their waitlist entry
+      console.error('Error sending waitlist offer:', error);
+    }
+  }
+
+  // Turn an open offer into a pending order that takes over the held seats
+  async claimOffer(entry, { buyer, attendees, discountCode } = {}) {
+    if (entry.status !== 'offered') {
+      throw this.createError(`Waitlist offer is ${entry.status}`);
+    }
+
+    if (entry.isOfferExpired()) {
+      await this.expireOffer(entry);
+      throw this.createError('Waitlist offer has expired', 410);
+    }
+
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+      { $set: { status: 'claimed', claimedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw this.createError('Waitlist offer is no longer available', 409);
+    }
+
+    let order;
+    try {
+      order = await checkoutService.createOrder({
+        eventId: entry.eventId,
+        userId: entry.userId,
+        items: [this.getOfferItem(entry)],
+        buyer,
+        attendees,
+        discountCode,
+        ticketsHeld: true
+      });
+    } catch (error) {
+      // Reopen the offer so the attendee can retry before it expires
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'claimed' },
+        { $set: { status: 'offered' }, $unset: { claimedAt: 1 } }
+      );
+      throw error;
+    }
+
+    claimed.orderId = order._id;
+    await claimed.save();
+    return { entry: claimed, order };
+  }
+
+  async expireOffer(entry) {
+    // Claim the transition atomically so the seats are released only once
+    const expired = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+    if (!expired) {
+      return null;
+    }
+
+    await Event.releaseTickets(entry.eventId, [this.getOfferItem(entry)]);
+    return expired;
+  }
+
+  // Expire lapsed offers and offer seats on every event with people waiting
+  async processWaitlists(limit = 500) {
+    const lapsed = await WaitlistEntry.find({
+      status: 'offered',
+      'offer.expiresAt': { $lt: new Date() }
+    }).limit(limit);
+
+    let expired = 0;
+    for (const entry of lapsed) {
+      if (await this.expireOffer(entry)) expired++;
+    }
+
+    const eventIds = await WaitlistEntry.distinct('eventId', { status: 'waiting' });
+    let offered = 0;
+    for (const eventId of eventIds) {
+      offered += await this.offerAvailableSeats(eventId);
+    }
+
+    return { expired, offered };
+  }
+}
+
+module.exports = new WaitlistService();